@@ -5,40 +5,202 @@
 
 let deckgl = null;
 let graphData = null;
+let visibleData = null; // graphData narrowed to the active time window and filters
+let displayData = null; // What the map shows: visibleData, or its scenario version when one is active
+let scenarioComparison = null;
+let scenarioGraph = null; // Every loaded trip after the scenario rules, nested and laid out afresh
+let deltaLayout = null; // Nodes of the loaded (scenario) and baseline trips laid out together, see Comparison
+let derivedLayoutVersion = 0; // Bumped by each updateDerivedLayouts, so an outdated run drops its result
 let deckData = null;
 let currentZoom = 0;
 let searchMatches = null;
+let dataSources = new Map(); // file name -> Columnar table of its parsed rows
+let validationReport = null;
+let viewMode = 'cluster'; // 'cluster' (hierarchy layout) or 'geo' (origin→destination arcs)
+let layoutMode = 'rings'; // HierarchyLayouts strategy used by the cluster view
+let metricMode = 'total'; // Metrics id the map is sized and ranked by
+let colorMode = 'cluster'; // ColorScales mode the nodes are coloured by
+let colorPalette = 'standard'; // ColorScales palette, always one that suits colorMode
+let renderedLegend = null; // Legend currently in the panel, for item clicks
+let baselineGraph = null; // Earlier period the loaded data is compared against
+let baselineNames = []; // Its file names
+let comparisonEnabled = false; // Map the change from baselineGraph instead of the totals
+let deltaMeasure = 'absolute'; // Comparison.DELTA_MEASURES id
+let geoData = null;
+let modeTransitionUntil = 0;
+let selectedNode = null; // Node shown in the detail panel
+let brushedIds = null; // Trips selected in the charts panel and the clusters holding them
+let routeHighlightIds = null; // Trips on the route picked in the leaderboard and the clusters holding them
+let budgetStatus = null; // Budgets.computeBudgetStatus over all loaded trips
+let currentViewState = null;
+let pendingUrlState = null; // State from a shared link, applied once its data is imported
+let restoringUrlState = false;
+let urlSyncTimer = null;
+
+const MODE_TRANSITION_MS = 1200;
 
 async function init() {
     console.log('Initializing Carbon Emissions Network Map...');
 
-    try {
-        updateProgress(0, 'Loading emissions data...');
-        const rawData = await DataProcessor.parseCSV('Emissions_Data_Table.csv');
+    setupImport();
+    pendingUrlState = UrlState.readState();
+    if (pendingUrlState) {
+        layoutMode = pendingUrlState.layout;
+        Hierarchy.setHierarchy(pendingUrlState.levels, false);
+    }
+    showImportPrompt(pendingUrlState ? 'Import the same export to open the shared view' : undefined);
 
-        updateProgress(40, 'Processing data...');
-        graphData = DataProcessor.processEmissionsData(rawData);
+    // Back/forward step through selections and view switches
+    window.addEventListener('popstate', () => {
+        if (graphData) applyUrlState(UrlState.readState() || UrlState.decodeState(''));
+    });
+}
 
-        updateProgress(70, 'Building visualization...');
-        deckData = DataProcessor.nodesToDeckData(graphData.nodes);
+function setupImport() {
+    Importer.setupDropZone(document.body, importFiles);
+    Importer.setupFilePicker(document.getElementById('import-browse'), document.getElementById('file-input'), importFiles);
+    Importer.setupFilePicker(document.getElementById('import-button'), document.getElementById('file-input'), importFiles);
 
-        updateProgress(90, 'Initializing deck.gl...');
-        initDeckGL();
-        updateStats();
-        setupUI();
-        updateLayerIndicator();
+    document.getElementById('import-cancel').addEventListener('click', () => {
+        document.getElementById('loading').classList.add('hidden');
+    });
+    document.getElementById('progress-cancel').addEventListener('click', () => Ingest.cancelIngest());
+}
+
+function showImportPrompt(message) {
+    document.getElementById('loading').classList.remove('hidden');
+    document.getElementById('import-zone').classList.remove('is-hidden');
+    document.getElementById('import-cancel').classList.toggle('is-hidden', !graphData);
+    document.querySelector('.progress-container').classList.add('is-hidden');
 
-        updateProgress(100, 'Complete!');
-        setTimeout(() => {
+    const loadingText = document.getElementById('loading-text');
+    loadingText.textContent = message || 'Import an emissions export to begin';
+    loadingText.style.color = '';
+}
+
+// Add the given files to the loaded sources (replacing any with the same name) and rebuild
+async function importFiles(files) {
+    document.getElementById('loading').classList.remove('hidden');
+    document.getElementById('import-zone').classList.add('is-hidden');
+    document.querySelector('.progress-container').classList.remove('is-hidden');
+
+    try {
+        updateProgress(0, `Loading ${files.map(file => file.name).join(', ')}...`);
+        const sources = await Ingest.parseSourceFiles(files, (percent, message) => updateProgress(percent * 0.4, message));
+        sources.forEach(({ name, table }) => dataSources.set(name, table));
+
+        await buildGraph();
+    } catch (error) {
+        files.forEach(file => dataSources.delete(file.name));
+        renderSourceList();
+        handleImportError(error);
+    }
+}
+
+// A cancelled import goes back to the map when there is one; failures are shown on the import prompt
+function handleImportError(error) {
+    if (error.name === 'AbortError') {
+        if (graphData) {
             document.getElementById('loading').classList.add('hidden');
-        }, 300);
+        } else {
+            showImportPrompt('Import cancelled');
+        }
+        return;
+    }
+
+    console.error('Error:', error);
+    showImportPrompt();
+    document.getElementById('loading-text').textContent = `Error: ${error.message}`;
+    document.getElementById('loading-text').style.color = '#ef4444';
+}
 
-        console.log('Initialization complete!');
+function removeSource(name) {
+    dataSources.delete(name);
+    if (dataSources.size === 0) {
+        graphData = null;
+        visibleData = null;
+        displayData = null;
+        scenarioComparison = null;
+        scenarioGraph = null;
+        deltaLayout = null;
+        validationReport = null;
+        renderSourceList();
+        renderValidationSummary();
+        showImportPrompt();
+        return;
+    }
+    rebuildGraph();
+}
+
+// Rebuild after the sources or the settings the graph depends on changed, showing progress while it runs
+async function rebuildGraph() {
+    document.getElementById('loading').classList.remove('hidden');
+    document.getElementById('import-zone').classList.add('is-hidden');
+    document.querySelector('.progress-container').classList.remove('is-hidden');
+    try {
+        await buildGraph();
     } catch (error) {
-        console.error('Error:', error);
-        document.getElementById('loading-text').textContent = `Error: ${error.message}`;
-        document.getElementById('loading-text').style.color = '#ef4444';
+        handleImportError(error);
+    }
+}
+
+// What the ingest worker lays out by. The hierarchy goes along because one applied from a shared link isn't
+// saved where the worker would find it
+function getLayoutSettings() {
+    return { layout: layoutMode, levels: Hierarchy.getHierarchy() };
+}
+
+function getBuildSettings() {
+    return { ...getLayoutSettings(), factorSetId: EmissionEngine.getActiveFactorSet()?.id };
+}
+
+// Merge every loaded source into one graph and (re)build the deck. Estimation, validation, grouping and
+// layout run in the ingest worker
+async function buildGraph() {
+    updateProgress(40, 'Processing data...');
+    const settings = getBuildSettings();
+    const { graph: processed, report } = await Ingest.processSources(Array.from(dataSources.values()), settings,
+        (percent, message) => updateProgress(40 + percent * 0.5, message));
+    if (processed.counts.trips === 0) {
+        throw new Error(`No valid emission rows found (${report.rejected.length.toLocaleString()} rejected)`);
+    }
+    graphData = processed;
+    validationReport = report;
+
+    updateProgress(90, 'Building visualization...');
+    deckData = DataProcessor.nodesToDeckData(graphData.nodes);
+
+    updateProgress(95, 'Initializing deck.gl...');
+    const trips = graphData.nodes.filter(n => n.type === 'trip');
+    Timeline.setTimelineData(trips);
+    Filters.setFilterData(trips);
+    Scenarios.setScenarioOptions(trips);
+    visibleData = graphData;
+    displayData = graphData;
+    updateDerivedLayouts(true);
+    if (!deckgl) {
+        initDeckGL();
+        setupUI();
     }
+    applyFilters();
+    deckgl.setProps({ initialViewState: (viewMode === 'geo' && getGeoViewState()) || getInitialViewState() });
+    if (pendingUrlState) {
+        await applyUrlState(pendingUrlState);
+        pendingUrlState = null;
+    }
+    syncUrlState();
+    renderSourceList();
+    renderValidationSummary();
+    renderFactorSets();
+    renderComparisonControls();
+    updateBudgets();
+
+    updateProgress(100, 'Complete!');
+    setTimeout(() => {
+        document.getElementById('loading').classList.add('hidden');
+    }, 300);
+
+    console.log('Initialization complete!');
 }
 
 function updateProgress(percent, message) {
@@ -49,20 +211,24 @@ function updateProgress(percent, message) {
     if (loadingText) loadingText.textContent = message;
 }
 
-function initDeckGL() {
+function getInitialViewState() {
     const { bounds } = deckData;
     const centerX = (bounds[0] + bounds[1]) / 2;
     const centerY = (bounds[2] + bounds[3]) / 2;
 
+    return {
+        longitude: centerX,
+        latitude: centerY,
+        zoom: 3.5,
+        minZoom: -2,
+        maxZoom: 20
+    };
+}
+
+function initDeckGL() {
     deckgl = new deck.DeckGL({
         container: 'deck-container',
-        initialViewState: {
-            longitude: centerX,
-            latitude: centerY,
-            zoom: 3.5,
-            minZoom: -2,
-            maxZoom: 20
-        },
+        initialViewState: getInitialViewState(),
         controller: {
             scrollZoom: { speed: 0.01, smooth: true },
             dragPan: true,
@@ -72,12 +238,20 @@ function initDeckGL() {
             keyboard: true
         },
         onViewStateChange: ({ viewState }) => {
+            const zoomChanged = viewState.zoom !== currentZoom;
+            const previousLevel = getZoomLevel();
             currentZoom = viewState.zoom;
-            // Removed zoom-level text update
-            updateLayers();
-            updateLayerIndicator();
+            currentViewState = viewState;
+            clearTimeout(urlSyncTimer);
+            urlSyncTimer = setTimeout(syncUrlState, 400);
+            // The layers only depend on the zoom, so panning leaves them alone; the hint and legend
+            // follow the zoom band
+            if (zoomChanged) updateLayers();
+            if (getZoomLevel() !== previousLevel) updateLayerIndicator();
         },
         getTooltip: getTooltip,
+        // Aggregate markers aren't selectable; clicking one zooms in until it splits
+        onClick: ({ object }) => (object?.type === 'trip-aggregate' ? flyToNode(object) : selectNode(object || null)),
         layers: getLayers()
     });
 }
@@ -86,75 +260,598 @@ function getLayers() {
     const layers = [];
 
     if (searchMatches && searchMatches.length > 0) {
-        const highlightLayer = Layers.createSearchHighlightLayer(searchMatches, currentZoom);
+        const highlightLayer = Layers.createSearchHighlightLayer(searchMatches, currentZoom, viewMode);
         if (highlightLayer) layers.push(highlightLayer);
     }
 
-    const textLayers = Layers.createAllTextLayers(graphData.nodes, currentZoom);
-    layers.push(...textLayers);
+    const options = {
+        showDepartments: document.getElementById('show-departments')?.checked !== false,
+        showTrips: document.getElementById('show-trips')?.checked !== false,
+        transitionDuration: Date.now() < modeTransitionUntil ? MODE_TRANSITION_MS : 0,
+        budgetStatus: budgetStatus?.statuses,
+        brushedIds
+    };
+
+    if (viewMode === 'geo' && geoData) {
+        layers.push(...Layers.createGeoLayers(geoData, displayData.nodes, currentZoom, options));
+    } else {
+        layers.push(...Layers.createAllTextLayers(displayData.nodes, currentZoom, options));
+    }
+    layers.push(...Layers.createBrushLayers(displayData.nodes, routeHighlightIds, currentZoom, viewMode,
+        { id: 'route-highlight', color: Layers.ROUTE_HIGHLIGHT_COLOR }));
+    layers.push(...Layers.createBrushLayers(displayData.nodes, brushedIds, currentZoom, viewMode));
+
+    const selectionLayer = Layers.createSelectionLayer(selectedNode, viewMode);
+    if (selectionLayer) layers.push(selectionLayer);
 
     return layers;
 }
 
 function updateLayers() {
-    if (!deckgl || !graphData) return;
+    if (!deckgl || !displayData) return;
     deckgl.setProps({ layers: getLayers() });
 }
 
-function updateLayerIndicator() {
-    const hint = document.getElementById('zoom-hint');
-    const legendTitle = document.querySelector('.legend-title');
-    const legendItems = document.querySelector('.legend-items');
+// Recompute the visible graph (cluster totals, sizes, legend, stats) for the time window and filters
+function applyFilters() {
+    if (!graphData) return;
 
-    if (currentZoom >= 7.5) {
-        // Route Level
-        if (hint) hint.innerHTML = `<span class="hint-icon">📍</span> <span class="hint-text"><strong>Route Clusters</strong><br>Grouped by Origin → Destination</span>`;
-        if (legendTitle) legendTitle.textContent = 'Route Clusters';
-
-        // Allow Purpose Legend to persist as it colors the clusters
-        if (legendItems) {
-            legendItems.innerHTML = Object.entries(DataProcessor.PURPOSE_COLORS).map(([name, color]) => `
-                <div class="legend-item">
-                    <span class="legend-dot" style="background: rgb(${color.join(',')})"></span>
-                    ${name}
-                </div>
-            `).join('');
+    const timeRange = Timeline.getTimeRange();
+    const timeTrips = graphData.nodes.filter(n => n.type === 'trip' && Timeline.isInRange(n, timeRange));
+    Filters.renderFacets(timeTrips);
+
+    const predicate = trip => Timeline.isInRange(trip, timeRange) && Filters.matchesFilters(trip);
+    visibleData = timeRange || Filters.hasActiveFilters()
+        ? DataProcessor.filterGraph(graphData, predicate)
+        : graphData;
+
+    displayData = visibleData;
+    scenarioComparison = null;
+    if (Scenarios.isScenarioActive() && scenarioGraph) {
+        // Filters apply to the trips as loaded, so a flight shifted to rail still counts as a flight
+        const visibleIds = new Set(visibleData.nodes.filter(n => n.type === 'trip').map(trip => trip.id));
+        displayData = DataProcessor.filterGraph(scenarioGraph, trip => visibleIds.has(trip.id));
+        scenarioComparison = Scenarios.compareScenario(visibleData, displayData);
+
+        // Keep the baseline size on each top-level cluster so the map can show both; clusters the
+        // scenario created start from nothing
+        const baselineById = new Map(visibleData.nodes.filter(n => n.level === 1).map(node => [node.id, node]));
+        displayData.nodes.filter(n => n.level === 1).forEach(node => {
+            const baseline = baselineById.get(node.id);
+            node.baselineEmissions = baseline ? baseline.emissions : 0;
+            if (baseline) node.baselineRadius = baseline.radius;
+        });
+    }
+    if (isComparing() && deltaLayout) {
+        // The baseline is another period, so the time window doesn't apply to it
+        displayData = Comparison.applyDelta(
+            Comparison.buildDeltaGraph(displayData, deltaLayout, trip => Filters.matchesFilters(trip)), deltaMeasure);
+    } else {
+        displayData = Metrics.applyMetric(displayData, metricMode);
+        displayData = ColorScales.applyColors(displayData, graphData.nodes.filter(n => n.type === 'trip'), getColorOptions());
+    }
+
+    if (viewMode === 'geo') {
+        geoData = Geo.buildGeoData(displayData.nodes.filter(n => n.type === 'trip'));
+    }
+
+    refreshSearch();
+    refreshSelection();
+    updateCharts();
+    updateRouteIndex();
+    updateLayers();
+    updateStats();
+    updateLayerIndicator();
+}
+
+// Lay out the scenario and comparison graphs for the current data, layout, hierarchy, rules and baseline in
+// the ingest worker, then redraw. Filtering reuses them, so this runs only when one of those changes. Neither
+// layout is remembered, so trying a scenario or comparing periods never moves the user's clusters.
+// graphChanged drops the current ones straight away, as they belong to the previous graph
+async function updateDerivedLayouts(graphChanged = false) {
+    const version = ++derivedLayoutVersion;
+    const graph = graphData;
+    if (graphChanged) {
+        scenarioGraph = null;
+        deltaLayout = null;
+    }
+
+    let scenario = null;
+    let delta = null;
+    try {
+        if (graph && Scenarios.isScenarioActive()) {
+            // The scenario is nested afresh, so a shifted trip moves to its new mode's cluster
+            const trips = graph.nodes.filter(n => n.type === 'trip').map(Scenarios.transformTrip).filter(Boolean);
+            const settings = { ...getLayoutSettings(), persistLayout: false };
+            scenario = { ...graph, nodes: await Ingest.layoutTrips(trips, settings, 'scenario') };
         }
-    } else if (currentZoom >= 4) {
-        // Purpose/Transport Level
-        if (currentZoom >= 6) {
-            if (hint) hint.innerHTML = `<span class="hint-icon">🚢</span> <span class="hint-text"><strong>Transport Modes</strong><br>Zoom for Routes</span>`;
-            if (legendTitle) legendTitle.textContent = 'Transport Modes';
-        } else {
-            if (hint) hint.innerHTML = `<span class="hint-icon">💡</span> <span class="hint-text"><strong>Trip Purposes</strong><br>Colored by trip type</span>`;
-            if (legendTitle) legendTitle.textContent = 'Trip Purposes';
+        if (graph && isComparing()) {
+            const currentTrips = (scenario || graph).nodes.filter(n => n.type === 'trip');
+            const baselineTrips = baselineGraph.nodes.filter(n => n.type === 'trip');
+            delta = await Comparison.layoutDeltaGraph(currentTrips, baselineTrips, getLayoutSettings());
         }
+    } catch (error) {
+        if (error.name === 'AbortError') return; // A newer run took over
+        console.error('Error:', error);
+    }
+    if (version !== derivedLayoutVersion) return;
 
-        // Render Purpose Legend
-        if (legendItems) {
-            legendItems.innerHTML = Object.entries(DataProcessor.PURPOSE_COLORS).map(([name, color]) => `
-                <div class="legend-item">
-                    <span class="legend-dot" style="background: rgb(${color.join(',')})"></span>
-                    ${name}
-                </div>
-            `).join('');
+    const changed = scenario || delta || scenarioGraph || deltaLayout;
+    scenarioGraph = scenario;
+    deltaLayout = delta;
+    if (changed) applyFilters();
+}
+
+function handleScenarioChange() {
+    updateDerivedLayouts();
+    onControlsChange();
+}
+
+function isComparing() {
+    return comparisonEnabled && baselineGraph !== null;
+}
+
+// Run baseline files through the same estimation, validation and processing as the loaded data
+async function importBaseline(files) {
+    const note = document.getElementById('comparison-note');
+    try {
+        const sources = await Ingest.parseSourceFiles(files, percent => {
+            note.textContent = `Loading baseline... ${Math.round(percent)}%`;
+        }, 'baseline');
+        // Only its trips are used, laid out with the loaded ones; its own layout mustn't be remembered
+        const settings = { ...getBuildSettings(), persistLayout: false };
+        const { graph: processed, report } = await Ingest.processSources(sources.map(source => source.table), settings,
+            (percent, message) => {
+                note.textContent = message;
+            }, 'baseline');
+        if (processed.counts.trips === 0) {
+            throw new Error(`No valid emission rows found in the baseline (${report.rejected.length.toLocaleString()} rejected)`);
+        }
+        baselineGraph = processed;
+        baselineNames = files.map(file => file.name);
+        comparisonEnabled = true;
+        renderComparisonControls();
+        updateDerivedLayouts();
+        applyFilters();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            renderComparisonControls();
+            return;
         }
+        console.error('Error:', error);
+        note.textContent = `Error: ${error.message}`;
+    }
+}
+
+function removeBaseline() {
+    Ingest.cancelIngest('baseline');
+    baselineGraph = null;
+    baselineNames = [];
+    comparisonEnabled = false;
+    renderComparisonControls();
+    updateDerivedLayouts();
+    applyFilters();
+}
+
+function renderComparisonControls() {
+    const note = document.getElementById('comparison-note');
+    document.getElementById('comparison-enabled').checked = isComparing();
+    document.getElementById('comparison-enabled').disabled = !baselineGraph;
+    document.getElementById('baseline-remove').disabled = !baselineGraph;
+    document.getElementById('delta-measure-select').disabled = !isComparing();
+
+    if (!baselineGraph) {
+        note.textContent = 'Load an earlier export to map the change against it';
+        return;
+    }
+    const baseline = baselineGraph.totalEmissions;
+    const current = graphData?.totalEmissions || 0;
+    const change = baseline > 0 ? ` · ${Comparison.DELTA_MEASURES.percent.format((current - baseline) / baseline)} overall` : '';
+    note.textContent = `${baselineNames.join(', ')}: ${baselineGraph.counts.trips.toLocaleString()} trips, ${formatEmissions(baseline)} kg CO₂${change}`;
+}
+
+// Show a node in the detail panel (null closes it); flyTo also moves the camera onto it
+function selectNode(node, flyTo = false) {
+    selectedNode = node;
+    if (node) {
+        DetailPanel.renderDetailPanel(node, displayData.nodes);
+        if (flyTo) flyToNode(node);
     } else {
-        // Department Layer (Default)
-        if (hint) hint.innerHTML = `<span class="hint-icon">💡</span> <span class="hint-text"><strong>Departments</strong><br>Zoom in to explore</span>`;
-        if (legendTitle) legendTitle.textContent = 'Department Clusters';
-
-        // Render Department Legend (Top 5 + count)
-        const entries = Object.entries(DataProcessor.DEPARTMENT_COLORS).slice(0, 5);
-        if (legendItems) {
-            legendItems.innerHTML = entries.map(([name, color]) => `
-                <div class="legend-item">
-                    <span class="legend-dot" style="background: rgb(${color.join(',')})"></span>
-                    ${name}
-                </div>
-            `).join('') + '<small style="color:var(--text-secondary);margin-top:4px;display:block">+ 9 more</small>';
+        DetailPanel.hideDetailPanel();
+    }
+    updateCharts();
+    updateLayers();
+    syncUrlState(true);
+}
+
+// Swap the selection for its counterpart in freshly filtered data, or close the panel when it's gone
+function refreshSelection() {
+    if (!selectedNode) return;
+
+    selectedNode = findNodeByKey(getSelectionKey(selectedNode));
+    if (selectedNode) DetailPanel.renderDetailPanel(selectedNode, displayData.nodes);
+    else DetailPanel.hideDetailPanel();
+}
+
+// Give the charts panel the trips on the map, or only those under the selected node
+function updateCharts() {
+    if (!displayData) return;
+    const trips = selectedNode
+        ? DetailPanel.getSubtreeTrips(selectedNode, displayData.nodes)
+        : displayData.nodes.filter(n => n.type === 'trip');
+    Charts.setChartData(trips, selectedNode ? (selectedNode.type === 'trip' ? selectedNode.route : selectedNode.name) : null);
+    updateBrushedIds();
+}
+
+// Ids of the given trips and of every cluster above them
+function getTripAndClusterIds(trips) {
+    const nodeById = new Map(displayData.nodes.map(node => [node.id, node]));
+    const ids = new Set();
+    trips.forEach(trip => {
+        for (let node = trip; node && !ids.has(node.id); node = nodeById.get(node.parentId)) {
+            ids.add(node.id);
+        }
+    });
+    return ids;
+}
+
+function updateBrushedIds() {
+    const trips = Charts.getBrushedTrips();
+    brushedIds = trips && displayData ? getTripAndClusterIds(trips) : null;
+}
+
+// Rank the routes on the map and re-highlight the selected one in the new data
+function updateRouteIndex() {
+    if (!displayData) return;
+    RouteIndex.setRouteData(displayData.nodes.filter(n => n.type === 'trip'));
+    updateRouteHighlight();
+}
+
+function updateRouteHighlight() {
+    routeHighlightIds = displayData && RouteIndex.hasSelectedRoute()
+        ? getTripAndClusterIds(displayData.nodes.filter(n => n.type === 'trip' && RouteIndex.isOnSelectedRoute(n)))
+        : null;
+}
+
+// Stable key for a selectable node; geographic nodes have no id
+function getSelectionKey(node) {
+    if (!node) return null;
+    if (node.type === 'geo-route') return `geo-route:${node.from}→${node.to}`;
+    if (node.type === 'city-hub') return `city-hub:${node.name}`;
+    return node.id;
+}
+
+function findNodeByKey(key) {
+    if (!key) return null;
+    if (key.startsWith('geo-route:') || key.startsWith('city-hub:')) {
+        if (viewMode !== 'geo' || !geoData) return null;
+        return [...geoData.routes, ...geoData.hubs].find(node => getSelectionKey(node) === key) || null;
+    }
+    return displayData.nodes.find(node => node.id === key) || null;
+}
+
+const TRIP_FLY_ZOOM = 11;
+
+// Zoom that reveals a node's own layer in the cluster view: where the level below it appears
+function getFlyZoom(node) {
+    if (node.type === 'trip') return TRIP_FLY_ZOOM;
+    if (node.type === 'trip-aggregate') return node.expandZoom;
+    if (!node.level) return null;
+    const levels = Hierarchy.getLevels();
+    return levels[node.level]?.minZoom ?? levels[node.level - 1].minZoom + 1.5;
+}
+
+// Where the camera goes for a node in the current view, or null when it has no place there
+function getFlyTarget(node) {
+    if (viewMode === 'geo') {
+        if (node.type === 'city-hub') return { position: node.position, zoom: 6 };
+        if (node.type === 'trip' && node.geoPosition) return { position: node.geoPosition, zoom: 6 };
+        return null;
+    }
+    const zoom = getFlyZoom(node);
+    return zoom ? { position: [node.x * Layers.SCALE, node.y * Layers.SCALE], zoom } : null;
+}
+
+function flyToNode(node) {
+    const target = getFlyTarget(node);
+    if (!target) return;
+
+    deckgl.setProps({
+        initialViewState: {
+            longitude: target.position[0],
+            latitude: target.position[1],
+            zoom: target.zoom,
+            minZoom: -2,
+            maxZoom: 20,
+            transitionDuration: 800,
+            transitionInterpolator: new deck.FlyToInterpolator()
+        }
+    });
+}
+
+// Switch between the cluster and geographic layouts, flying the camera to the new extent
+function setViewMode(mode) {
+    if (mode === viewMode || !graphData) return;
+
+    viewMode = mode;
+    modeTransitionUntil = Date.now() + MODE_TRANSITION_MS;
+    document.querySelectorAll('#view-mode-toggle button').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+
+    applyFilters();
+
+    const viewState = mode === 'geo' ? getGeoViewState() : getInitialViewState();
+    if (viewState) {
+        deckgl.setProps({
+            initialViewState: {
+                ...viewState,
+                transitionDuration: MODE_TRANSITION_MS,
+                transitionInterpolator: new deck.FlyToInterpolator()
+            }
+        });
+    }
+
+    // Drop the position transition once the animation has finished
+    setTimeout(updateLayers, MODE_TRANSITION_MS + 50);
+    syncUrlState(true);
+}
+
+// Re-place the cluster view with another layout strategy
+async function setLayoutMode(layout) {
+    if (layout === layoutMode || !graphData) return;
+
+    layoutMode = layout;
+    document.getElementById('layout-select').value = layout;
+    document.getElementById('layout-reset').disabled = layout !== 'rings';
+    await relayoutClusters();
+}
+
+// Size and rank by another metric (see metrics.js). Picking an intensity also colours by it, as long as
+// the colours were left on the clusters
+function setMetricMode(metric) {
+    if (metric === metricMode) return;
+
+    metricMode = metric;
+    document.getElementById('metric-select').value = metric;
+    if (metric !== 'total' && colorMode === 'cluster') setColorMode('intensity', colorPalette, false);
+    else if (metric === 'total' && colorMode === 'intensity') setColorMode('cluster', colorPalette, false);
+    applyFilters();
+    syncUrlState();
+}
+
+function getColorOptions() {
+    return { mode: colorMode, palette: colorPalette, metric: metricMode };
+}
+
+// Colour by another mode and/or palette (see colorScales.js); refresh = false leaves redrawing to the caller
+function setColorMode(mode, palette = colorPalette, refresh = true) {
+    colorMode = Object.hasOwn(ColorScales.COLOR_MODES, mode) ? mode : 'cluster';
+    colorPalette = ColorScales.resolvePalette(colorMode, palette);
+    renderColorControls();
+    if (!refresh) return;
+    applyFilters();
+    syncUrlState();
+}
+
+function renderColorControls() {
+    document.getElementById('color-mode-select').value = colorMode;
+    const paletteSelect = document.getElementById('palette-select');
+    paletteSelect.innerHTML = ColorScales.getPalettes(colorMode)
+        .map(palette => `<option value="${palette.id}">${palette.label}</option>`).join('');
+    paletteSelect.value = colorPalette;
+}
+
+// Nest the clusters by another ordered list of dimensions (see hierarchy.js). Only the user's own edits
+// are saved (persist); levels from a link apply to this session
+async function setHierarchyLevels(keys, persist = true) {
+    if (keys.join() === Hierarchy.getHierarchy().join()) return;
+    if (!Hierarchy.setHierarchy(keys, persist)) return;
+    renderHierarchySummary();
+    if (graphData) await relayoutClusters();
+}
+
+function renderHierarchySummary() {
+    document.getElementById('hierarchy-summary').textContent = Hierarchy.getLevels().map(level => level.label).join(' → ');
+}
+
+// Rebuild the cluster nodes for the current layout and hierarchy in the ingest worker; trips glide to their
+// new spots
+async function relayoutClusters() {
+    const graph = graphData;
+    let nodes;
+    try {
+        nodes = await Ingest.layoutTrips(graph.nodes.filter(n => n.type === 'trip'), getLayoutSettings(), 'layout');
+    } catch (error) {
+        if (error.name !== 'AbortError') console.error('Error:', error);
+        return;
+    }
+    if (graphData !== graph) return; // Rebuilt meanwhile, by the current settings
+
+    graphData = { ...graph, nodes };
+    deckData = DataProcessor.nodesToDeckData(graphData.nodes);
+    updateDerivedLayouts(true);
+
+    if (viewMode === 'cluster') {
+        modeTransitionUntil = Date.now() + MODE_TRANSITION_MS;
+        deckgl.setProps({
+            initialViewState: {
+                ...getInitialViewState(),
+                transitionDuration: MODE_TRANSITION_MS,
+                transitionInterpolator: new deck.FlyToInterpolator()
+            }
+        });
+        setTimeout(updateLayers, MODE_TRANSITION_MS + 50);
+    }
+    applyFilters();
+    syncUrlState(true);
+}
+
+// Dashboard state as recorded in the URL hash
+function getUrlState() {
+    const rules = Scenarios.getScenarioRules();
+    return {
+        view: viewMode,
+        layout: layoutMode,
+        levels: Hierarchy.getHierarchy(),
+        metric: metricMode,
+        color: colorMode,
+        palette: colorPalette,
+        camera: currentViewState && {
+            longitude: currentViewState.longitude,
+            latitude: currentViewState.latitude,
+            zoom: currentViewState.zoom
+        },
+        time: Timeline.getTimeWindow(),
+        filters: Filters.getActiveFilters(),
+        search: document.getElementById('text-search')?.value.trim() || '',
+        scenario: rules.length > 0 ? { rules, enabled: Scenarios.isScenarioActive() } : null,
+        hidden: [['departments', 'show-departments'], ['trips', 'show-trips']]
+            .filter(([, id]) => document.getElementById(id)?.checked === false)
+            .map(([name]) => name),
+        selection: getSelectionKey(selectedNode)
+    };
+}
+
+// push adds a history entry for navigation (selection, view switch); other changes update the current one
+function syncUrlState(push = false) {
+    if (restoringUrlState || !graphData) return;
+    clearTimeout(urlSyncTimer);
+    UrlState.writeState(getUrlState(), push);
+}
+
+// Restore a decoded URL state onto the loaded data
+async function applyUrlState(state) {
+    restoringUrlState = true;
+    try {
+        // The selection below is looked up among the re-nested clusters
+        if (state.levels) await setHierarchyLevels(state.levels, false);
+        if (state.layout !== layoutMode) await setLayoutMode(state.layout);
+        metricMode = state.metric;
+        document.getElementById('metric-select').value = metricMode;
+        setColorMode(state.color, state.palette, false);
+        viewMode = state.view;
+        document.querySelectorAll('#view-mode-toggle button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === viewMode);
+        });
+        Timeline.setTimeWindow(state.time);
+        Filters.setActiveFilters(state.filters);
+        Scenarios.setScenarioRules(state.scenario?.rules || [], state.scenario?.enabled);
+        updateDerivedLayouts();
+        document.getElementById('text-search').value = state.search;
+        document.getElementById('show-departments').checked = !state.hidden.includes('departments');
+        document.getElementById('show-trips').checked = !state.hidden.includes('trips');
+
+        applyFilters();
+        selectNode(findNodeByKey(state.selection));
+
+        const camera = state.camera || (viewMode === 'geo' && getGeoViewState()) || getInitialViewState();
+        currentZoom = camera.zoom;
+        currentViewState = camera;
+        deckgl.setProps({ initialViewState: { ...camera, minZoom: -2, maxZoom: 20 } });
+        updateLayers();
+        updateLayerIndicator();
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
+// Recompute the map for a sidebar change and record it in the URL
+function onControlsChange() {
+    applyFilters();
+    syncUrlState();
+}
+
+function getGeoViewState() {
+    const bounds = geoData && Geo.getGeoBounds(geoData);
+    if (!bounds) return null;
+
+    const container = document.getElementById('deck-container');
+    const viewport = new deck.WebMercatorViewport({ width: container.clientWidth, height: container.clientHeight });
+    const { longitude, latitude, zoom } = viewport.fitBounds(
+        [[bounds[0], bounds[2]], [bounds[1], bounds[3]]],
+        { padding: { top: 80, bottom: 80, left: 400, right: 260 } }
+    );
+
+    return { longitude, latitude, zoom: Math.min(zoom, 8), minZoom: -2, maxZoom: 20 };
+}
+
+function updateLayerIndicator() {
+    const hint = document.getElementById('zoom-hint');
+
+    if (hint) {
+        if (viewMode === 'geo') {
+            const unresolved = geoData ? geoData.unresolved.length : 0;
+            hint.innerHTML = `<span class="hint-icon">🌍</span> <span class="hint-text"><strong>Geographic Routes</strong><br>${unresolved > 0
+                ? `<span title="${geoData.unresolved.join(', ')}">${unresolved} cities not in the coordinates table</span>`
+                : 'Arc width = route emissions'}</span>`;
+        } else {
+            const level = getZoomLevel();
+            const next = Hierarchy.getLevels()[level.level];
+            const text = level.level === 1
+                ? 'Zoom in to explore'
+                : level.hint || (next ? `Zoom for ${next.plural}` : 'Zoom for individual trips');
+            hint.innerHTML = `<span class="hint-icon">${level.icon || '💡'}</span> <span class="hint-text"><strong>${level.plural}</strong><br>${text}</span>`;
         }
     }
+
+    const legend = getLegend();
+    const legendTitle = document.querySelector('.legend-title');
+    const legendItems = document.querySelector('.legend-items');
+    renderedLegend = legend;
+    if (legendTitle) legendTitle.textContent = legend.title;
+    if (legendItems) {
+        const item = (entry, i) => `
+            <div class="legend-item ${entry.state ? `is-${entry.state}` : ''} ${legend.filterKey ? 'is-clickable' : ''}" data-index="${i}"
+                ${legend.filterKey ? 'title="Click to show only this"' : ''}>
+                <span class="legend-dot" style="background: rgb(${entry.color.join(',')})"></span>
+                <span class="legend-label">${Html.escapeHTML(entry.label)}</span>
+                ${legend.filterKey ? `<button class="legend-hide" data-index="${i}" title="${entry.state === 'hidden' ? 'Show' : 'Hide'}">${entry.state === 'hidden' ? '+' : '×'}</button>` : ''}
+            </div>
+        `;
+        // Continuous scales get a gradient bar with ticks; only the "No value" entry stays a dot
+        legendItems.innerHTML = legend.gradient ? `
+            <div class="legend-gradient" style="background: linear-gradient(to right, ${legend.gradient.join(', ')})"></div>
+            <div class="legend-ticks">${legend.ticks.map(tick => `<span>${tick}</span>`).join('')}</div>
+            ${legend.items.slice(legend.ticks.length).map(item).join('')}
+        ` : legend.items.map(item).join('') +
+            (legend.more > 0 ? `<small style="color:var(--text-secondary);margin-top:4px;display:block">+ ${legend.more} more</small>` : '');
+    }
+}
+
+// Deepest hierarchy level shown at the current zoom
+function getZoomLevel() {
+    const levels = Hierarchy.getLevels();
+    return [...levels].reverse().find(level => currentZoom >= level.minZoom) || levels[0];
+}
+
+// Legend for the current view mode and zoom band (see ColorScales.getScaleLegend)
+function getLegend() {
+    if (viewMode === 'geo') {
+        return {
+            title: 'Geographic Routes',
+            items: [
+                { label: 'Origin', color: [56, 189, 248] },
+                { label: 'Destination', color: [244, 114, 182] },
+                { label: 'City hub (size = CO₂)', color: [251, 191, 36] }
+            ],
+            more: 0
+        };
+    }
+
+    // Continuous scales describe the clusters of the level in view
+    const level = getZoomLevel();
+    const levelNodes = displayData ? Layers.getNodeIndex(displayData.nodes).ofLevel(level.level) : [];
+    if (isComparing() && deltaLayout) {
+        return Comparison.getDeltaLegend(levelNodes, deltaMeasure, level.plural);
+    }
+    return ColorScales.getScaleLegend(
+        levelNodes,
+        graphData ? Layers.getNodeIndex(graphData.nodes).trips : [],
+        getColorOptions(),
+        level.plural,
+        Filters.getActiveFilters()
+    );
 }
 
 function getTooltip({ object }) {
@@ -163,28 +860,112 @@ function getTooltip({ object }) {
     const node = object;
     const colorStyle = `color:rgb(${node.color?.join(',') || '150,150,150'})`;
 
-    if (node.type === 'department') {
+    if (node.type === 'geo-route') {
+        return {
+            html: `
+        <div style="font-weight:700;font-size:14px;margin-bottom:6px">${node.name}</div>
+        <div><b>Trips:</b> ${node.tripCount.toLocaleString()}</div>
+        <div><b>Distance:</b> ${Math.round(node.distance).toLocaleString()} km</div>
+        <div><b>Emissions:</b> ${formatEmissions(node.emissions)} kg CO₂</div>
+      `,
+            style: tooltipStyle()
+        };
+    } else if (node.type === 'trip-aggregate') {
+        const topDepartments = node.departments.slice(0, 3)
+            .map(dept => `${dept.name} ${Math.round((dept.emissions / node.emissions || 0) * 100)}%`).join(', ');
+        return {
+            html: `
+        <div style="font-weight:700;font-size:14px;margin-bottom:6px;${colorStyle}">${node.name}</div>
+        <div><b>Emissions:</b> ${formatEmissions(node.emissions)} kg CO₂</div>
+        <div><b>Per trip:</b> ${formatEmissions(node.emissions / node.tripCount)} kg CO₂</div>
+        <div><b>Net cost:</b> ${Math.round(node.cost).toLocaleString()}</div>
+        <div><b>Departments:</b> ${topDepartments}${node.departments.length > 3 ? ` +${node.departments.length - 3} more` : ''}</div>
+        <div style="color:#94a3b8">Click to zoom in</div>
+      `,
+            style: tooltipStyle()
+        };
+    } else if (node.type === 'city-hub') {
+        return {
+            html: `
+        <div style="font-weight:700;font-size:14px;margin-bottom:6px">${node.name}</div>
+        <div><b>Departures + arrivals:</b> ${node.tripCount.toLocaleString()}</div>
+        <div><b>Emissions:</b> ${formatEmissions(node.emissions)} kg CO₂</div>
+      `,
+            style: tooltipStyle()
+        };
+    } else if (node.level === 1) {
+        const budget = node.type === 'department' ? budgetStatus?.statuses.get(node.name) : null;
         return {
             html: `
         <div style="font-weight:700;font-size:16px;margin-bottom:8px;${colorStyle}">${node.name}</div>
         <div><b>Trips:</b> ${node.tripCount?.toLocaleString() || 0}</div>
         <div><b>Total Emissions:</b> ${formatEmissions(node.emissions)} kg CO₂</div>
+        ${getMetricTooltip(node)}
+        ${getDeltaTooltip(node)}
+        ${node.baselineEmissions !== undefined ? `
+        <div><b>Baseline:</b> ${formatEmissions(node.baselineEmissions)} kg CO₂</div>
+        <div><b>Scenario savings:</b> ${formatEmissions(node.baselineEmissions - node.emissions)} kg CO₂</div>` : ''}
+        ${budget ? `
+        <div><b>Budget ${budgetStatus.period?.year || ''}:</b> ${formatEmissions(budget.consumed)} of ${formatEmissions(budget.budget)} kg CO₂ (${Math.round(budget.share * 100)}%)</div>
+        <div><b>Projected year-end:</b> ${formatEmissions(budget.projected)} kg CO₂</div>` : ''}
       `,
             style: tooltipStyle() // Uses .deck-tooltip class in CSS usually, but here we can return object
         };
+    } else if (node.type !== 'trip') {
+        const path = node.path.join(' · ');
+        return {
+            html: `
+        <div style="font-weight:700;font-size:14px;margin-bottom:6px;${colorStyle}">${node.name}</div>
+        <div><b>${DetailPanel.getNodeTypeLabel(node.type)}</b> in ${path}</div>
+        ${getMetricTooltip(node)}
+        ${getDeltaTooltip(node)}
+        <div style="color:#94a3b8">Click for details</div>
+      `,
+            style: tooltipStyle()
+        };
     } else {
         return {
             html: `
         <div style="font-weight:700;font-size:14px;margin-bottom:6px">Trip</div>
         <div><b>Route:</b> ${node.route || node.name || 'N/A'}</div>
         <div><b>Department:</b> ${node.department}</div>
-        <div><b>Emissions:</b> ${formatEmissions(node.emissions)} kg CO₂</div>
+        <div><b>Emissions:</b> ${formatEmissions(node.emissions)} kg CO₂ <span style="color:#94a3b8">(${node.emissionSource || 'reported'})</span></div>
+        ${getMetricTooltip(node)}
+        ${node.emissionSource === 'estimated' ? `
+        <div><b>Factor:</b> ${node.factor} kg/km · ${node.factorBand}</div>
+        <div><b>Distance:</b> ${Math.round(node.distance).toLocaleString()} km</div>
+        <div><b>Factor set:</b> ${node.factorSet}</div>` : ''}
+        ${node.baselineEmissions !== undefined ? `<div><b>Baseline:</b> ${formatEmissions(node.baselineEmissions)} kg CO₂ by ${node.baselineMode}</div>` : ''}
+        ${node.source ? `<div><b>Source:</b> ${node.source}</div>` : ''}
       `,
             style: tooltipStyle()
         };
     }
 }
 
+// Tooltip lines for period comparison: both periods' emissions and the change
+function getDeltaTooltip(node) {
+    if (!node.delta) return '';
+    return `
+        <div><b>Baseline period:</b> ${formatEmissions(node.delta.baseline)} kg CO₂</div>
+        <div><b>This period:</b> ${formatEmissions(node.delta.current)} kg CO₂</div>
+        <div><b>Change:</b> ${Comparison.describeDelta(node.delta)}</div>
+    `;
+}
+
+// Tooltip line for the chosen intensity metric; top-level clusters also get their rank
+function getMetricTooltip(node) {
+    if (metricMode === 'total' || node.metricValue === undefined) return '';
+
+    let rank = '';
+    if (node.level === 1 && node.metricValue !== null) {
+        const ranked = displayData.nodes.filter(n => n.level === 1 && n.metricValue !== null);
+        const position = ranked.filter(n => n.metricValue > node.metricValue).length + 1;
+        rank = ` <span style="color:#94a3b8">(#${position} of ${ranked.length})</span>`;
+    }
+    return `<div><b>${Metrics.METRICS[metricMode].label}:</b> ${Metrics.formatMetricValue(node.metricValue, metricMode)}${rank}</div>`;
+}
+
 function tooltipStyle() {
     return {
         backgroundColor: 'rgba(15, 23, 42, 0.9)',
@@ -205,29 +986,458 @@ function formatEmissions(value) {
 }
 
 function updateStats() {
-    if (!graphData) return;
+    if (!displayData) return;
 
     document.getElementById('total-emissions').textContent =
-        formatEmissions(graphData.totalEmissions) + ' kg';
+        formatEmissions(displayData.totalEmissions) + ' kg';
 
     document.getElementById('visible-nodes').textContent =
-        `${graphData.counts.departments} depts, ${graphData.counts.trips.toLocaleString()} trips`;
+        `${displayData.counts.departments} depts, ${displayData.counts.trips.toLocaleString()} trips`;
+
+    renderMetricRanking();
+    renderScenarioResults();
+}
+
+// Overall value of the chosen metric and the departments and routes ranked by it
+function renderMetricRanking() {
+    const container = document.getElementById('metric-ranking');
+    if (!container) return;
+
+    const RANKING_SIZE = 5;
+    const metric = Metrics.METRICS[metricMode];
+    const trips = displayData.nodes.filter(n => n.type === 'trip');
+    const departments = Metrics.rankGroups(trips, trip => trip.department, metricMode, trip => trip.department);
+    const routes = Metrics.rankGroups(trips, trip => trip.route, metricMode);
+    const overall = Metrics.rankGroups(trips, () => 'All', metricMode)[0];
+
+    const note = document.getElementById('metric-note');
+    if (metricMode === 'perEmployee') {
+        const total = departments.reduce((sum, dept) => sum + (dept.value !== null ? dept.emissions : 0), 0);
+        const known = departments.filter(dept => dept.value !== null).length;
+        note.textContent = Metrics.hasHeadcounts()
+            ? `${known} of ${departments.length} departments have a headcount · ${formatEmissions(total)} kg CO₂ covered`
+            : 'Import a headcount file (department, headcount) to compare per employee';
+    } else {
+        note.textContent = metricMode === 'total'
+            ? 'Cluster size = total emissions'
+            : `Overall ${Metrics.formatMetricValue(overall?.value ?? null, metricMode)} · size and colour follow ${metric.unit}`;
+    }
+
+    const table = (title, rows) => `
+        <span class="facet-title">${title} by ${metric.label}</span>
+        <table class="data-table savings-table">
+            ${rows.slice(0, RANKING_SIZE).map((row, i) => `
+                <tr>
+                    <td>${i + 1}. ${Html.escapeHTML(row.name)}</td>
+                    <td>${metricMode === 'total' ? `${formatEmissions(row.value)} kg` : Metrics.formatMetricValue(row.value, metricMode)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+    // Routes span departments, so they have no headcount
+    container.innerHTML = table('Departments', departments) + (metricMode === 'perEmployee' ? '' : table('Routes', routes));
+}
+
+function renderSourceList() {
+    const list = document.getElementById('source-list');
+    if (!list) return;
+
+    if (dataSources.size === 0) {
+        list.innerHTML = '<small class="empty-note">No files loaded</small>';
+        return;
+    }
+
+    // File names are arbitrary text, so they go in as text rather than markup
+    list.replaceChildren(...Array.from(dataSources.entries()).map(([name, rows]) => {
+        const item = document.createElement('div');
+        item.className = 'source-item';
+        item.innerHTML = `
+            <span class="source-name"></span>
+            <span class="source-count">${rows.length.toLocaleString()} rows</span>
+            <button class="source-remove" title="Remove file">×</button>
+        `;
+        const label = item.querySelector('.source-name');
+        label.textContent = name;
+        label.title = name;
+        const button = item.querySelector('.source-remove');
+        button.dataset.source = name;
+        button.addEventListener('click', () => removeSource(button.dataset.source));
+        return item;
+    }));
+}
+
+function renderValidationSummary() {
+    const summary = document.getElementById('validation-summary');
+    if (!summary) return;
+
+    if (!validationReport || (validationReport.rejected.length === 0 && validationReport.suspicious.length === 0)) {
+        summary.classList.add('is-hidden');
+        return;
+    }
+
+    summary.classList.remove('is-hidden');
+    document.getElementById('validation-counts').innerHTML = `
+        <span class="validation-rejected">${validationReport.rejected.length.toLocaleString()} rejected</span> ·
+        <span class="validation-suspicious">${validationReport.suspicious.length.toLocaleString()} suspicious</span>
+        <small>of ${validationReport.total.toLocaleString()} rows</small>
+    `;
+}
+
+function renderFactorSets() {
+    const select = document.getElementById('factor-set-select');
+    if (!select) return;
+
+    const active = EmissionEngine.getActiveFactorSet();
+    select.innerHTML = EmissionEngine.getFactorSets().map(set => `
+        <option value="${set.id}" ${set === active ? 'selected' : ''}>${EmissionEngine.getFactorSetLabel(set)}</option>
+    `).join('');
+
+    const note = document.getElementById('factor-note');
+    const estimated = validationReport?.estimated || 0;
+    note.textContent = estimated > 0
+        ? `${estimated.toLocaleString()} trips estimated from factors`
+        : 'Used for rows without Carbon Emission';
+}
+
+async function loadFactorSet(file) {
+    try {
+        const set = await EmissionEngine.loadFactorSetFile(file);
+        EmissionEngine.setActiveFactorSet(set.id);
+        if (graphData) await rebuildGraph();
+        else renderFactorSets();
+    } catch (error) {
+        console.error('Error:', error);
+        document.getElementById('factor-note').textContent = `Error: ${error.message}`;
+    }
+}
+
+function openValidationReport() {
+    if (!validationReport) return;
+
+    const MAX_ROWS = 500;
+    const rows = Validator.reportToRows(validationReport);
+    const table = document.getElementById('validation-table');
+    table.innerHTML = '<tr><th>Status</th><th>File</th><th>Row</th><th>Reasons</th></tr>';
+    // File names and reasons (which quote cell values) are arbitrary text, so they go in as text rather than markup
+    rows.slice(0, MAX_ROWS).forEach(row => {
+        const tr = table.insertRow();
+        tr.className = `validation-${row.Status.toLowerCase()}`;
+        [row.Status, row.Source, row.Row, row.Reasons].forEach(value => {
+            tr.insertCell().textContent = value;
+        });
+    });
+    document.getElementById('validation-truncated').textContent = rows.length > MAX_ROWS
+        ? `Showing the first ${MAX_ROWS} of ${rows.length.toLocaleString()} rows. Download the report for the full list.`
+        : '';
+    document.getElementById('validation-dialog').classList.remove('is-hidden');
+}
+
+// Re-run the current search against freshly built nodes
+function refreshSearch() {
+    searchMatches = Search.setSearchData(displayData.nodes);
+}
+
+// Baseline vs scenario totals and the per-department savings table in the Metrics panel
+function renderScenarioResults() {
+    const container = document.getElementById('scenario-results');
+    if (!container) return;
+
+    if (!scenarioComparison) {
+        container.classList.add('is-hidden');
+        return;
+    }
+
+    const { baseline, scenario, savings, tripsRemoved, departments } = scenarioComparison;
+    const percent = baseline > 0 ? (savings / baseline) * 100 : 0;
+    container.classList.remove('is-hidden');
+    container.innerHTML = `
+        <div class="stats-grid stats-grid-3">
+            <div class="stat-item">
+                <span class="stat-label">Baseline</span>
+                <span class="stat-value">${formatEmissions(baseline)} kg</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Scenario</span>
+                <span class="stat-value">${formatEmissions(scenario)} kg</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Savings</span>
+                <span class="stat-value ${savings >= 0 ? 'value-good' : 'value-bad'}">${percent.toFixed(1)}%</span>
+            </div>
+        </div>
+        <small class="empty-note">${formatEmissions(savings)} kg CO₂ saved${tripsRemoved > 0 ? ` · ${tripsRemoved.toLocaleString()} trips removed` : ''}</small>
+        <table class="data-table savings-table">
+            <tr><th>Department</th><th>Baseline</th><th>Scenario</th><th>Saved</th></tr>
+            ${departments.filter(d => d.savings !== 0).map(d => `
+                <tr>
+                    <td><span class="legend-dot" style="background: rgb(${d.color.join(',')})"></span> ${d.name}</td>
+                    <td>${formatEmissions(d.baseline)}</td>
+                    <td>${formatEmissions(d.scenario)}</td>
+                    <td class="${d.savings >= 0 ? 'value-good' : 'value-bad'}">${formatEmissions(d.savings)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// Recompute budget consumption over all loaded trips and list the departments at risk
+function updateBudgets() {
+    if (!graphData) return;
+
+    budgetStatus = Budgets.hasBudgets()
+        ? Budgets.computeBudgetStatus(graphData.nodes.filter(n => n.type === 'trip'))
+        : null;
+    renderBudgetAlerts();
+    updateLayers();
+}
+
+function renderBudgetAlerts() {
+    const note = document.getElementById('budget-period');
+    const list = document.getElementById('budget-alerts');
+    if (!note || !list) return;
+
+    if (!budgetStatus) {
+        note.textContent = 'No budgets set';
+        list.innerHTML = '';
+        return;
+    }
+
+    const { period, statuses } = budgetStatus;
+    note.textContent = period
+        ? `${period.year} · data covers ${Math.round(period.elapsed * 100)}% of the year`
+        : 'No trip dates; totals treated as a full year';
+
+    const alerts = Budgets.getBudgetAlerts(budgetStatus);
+    list.innerHTML = alerts.length === 0
+        ? `<small class="empty-note">All ${statuses.size} budgets on track</small>`
+        : alerts.map(alert => `
+            <div class="budget-alert budget-${alert.state}">
+                <div class="range-header">
+                    <span>${Html.escapeHTML(alert.label)}</span>
+                    <span class="budget-share">${Math.round(alert.share * 100)}%</span>
+                </div>
+                <div class="budget-bar"><span style="width: ${Math.min(100, alert.share * 100)}%"></span></div>
+                <small>${alert.projectedOverrun > 0
+                    ? `Projected ${formatEmissions(alert.projected)} kg · ${formatEmissions(alert.projectedOverrun)} kg over by year-end`
+                    : `Projected ${formatEmissions(alert.projected)} kg of ${formatEmissions(alert.budget)} kg`}</small>
+            </div>
+        `).join('');
+}
+
+async function importBudgets(file) {
+    try {
+        await Budgets.importBudgetFile(file);
+        updateBudgets();
+    } catch (error) {
+        console.error('Error:', error);
+        document.getElementById('budget-period').textContent = `Error: ${error.message}`;
+    }
+}
+
+async function importHeadcounts(file) {
+    try {
+        await Metrics.importHeadcountFile(file);
+        if (metricMode === 'perEmployee') applyFilters();
+        else setMetricMode('perEmployee');
+    } catch (error) {
+        console.error('Error:', error);
+        document.getElementById('metric-note').textContent = `Error: ${error.message}`;
+    }
+}
+
+// Which data, filters and settings produced what the map shows, for exports
+function getExportMetadata() {
+    const timeRange = Timeline.getTimeRange();
+    return {
+        exportedAt: new Date().toISOString(),
+        sources: Array.from(dataSources.keys()),
+        factorSet: EmissionEngine.getFactorSetLabel(EmissionEngine.getActiveFactorSet()),
+        timeRange: timeRange
+            ? `${Timeline.formatMonth(timeRange.start)} – ${Timeline.formatMonth(timeRange.end - 1)}`
+            : 'All time',
+        filters: Filters.getActiveFilters(),
+        scenario: Scenarios.isScenarioActive() ? Scenarios.getScenarioRules() : null,
+        trips: displayData.counts.trips,
+        totalEmissions: Math.round(displayData.totalEmissions * 1000) / 1000
+    };
+}
+
+// Everything a snapshot needs to redraw the current view with its legend and metrics
+function getSnapshotState() {
+    const metadata = getExportMetadata();
+    const filters = Object.entries(metadata.filters).map(([key, values]) => `${key}: ${values.join(', ')}`);
+    return {
+        deck: deckgl,
+        viewMode,
+        nodes: displayData.nodes,
+        zoom: currentZoom,
+        options: {
+            showDepartments: document.getElementById('show-departments')?.checked !== false,
+            showTrips: document.getElementById('show-trips')?.checked !== false
+        },
+        legend: getLegend(),
+        metrics: [
+            { label: 'Total CO₂', value: `${formatEmissions(displayData.totalEmissions)} kg` },
+            metricMode !== 'total' ? {
+                label: Metrics.METRICS[metricMode].label,
+                value: Metrics.formatMetricValue(
+                    Metrics.rankGroups(displayData.nodes.filter(n => n.type === 'trip'), () => 'All', metricMode)[0]?.value ?? null,
+                    metricMode
+                )
+            } : null,
+            { label: 'Departments', value: displayData.counts.departments.toLocaleString() },
+            { label: 'Trips', value: displayData.counts.trips.toLocaleString() }
+        ].filter(Boolean),
+        details: [
+            metadata.timeRange,
+            filters.length > 0 ? `Filters · ${filters.join(' · ')}` : null,
+            metadata.scenario ? `Scenario · ${metadata.scenario.length} rule(s) applied` : null,
+            metadata.sources.length > 0 ? `Source · ${metadata.sources.join(', ')}` : null
+        ]
+    };
 }
 
 function setupUI() {
-    const searchInput = document.getElementById('text-search');
-    let searchTimeout;
-    searchInput.addEventListener('input', (e) => {
-        clearTimeout(searchTimeout);
-        searchTimeout = setTimeout(() => {
-            searchMatches = Layers.searchNodes(graphData.nodes, e.target.value);
-            updateLayers();
-        }, 200);
+    Search.setupSearch(() => {
+        refreshSearch();
+        updateLayers();
+        syncUrlState();
+    }, node => selectNode(node, true), node => getFlyTarget(node) !== null);
+
+    Timeline.setupTimeline(onControlsChange);
+    Filters.setupFilters(onControlsChange);
+    Scenarios.setupScenarios(handleScenarioChange);
+    Exporter.setupExportDialog(() => displayData.nodes.filter(n => n.type === 'trip'), getExportMetadata);
+    Snapshot.setupSnapshotDialog(getSnapshotState);
+    DetailPanel.setupDetailPanel(node => selectNode(node, true), () => selectNode(null));
+    Charts.setupCharts(() => {
+        updateBrushedIds();
+        updateLayers();
+    });
+    RouteIndex.setupRouteIndex(() => (displayData?.nodes || []).filter(n => n.type === 'trip'), () => {
+        updateRouteHighlight();
+        updateLayers();
+    });
+
+    // Validation report
+    document.getElementById('validation-review').addEventListener('click', openValidationReport);
+    document.getElementById('validation-download').addEventListener('click', () => Validator.downloadReport(validationReport));
+    document.getElementById('validation-download-all').addEventListener('click', () => Validator.downloadReport(validationReport));
+    document.getElementById('validation-close').addEventListener('click', () => {
+        document.getElementById('validation-dialog').classList.add('is-hidden');
+    });
+
+    // Emission factors
+    document.getElementById('factor-set-select').addEventListener('change', (e) => {
+        EmissionEngine.setActiveFactorSet(e.target.value);
+        rebuildGraph();
+    });
+    const factorInput = document.getElementById('factor-file-input');
+    document.getElementById('factor-load').addEventListener('click', () => factorInput.click());
+    factorInput.addEventListener('change', () => {
+        const file = factorInput.files[0];
+        factorInput.value = '';
+        if (file) loadFactorSet(file);
+    });
+
+    // Period comparison
+    const baselineInput = document.getElementById('baseline-file-input');
+    document.getElementById('baseline-load').addEventListener('click', () => baselineInput.click());
+    baselineInput.addEventListener('change', () => {
+        const files = Array.from(baselineInput.files);
+        baselineInput.value = '';
+        if (files.length > 0) importBaseline(files);
+    });
+    document.getElementById('baseline-remove').addEventListener('click', removeBaseline);
+    document.getElementById('comparison-enabled').addEventListener('change', (e) => {
+        comparisonEnabled = e.target.checked;
+        renderComparisonControls();
+        updateDerivedLayouts();
+        applyFilters();
+    });
+    const deltaSelect = document.getElementById('delta-measure-select');
+    deltaSelect.innerHTML = Object.entries(Comparison.DELTA_MEASURES)
+        .map(([id, measure]) => `<option value="${id}">${measure.label}</option>`).join('');
+    deltaSelect.value = deltaMeasure;
+    deltaSelect.addEventListener('change', () => {
+        deltaMeasure = deltaSelect.value;
+        applyFilters();
+    });
+    renderComparisonControls();
+
+    // Budgets
+    const budgetInput = document.getElementById('budget-file-input');
+    document.getElementById('budget-import').addEventListener('click', () => budgetInput.click());
+    budgetInput.addEventListener('change', () => {
+        const file = budgetInput.files[0];
+        budgetInput.value = '';
+        if (file) importBudgets(file);
+    });
+    document.getElementById('budget-edit').addEventListener('click', () => {
+        Budgets.openBudgetEditor(graphData.departments.map(dept => dept.name), updateBudgets);
+    });
+
+    // Colour-by mode and palette
+    const colorModeSelect = document.getElementById('color-mode-select');
+    colorModeSelect.innerHTML = Object.entries(ColorScales.COLOR_MODES)
+        .map(([id, mode]) => `<option value="${id}">${mode.label}</option>`).join('');
+    renderColorControls();
+    colorModeSelect.addEventListener('change', () => setColorMode(colorModeSelect.value));
+    document.getElementById('palette-select').addEventListener('change', (e) => setColorMode(colorMode, e.target.value));
+
+    // Legend items narrow the matching filter: clicking one isolates it, × hides it
+    document.querySelector('.legend-items').addEventListener('click', (event) => {
+        const target = event.target.closest('[data-index]');
+        if (!target || !renderedLegend?.filterKey) return;
+        const item = renderedLegend.items[Number(target.dataset.index)];
+        Filters.toggleFacetValue(renderedLegend.filterKey, item.value, target.classList.contains('legend-hide') ? 'hide' : 'isolate');
+    });
+
+    // Intensity metric
+    const metricSelect = document.getElementById('metric-select');
+    metricSelect.innerHTML = Object.entries(Metrics.METRICS)
+        .map(([id, metric]) => `<option value="${id}">${metric.label}</option>`).join('');
+    metricSelect.value = metricMode;
+    metricSelect.addEventListener('change', () => setMetricMode(metricSelect.value));
+    const headcountInput = document.getElementById('headcount-file-input');
+    document.getElementById('headcount-import').addEventListener('click', () => headcountInput.click());
+    headcountInput.addEventListener('change', () => {
+        const file = headcountInput.files[0];
+        headcountInput.value = '';
+        if (file) importHeadcounts(file);
+    });
+
+    // Ring positions are remembered across imports; this starts over from the current data
+    document.getElementById('layout-reset').addEventListener('click', () => {
+        HierarchyLayouts.resetLayoutMemory();
+        rebuildGraph();
+    });
+
+    // Cluster grouping levels
+    renderHierarchySummary();
+    document.getElementById('hierarchy-edit').addEventListener('click', () => {
+        Hierarchy.openHierarchyEditor((graphData?.nodes || []).filter(n => n.type === 'trip'), keys => setHierarchyLevels(keys));
+    });
+
+    // Cluster layout strategy
+    const layoutSelect = document.getElementById('layout-select');
+    layoutSelect.innerHTML = Object.entries(HierarchyLayouts.LAYOUTS)
+        .map(([id, layout]) => `<option value="${id}">${layout.label}</option>`).join('');
+    layoutSelect.value = layoutMode;
+    layoutSelect.addEventListener('change', () => setLayoutMode(layoutSelect.value));
+
+    // View mode
+    document.querySelectorAll('#view-mode-toggle button').forEach(button => {
+        button.addEventListener('click', () => setViewMode(button.dataset.mode));
     });
 
     // Checkboxes
-    document.getElementById('show-departments')?.addEventListener('change', updateLayers);
-    document.getElementById('show-trips')?.addEventListener('change', updateLayers);
+    ['show-departments', 'show-trips'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            updateLayers();
+            syncUrlState();
+        });
+    });
 }
 
 
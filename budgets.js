@@ -0,0 +1,186 @@
+/**
+ * Carbon Budgets for Carbon Emissions Network Map
+ * Annual CO₂ budgets per department (and optionally per purpose) with year-end projections
+ */
+
+const BUDGET_STORAGE_KEY = 'carbon-net.budgets';
+const BUDGET_WARNING_SHARE = 0.8; // "near" limit from 80% consumption
+
+const BUDGET_STATUS_COLORS = {
+    ok: [52, 211, 153],
+    near: [245, 158, 11],
+    over: [239, 68, 68]
+};
+
+// { departments: { name: kg }, purposes: { 'dept|purpose': kg } }
+let carbonBudgets = loadBudgets();
+
+function loadBudgets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BUDGET_STORAGE_KEY));
+        return { departments: stored?.departments || {}, purposes: stored?.purposes || {} };
+    } catch (error) {
+        console.warn('Ignoring unreadable budgets:', error);
+        return { departments: {}, purposes: {} };
+    }
+}
+
+function saveBudgets() {
+    localStorage.setItem(BUDGET_STORAGE_KEY, JSON.stringify(carbonBudgets));
+}
+
+function getBudgets() {
+    return carbonBudgets;
+}
+
+function setBudgets(budgets) {
+    carbonBudgets = { departments: { ...budgets.departments }, purposes: { ...budgets.purposes } };
+    saveBudgets();
+}
+
+function hasBudgets() {
+    return Object.keys(carbonBudgets.departments).length > 0 || Object.keys(carbonBudgets.purposes).length > 0;
+}
+
+// Read a budget CSV with a department column, a budget column and an optional purpose column
+async function importBudgetFile(file) {
+    const rows = await DataProcessor.parseCSV(file);
+    const headers = ColumnMapping.detectHeaders(rows);
+    const find = (...keywords) => headers.find(h => keywords.some(k => h.toLowerCase().includes(k)));
+
+    const deptColumn = find('dept', 'department', 'business unit');
+    const budgetColumn = find('budget', 'limit', 'co2', 'kg');
+    const purposeColumn = find('purpose');
+    if (!deptColumn || !budgetColumn) {
+        throw new Error('Budget file needs a department column and a budget column');
+    }
+
+    const budgets = { departments: {}, purposes: {} };
+    rows.forEach(row => {
+        const dept = row[deptColumn];
+        const budget = Validator.parseNumber(row[budgetColumn]);
+        if (!dept || !Number.isFinite(budget) || budget <= 0) return;
+
+        const purpose = purposeColumn ? row[purposeColumn] : null;
+        if (purpose) budgets.purposes[`${dept}|${purpose}`] = budget;
+        else budgets.departments[dept] = budget;
+    });
+
+    setBudgets(budgets);
+    return budgets;
+}
+
+// Year the budgets are measured against (latest year in the data) and how much of it the data covers
+function getBudgetPeriod(trips) {
+    let latest = -Infinity;
+    trips.forEach(trip => {
+        if (trip.date !== null && trip.date > latest) latest = trip.date;
+    });
+    if (latest === -Infinity) return null;
+
+    const year = new Date(latest).getUTCFullYear();
+    const start = Date.UTC(year, 0, 1);
+    const end = Date.UTC(year + 1, 0, 1);
+    // Count the data as covering up to the end of its latest day
+    const elapsed = Math.min(1, (latest + 86400000 - start) / (end - start));
+    return { year, start, end, elapsed };
+}
+
+function getBudgetState(consumed, projected, budget) {
+    if (consumed >= budget) return 'over';
+    if (consumed >= budget * BUDGET_WARNING_SHARE || projected > budget) return 'near';
+    return 'ok';
+}
+
+// Consumption and year-end projection for every budgeted department and department|purpose
+function computeBudgetStatus(trips) {
+    const period = getBudgetPeriod(trips);
+    const consumed = new Map();
+
+    trips.forEach(trip => {
+        if (period && (trip.date === null || trip.date < period.start || trip.date >= period.end)) return;
+        consumed.set(trip.department, (consumed.get(trip.department) || 0) + trip.emissions);
+        const purposeKey = `${trip.department}|${trip.purpose}`;
+        consumed.set(purposeKey, (consumed.get(purposeKey) || 0) + trip.emissions);
+    });
+
+    const statuses = new Map();
+    const addStatus = (key, budget, label, kind) => {
+        const used = consumed.get(key) || 0;
+        // Without dates the data is treated as the full year
+        const projected = period ? used / period.elapsed : used;
+        statuses.set(key, {
+            key,
+            label,
+            kind,
+            budget,
+            consumed: used,
+            share: used / budget,
+            projected,
+            projectedOverrun: Math.max(0, projected - budget),
+            state: getBudgetState(used, projected, budget)
+        });
+    };
+
+    Object.entries(carbonBudgets.departments).forEach(([dept, budget]) => addStatus(dept, budget, dept, 'department'));
+    Object.entries(carbonBudgets.purposes).forEach(([key, budget]) => {
+        addStatus(key, budget, key.replace('|', ' · '), 'purpose');
+    });
+
+    return { period, statuses };
+}
+
+// Budgets that are over or near their limit, worst first
+function getBudgetAlerts(budgetStatus) {
+    return Array.from(budgetStatus.statuses.values())
+        .filter(status => status.state !== 'ok')
+        .sort((a, b) => b.projected / b.budget - a.projected / a.budget);
+}
+
+// Editor dialog listing every department (and any purpose budgets already set)
+function openBudgetEditor(departmentNames, onSave) {
+    const dialog = document.getElementById('budget-dialog');
+    const table = document.getElementById('budget-table');
+    const names = Array.from(new Set([...departmentNames, ...Object.keys(carbonBudgets.departments)])).sort();
+
+    table.innerHTML = `
+        <tr><th>Department</th><th>Annual budget (kg CO₂)</th></tr>
+        ${names.map((name, i) => `
+            <tr>
+                <td>${name}</td>
+                <td><input type="number" class="text-input" min="0" step="100" data-index="${i}" value="${carbonBudgets.departments[name] || ''}" placeholder="No budget"></td>
+            </tr>
+        `).join('')}
+        ${Object.entries(carbonBudgets.purposes).map(([key, budget]) => `
+            <tr><td>${key.replace('|', ' · ')}</td><td>${budget.toLocaleString()} <small class="empty-note">(from import)</small></td></tr>
+        `).join('')}
+    `;
+    dialog.classList.remove('is-hidden');
+
+    document.getElementById('budget-save').onclick = () => {
+        const departments = {};
+        table.querySelectorAll('input[data-index]').forEach(input => {
+            const value = Number(input.value);
+            if (value > 0) departments[names[Number(input.dataset.index)]] = value;
+        });
+        setBudgets({ departments, purposes: carbonBudgets.purposes });
+        dialog.classList.add('is-hidden');
+        onSave();
+    };
+    document.getElementById('budget-cancel').onclick = () => dialog.classList.add('is-hidden');
+    document.getElementById('budget-clear').onclick = () => {
+        setBudgets({ departments: {}, purposes: {} });
+        dialog.classList.add('is-hidden');
+        onSave();
+    };
+}
+
+window.Budgets = {
+    importBudgetFile,
+    computeBudgetStatus,
+    getBudgetAlerts,
+    openBudgetEditor,
+    getBudgets,
+    hasBudgets,
+    BUDGET_STATUS_COLORS
+};
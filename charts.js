@@ -0,0 +1,401 @@
+/**
+ * Charts Panel for Carbon Emissions Network Map
+ * Collapsible analytics drawn with d3 from the trips on the map: emissions by department and purpose, mode share,
+ * a Pareto of routes and cost vs emissions. Selecting chart items brushes the map; selecting a map node scopes the charts
+ */
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 190;
+const CHART_STACK_ROWS = 8;
+const CHART_PARETO_ROUTES = 12;
+const CHART_SCATTER_POINTS = 1500;
+const CHART_DONUT_LABELS = 6;
+
+let chartTrips = [];
+let chartScopeLabel = null; // Name of the map selection the charts are narrowed to
+let chartSelection = null; // { chart, key, label, matches(trip), range? } (range: the scatter rectangle in data units)
+let brushedTrips = null; // Set of chartTrips matching chartSelection
+let chartsOpen = false;
+let onChartSelect = null;
+
+const formatChartValue = d3.format('~s');
+
+function getDimensionValue(key) {
+    return Hierarchy.getDimension(key).getValue;
+}
+
+// Trips matching the chart selection, or null when nothing is selected or the panel is collapsed
+function getBrushedTrips() {
+    return chartsOpen ? brushedTrips : null;
+}
+
+function isBrushed(trips) {
+    return !brushedTrips || trips.some(trip => brushedTrips.has(trip));
+}
+
+function updateBrushedTrips() {
+    brushedTrips = chartSelection ? new Set(chartTrips.filter(chartSelection.matches)) : null;
+}
+
+// Trips the charts describe; scopeLabel names the map selection they are narrowed to (null for every trip on the map)
+function setChartData(trips, scopeLabel = null) {
+    chartTrips = trips;
+    chartScopeLabel = scopeLabel;
+    updateBrushedTrips();
+    if (chartsOpen) renderCharts();
+}
+
+// Select a chart item, or clear the selection when it is the one already selected
+function selectChartItem(selection) {
+    const same = chartSelection && selection && chartSelection.chart === selection.chart && chartSelection.key === selection.key;
+    chartSelection = same ? null : selection;
+    updateBrushedTrips();
+    renderCharts();
+    if (onChartSelect) onChartSelect();
+}
+
+function clearChartSelection() {
+    if (chartSelection) selectChartItem(null);
+}
+
+function createChart(id) {
+    return d3.select(`#${id}`)
+        .attr('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`)
+        .call(svg => svg.selectAll('*').remove());
+}
+
+function renderEmptyChart(svg) {
+    svg.append('text')
+        .attr('class', 'chart-empty')
+        .attr('x', CHART_WIDTH / 2)
+        .attr('y', CHART_HEIGHT / 2)
+        .attr('text-anchor', 'middle')
+        .text('No trips');
+}
+
+// Horizontal bars of the largest departments, stacked by purpose
+function renderStackedChart(trips) {
+    const svg = createChart('chart-stacked');
+    if (trips.length === 0) return renderEmptyChart(svg);
+
+    const getDepartment = getDimensionValue('department');
+    const getPurpose = getDimensionValue('purpose');
+    const margin = { top: 6, right: 10, bottom: 20, left: 92 };
+
+    const purposeTotals = d3.rollup(trips, group => d3.sum(group, t => t.emissions), getPurpose);
+    const purposes = Array.from(purposeTotals.keys()).sort((a, b) => purposeTotals.get(b) - purposeTotals.get(a));
+    const rows = d3.groups(trips, getDepartment)
+        .map(([department, group]) => ({
+            department,
+            trips: group,
+            total: d3.sum(group, t => t.emissions),
+            byPurpose: d3.group(group, getPurpose)
+        }))
+        .sort((a, b) => b.total - a.total)
+        .slice(0, CHART_STACK_ROWS);
+
+    const series = d3.stack()
+        .keys(purposes)
+        .value((row, purpose) => d3.sum(row.byPurpose.get(purpose) || [], t => t.emissions))(rows);
+
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(rows, row => row.total) || 1])
+        .range([margin.left, CHART_WIDTH - margin.right]);
+    const y = d3.scaleBand()
+        .domain(rows.map(row => row.department))
+        .range([margin.top, CHART_HEIGHT - margin.bottom])
+        .padding(0.2);
+
+    svg.append('g')
+        .selectAll('g')
+        .data(series)
+        .join('g')
+        .attr('fill', serie => d3.rgb(...DataProcessor.getClusterColor('purpose', serie.key)).formatRgb())
+        .selectAll('rect')
+        .data(serie => serie
+            .map(segment => ({ segment, purpose: serie.key, trips: segment.data.byPurpose.get(serie.key) || [] }))
+            .filter(d => d.trips.length > 0))
+        .join('rect')
+        .attr('class', d => `chart-mark${isBrushed(d.trips) ? '' : ' is-dimmed'}`)
+        .attr('x', d => x(d.segment[0]))
+        .attr('y', d => y(d.segment.data.department))
+        .attr('width', d => Math.max(1, x(d.segment[1]) - x(d.segment[0])))
+        .attr('height', y.bandwidth())
+        .on('click', (event, d) => selectChartItem({
+            chart: 'stacked',
+            key: `${d.segment.data.department}\u0000${d.purpose}`,
+            label: `${d.segment.data.department} · ${d.purpose}`,
+            matches: trip => getDepartment(trip) === d.segment.data.department && getPurpose(trip) === d.purpose
+        }))
+        .append('title')
+        .text(d => `${d.segment.data.department} · ${d.purpose}: ${formatChartValue(d.segment[1] - d.segment[0])} kg CO₂`);
+
+    svg.append('g')
+        .attr('class', 'chart-axis')
+        .attr('transform', `translate(0,${CHART_HEIGHT - margin.bottom})`)
+        .call(d3.axisBottom(x).ticks(4).tickFormat(formatChartValue));
+
+    // Department labels select the whole bar
+    svg.append('g')
+        .attr('class', 'chart-axis chart-axis-clickable')
+        .attr('transform', `translate(${margin.left},0)`)
+        .call(d3.axisLeft(y).tickSize(0).tickPadding(6).tickFormat(name => name.length > 14 ? `${name.slice(0, 13)}…` : name))
+        .call(axis => axis.select('.domain').remove())
+        .selectAll('.tick')
+        .on('click', (event, department) => selectChartItem({
+            chart: 'stacked',
+            key: department,
+            label: department,
+            matches: trip => getDepartment(trip) === department
+        }));
+}
+
+// Share of emissions per transport mode
+function renderDonutChart(trips) {
+    const svg = createChart('chart-donut');
+    if (trips.length === 0) return renderEmptyChart(svg);
+
+    const getMode = getDimensionValue('transportMode');
+    const slices = d3.groups(trips, getMode)
+        .map(([mode, group]) => ({ mode, trips: group, emissions: d3.sum(group, t => t.emissions) }))
+        .sort((a, b) => b.emissions - a.emissions);
+    const total = d3.sum(slices, slice => slice.emissions);
+    const radius = CHART_HEIGHT / 2 - 8;
+    const arc = d3.arc().innerRadius(radius * 0.58).outerRadius(radius);
+    const color = slice => d3.rgb(...DataProcessor.getClusterColor('transportMode', slice.mode)).formatRgb();
+    const select = slice => selectChartItem({
+        chart: 'donut',
+        key: slice.mode,
+        label: slice.mode,
+        matches: trip => getMode(trip) === slice.mode
+    });
+
+    const donut = svg.append('g').attr('transform', `translate(${radius + 10},${CHART_HEIGHT / 2})`);
+    donut.selectAll('path')
+        .data(d3.pie().sort(null).value(slice => slice.emissions)(slices))
+        .join('path')
+        .attr('class', d => `chart-mark${isBrushed(d.data.trips) ? '' : ' is-dimmed'}`)
+        .attr('d', arc)
+        .attr('fill', d => color(d.data))
+        .on('click', (event, d) => select(d.data))
+        .append('title')
+        .text(d => `${d.data.mode}: ${formatChartValue(d.data.emissions)} kg CO₂`);
+
+    // Centre: the brushed share of emissions, or the total
+    const brushedEmissions = brushedTrips ? d3.sum(trips.filter(trip => brushedTrips.has(trip)), t => t.emissions) : null;
+    donut.append('text')
+        .attr('class', 'chart-donut-value')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.1em')
+        .text(brushedEmissions === null ? formatChartValue(total) : `${total > 0 ? Math.round((brushedEmissions / total) * 100) : 0}%`);
+    donut.append('text')
+        .attr('class', 'chart-donut-label')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '1.5em')
+        .text(brushedEmissions === null ? 'kg CO₂' : 'selected');
+
+    svg.append('g')
+        .attr('transform', `translate(${radius * 2 + 28},${CHART_HEIGHT / 2 - Math.min(slices.length, CHART_DONUT_LABELS) * 9})`)
+        .selectAll('g')
+        .data(slices.slice(0, CHART_DONUT_LABELS))
+        .join('g')
+        .attr('class', slice => `chart-key${isBrushed(slice.trips) ? '' : ' is-dimmed'}`)
+        .attr('transform', (slice, i) => `translate(0,${i * 18})`)
+        .on('click', (event, slice) => select(slice))
+        .call(key => key.append('rect').attr('width', 10).attr('height', 10).attr('rx', 2).attr('fill', color))
+        .call(key => key.append('text')
+            .attr('x', 16)
+            .attr('y', 9)
+            .text(slice => `${slice.mode} ${total > 0 ? Math.round((slice.emissions / total) * 100) : 0}%`));
+}
+
+// Largest routes with the cumulative share of all emissions they account for
+function renderParetoChart(trips) {
+    const svg = createChart('chart-pareto');
+    if (trips.length === 0) return renderEmptyChart(svg);
+
+    const getRoute = getDimensionValue('route');
+    const margin = { top: 8, right: 34, bottom: 22, left: 36 };
+    const total = d3.sum(trips, t => t.emissions);
+    const routes = d3.groups(trips, getRoute)
+        .map(([route, group]) => ({ route, trips: group, emissions: d3.sum(group, t => t.emissions) }))
+        .sort((a, b) => b.emissions - a.emissions)
+        .slice(0, CHART_PARETO_ROUTES);
+    let cumulative = 0;
+    routes.forEach(route => {
+        cumulative += route.emissions;
+        route.share = total > 0 ? cumulative / total : 0;
+    });
+
+    const x = d3.scaleBand()
+        .domain(routes.map(route => route.route))
+        .range([margin.left, CHART_WIDTH - margin.right])
+        .padding(0.15);
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(routes, route => route.emissions) || 1])
+        .nice()
+        .range([CHART_HEIGHT - margin.bottom, margin.top]);
+    const share = d3.scaleLinear().domain([0, 1]).range([CHART_HEIGHT - margin.bottom, margin.top]);
+
+    svg.append('g')
+        .selectAll('rect')
+        .data(routes)
+        .join('rect')
+        .attr('class', route => `chart-mark chart-bar${isBrushed(route.trips) ? '' : ' is-dimmed'}`)
+        .attr('x', route => x(route.route))
+        .attr('y', route => y(route.emissions))
+        .attr('width', x.bandwidth())
+        .attr('height', route => y(0) - y(route.emissions))
+        .on('click', (event, route) => selectChartItem({
+            chart: 'pareto',
+            key: route.route,
+            label: route.route,
+            matches: trip => getRoute(trip) === route.route
+        }))
+        .append('title')
+        .text(route => `${route.route}: ${formatChartValue(route.emissions)} kg CO₂, ${Math.round(route.share * 100)}% cumulative`);
+
+    svg.append('path')
+        .datum(routes)
+        .attr('class', 'chart-line')
+        .attr('d', d3.line()
+            .x(route => x(route.route) + x.bandwidth() / 2)
+            .y(route => share(route.share)));
+    svg.append('g')
+        .selectAll('circle')
+        .data(routes)
+        .join('circle')
+        .attr('class', 'chart-line-point')
+        .attr('cx', route => x(route.route) + x.bandwidth() / 2)
+        .attr('cy', route => share(route.share))
+        .attr('r', 2);
+
+    svg.append('g')
+        .attr('class', 'chart-axis')
+        .attr('transform', `translate(${margin.left},0)`)
+        .call(d3.axisLeft(y).ticks(4).tickFormat(formatChartValue));
+    svg.append('g')
+        .attr('class', 'chart-axis')
+        .attr('transform', `translate(${CHART_WIDTH - margin.right},0)`)
+        .call(d3.axisRight(share).ticks(4).tickFormat(d3.format('.0%')));
+    svg.append('text')
+        .attr('class', 'chart-axis-label')
+        .attr('x', (margin.left + CHART_WIDTH - margin.right) / 2)
+        .attr('y', CHART_HEIGHT - 6)
+        .attr('text-anchor', 'middle')
+        .text(`Top ${routes.length} routes`);
+}
+
+// Cost on x, emissions on y; dragging a rectangle selects the trips inside it
+function renderScatterChart(trips) {
+    const svg = createChart('chart-scatter');
+    const points = trips
+        .filter(t => Number(t.cost) > 0)
+        .sort((a, b) => b.emissions - a.emissions)
+        .slice(0, CHART_SCATTER_POINTS);
+    if (points.length === 0) return renderEmptyChart(svg);
+
+    const margin = { top: 8, right: 10, bottom: 22, left: 36 };
+    const x = d3.scaleSqrt()
+        .domain([0, d3.max(points, t => Number(t.cost))])
+        .nice()
+        .range([margin.left, CHART_WIDTH - margin.right]);
+    const y = d3.scaleSqrt()
+        .domain([0, d3.max(points, t => t.emissions) || 1])
+        .nice()
+        .range([CHART_HEIGHT - margin.bottom, margin.top]);
+
+    svg.append('g')
+        .attr('class', 'chart-axis')
+        .attr('transform', `translate(0,${CHART_HEIGHT - margin.bottom})`)
+        .call(d3.axisBottom(x).ticks(4).tickFormat(formatChartValue));
+    svg.append('g')
+        .attr('class', 'chart-axis')
+        .attr('transform', `translate(${margin.left},0)`)
+        .call(d3.axisLeft(y).ticks(4).tickFormat(formatChartValue));
+
+    svg.append('g')
+        .selectAll('circle')
+        .data(points)
+        .join('circle')
+        .attr('class', trip => `chart-dot${!brushedTrips || brushedTrips.has(trip) ? '' : ' is-dimmed'}`)
+        .attr('cx', trip => x(Number(trip.cost)))
+        .attr('cy', trip => y(trip.emissions))
+        .attr('r', 2)
+        .attr('fill', trip => d3.rgb(...trip.color).formatRgb());
+
+    // The brush sits above the dots so a drag can start anywhere
+    const brush = d3.brush()
+        .extent([[margin.left, margin.top], [CHART_WIDTH - margin.right, CHART_HEIGHT - margin.bottom]])
+        .on('end', event => {
+            if (!event.sourceEvent) return; // Moved by the redraw below
+            if (!event.selection) {
+                if (chartSelection?.chart === 'scatter') selectChartItem(null);
+                return;
+            }
+            const [[x0, y0], [x1, y1]] = event.selection;
+            const [minCost, maxCost] = [x.invert(x0), x.invert(x1)];
+            const [minEmissions, maxEmissions] = [y.invert(y1), y.invert(y0)];
+            chartSelection = null; // A new rectangle always replaces the selection
+            selectChartItem({
+                chart: 'scatter',
+                key: event.selection.join(),
+                label: `${formatChartValue(minCost)}–${formatChartValue(maxCost)} cost, ${formatChartValue(minEmissions)}–${formatChartValue(maxEmissions)} kg`,
+                matches: trip => Number(trip.cost) >= minCost && Number(trip.cost) <= maxCost
+                    && trip.emissions >= minEmissions && trip.emissions <= maxEmissions,
+                range: { minCost, maxCost, minEmissions, maxEmissions }
+            });
+        });
+    const brushLayer = svg.append('g').attr('class', 'chart-brush').call(brush);
+    // Redraw the selected rectangle on the current scales, which change with the data
+    if (chartSelection?.chart === 'scatter') {
+        const { minCost, maxCost, minEmissions, maxEmissions } = chartSelection.range;
+        const clampX = value => Math.max(margin.left, Math.min(CHART_WIDTH - margin.right, value));
+        const clampY = value => Math.max(margin.top, Math.min(CHART_HEIGHT - margin.bottom, value));
+        brushLayer.call(brush.move, [
+            [clampX(x(minCost)), clampY(y(maxEmissions))],
+            [clampX(x(maxCost)), clampY(y(minEmissions))]
+        ]);
+    }
+}
+
+function renderCharts() {
+    const panel = document.getElementById('charts-panel');
+    if (!panel) return;
+
+    const brushedCount = brushedTrips ? brushedTrips.size : 0;
+    document.getElementById('charts-scope').textContent = chartScopeLabel
+        ? `${chartTrips.length.toLocaleString()} trips in ${chartScopeLabel}`
+        : `${chartTrips.length.toLocaleString()} trips on the map`;
+    document.getElementById('charts-selection').textContent = chartSelection
+        ? `${chartSelection.label}: ${brushedCount.toLocaleString()} trips highlighted`
+        : 'Click a bar or slice, or drag over the scatter, to highlight trips on the map';
+    document.getElementById('charts-clear').disabled = !chartSelection;
+
+    renderStackedChart(chartTrips);
+    renderDonutChart(chartTrips);
+    renderParetoChart(chartTrips);
+    renderScatterChart(chartTrips);
+}
+
+function setChartsOpen(open) {
+    chartsOpen = open;
+    document.getElementById('charts-panel').classList.toggle('is-collapsed', !open);
+    document.getElementById('charts-toggle').textContent = open ? 'Hide' : 'Show';
+    if (open) renderCharts();
+    if (chartSelection && onChartSelect) onChartSelect(); // The map highlight follows the panel
+}
+
+// onSelect() runs whenever the brushed trips change
+function setupCharts(onSelect) {
+    onChartSelect = onSelect;
+    document.getElementById('charts-toggle').addEventListener('click', () => setChartsOpen(!chartsOpen));
+    document.getElementById('charts-clear').addEventListener('click', clearChartSelection);
+}
+
+window.Charts = {
+    setupCharts,
+    setChartData,
+    getBrushedTrips,
+    clearChartSelection
+};
@@ -0,0 +1,275 @@
+/**
+ * Offline city coordinates for the geographic map mode
+ * Keys are normalised city names (lowercase, no accents); values are [longitude, latitude]
+ */
+
+const CITY_COORDINATES = {
+    // Germany
+    'berlin': [13.405, 52.520],
+    'hamburg': [9.993, 53.551],
+    'munich': [11.582, 48.135],
+    'cologne': [6.960, 50.938],
+    'frankfurt': [8.682, 50.110],
+    'stuttgart': [9.182, 48.776],
+    'dusseldorf': [6.773, 51.228],
+    'dortmund': [7.466, 51.514],
+    'essen': [7.012, 51.456],
+    'leipzig': [12.374, 51.340],
+    'bremen': [8.801, 53.079],
+    'dresden': [13.737, 51.050],
+    'hanover': [9.732, 52.376],
+    'nuremberg': [11.077, 49.452],
+    'walldorf': [8.642, 49.306],
+    'heidelberg': [8.672, 49.399],
+    'mannheim': [8.466, 49.487],
+    'karlsruhe': [8.404, 49.007],
+    'bonn': [7.098, 50.737],
+    'potsdam': [13.064, 52.391],
+    'kiel': [10.123, 54.323],
+    'freiburg': [7.842, 47.999],
+    'munster': [7.626, 51.961],
+    'augsburg': [10.898, 48.371],
+    'wiesbaden': [8.240, 50.078],
+    'mainz': [8.247, 49.993],
+    'darmstadt': [8.651, 49.873],
+    'aachen': [6.084, 50.776],
+    'bielefeld': [8.532, 52.030],
+    'rostock': [12.100, 54.092],
+    'magdeburg': [11.628, 52.120],
+    'erfurt': [11.029, 50.978],
+    'saarbrucken': [6.997, 49.234],
+    'regensburg': [12.102, 49.013],
+    'wolfsburg': [10.787, 52.423],
+    'ingolstadt': [11.425, 48.766],
+    'ulm': [9.993, 48.401],
+
+    // Rest of Europe
+    'london': [-0.128, 51.507],
+    'manchester': [-2.244, 53.480],
+    'birmingham': [-1.890, 52.486],
+    'edinburgh': [-3.188, 55.953],
+    'glasgow': [-4.252, 55.864],
+    'dublin': [-6.260, 53.350],
+    'paris': [2.352, 48.857],
+    'lyon': [4.836, 45.764],
+    'marseille': [5.370, 43.296],
+    'nice': [7.262, 43.710],
+    'toulouse': [1.444, 43.605],
+    'amsterdam': [4.904, 52.368],
+    'rotterdam': [4.478, 51.924],
+    'the hague': [4.300, 52.070],
+    'eindhoven': [5.470, 51.441],
+    'brussels': [4.352, 50.847],
+    'antwerp': [4.403, 51.219],
+    'luxembourg': [6.130, 49.612],
+    'zurich': [8.541, 47.377],
+    'geneva': [6.143, 46.204],
+    'basel': [7.589, 47.560],
+    'bern': [7.447, 46.948],
+    'vienna': [16.374, 48.208],
+    'salzburg': [13.055, 47.810],
+    'graz': [15.439, 47.071],
+    'innsbruck': [11.404, 47.269],
+    'prague': [14.438, 50.076],
+    'brno': [16.607, 49.195],
+    'warsaw': [21.012, 52.230],
+    'krakow': [19.945, 50.065],
+    'wroclaw': [17.038, 51.108],
+    'gdansk': [18.646, 54.352],
+    'budapest': [19.040, 47.498],
+    'bratislava': [17.107, 48.149],
+    'ljubljana': [14.506, 46.056],
+    'zagreb': [15.982, 45.815],
+    'belgrade': [20.457, 44.787],
+    'bucharest': [26.103, 44.427],
+    'sofia': [23.322, 42.698],
+    'athens': [23.728, 37.984],
+    'istanbul': [28.978, 41.008],
+    'ankara': [32.860, 39.934],
+    'rome': [12.496, 41.903],
+    'milan': [9.190, 45.465],
+    'turin': [7.686, 45.070],
+    'florence': [11.256, 43.770],
+    'venice': [12.316, 45.441],
+    'naples': [14.268, 40.852],
+    'bologna': [11.343, 44.495],
+    'madrid': [-3.704, 40.417],
+    'barcelona': [2.173, 41.385],
+    'valencia': [-0.376, 39.470],
+    'seville': [-5.984, 37.389],
+    'malaga': [-4.421, 36.721],
+    'bilbao': [-2.935, 43.263],
+    'lisbon': [-9.139, 38.722],
+    'porto': [-8.611, 41.150],
+    'copenhagen': [12.568, 55.676],
+    'aarhus': [10.204, 56.163],
+    'stockholm': [18.069, 59.329],
+    'gothenburg': [11.975, 57.709],
+    'malmo': [13.004, 55.605],
+    'oslo': [10.752, 59.914],
+    'bergen': [5.322, 60.391],
+    'helsinki': [24.938, 60.170],
+    'tallinn': [24.754, 59.437],
+    'riga': [24.105, 56.950],
+    'vilnius': [25.280, 54.687],
+    'reykjavik': [-21.943, 64.147],
+    'kyiv': [30.523, 50.450],
+    'moscow': [37.618, 55.756],
+    'saint petersburg': [30.336, 59.934],
+
+    // North America
+    'new york': [-74.006, 40.713],
+    'boston': [-71.059, 42.360],
+    'philadelphia': [-75.165, 39.953],
+    'washington': [-77.037, 38.907],
+    'atlanta': [-84.388, 33.749],
+    'miami': [-80.192, 25.762],
+    'orlando': [-81.379, 28.538],
+    'chicago': [-87.630, 41.878],
+    'detroit': [-83.046, 42.331],
+    'minneapolis': [-93.265, 44.978],
+    'dallas': [-96.797, 32.777],
+    'houston': [-95.370, 29.760],
+    'austin': [-97.743, 30.267],
+    'denver': [-104.990, 39.739],
+    'phoenix': [-112.074, 33.448],
+    'las vegas': [-115.140, 36.170],
+    'los angeles': [-118.244, 34.052],
+    'san diego': [-117.161, 32.716],
+    'san francisco': [-122.419, 37.775],
+    'san jose': [-121.886, 37.339],
+    'palo alto': [-122.143, 37.442],
+    'seattle': [-122.332, 47.606],
+    'portland': [-122.676, 45.523],
+    'newtown square': [-75.401, 39.987],
+    'toronto': [-79.383, 43.653],
+    'montreal': [-73.568, 45.502],
+    'vancouver': [-123.121, 49.283],
+    'ottawa': [-75.697, 45.421],
+    'calgary': [-114.072, 51.045],
+    'mexico city': [-99.133, 19.433],
+    'monterrey': [-100.316, 25.687],
+    'guadalajara': [-103.350, 20.659],
+
+    // South America
+    'sao paulo': [-46.633, -23.551],
+    'rio de janeiro': [-43.173, -22.907],
+    'buenos aires': [-58.382, -34.604],
+    'santiago': [-70.669, -33.449],
+    'lima': [-77.043, -12.046],
+    'bogota': [-74.072, 4.711],
+
+    // Middle East & Africa
+    'dubai': [55.271, 25.205],
+    'abu dhabi': [54.377, 24.453],
+    'doha': [51.531, 25.285],
+    'riyadh': [46.675, 24.713],
+    'tel aviv': [34.781, 32.085],
+    'cairo': [31.236, 30.044],
+    'casablanca': [-7.590, 33.573],
+    'lagos': [3.379, 6.524],
+    'nairobi': [36.822, -1.292],
+    'johannesburg': [28.047, -26.204],
+    'cape town': [18.424, -33.925],
+
+    // Asia & Oceania
+    'mumbai': [72.878, 19.076],
+    'delhi': [77.209, 28.614],
+    'new delhi': [77.209, 28.614],
+    'bangalore': [77.595, 12.972],
+    'hyderabad': [78.487, 17.385],
+    'chennai': [80.271, 13.083],
+    'pune': [73.857, 18.520],
+    'gurgaon': [77.027, 28.460],
+    'singapore': [103.820, 1.352],
+    'kuala lumpur': [101.687, 3.139],
+    'jakarta': [106.845, -6.209],
+    'bangkok': [100.502, 13.756],
+    'ho chi minh city': [106.630, 10.823],
+    'hanoi': [105.834, 21.028],
+    'manila': [120.984, 14.600],
+    'hong kong': [114.169, 22.319],
+    'shanghai': [121.474, 31.230],
+    'beijing': [116.407, 39.904],
+    'shenzhen': [114.058, 22.543],
+    'guangzhou': [113.264, 23.129],
+    'dalian': [121.615, 38.914],
+    'taipei': [121.565, 25.033],
+    'seoul': [126.978, 37.567],
+    'tokyo': [139.650, 35.676],
+    'osaka': [135.502, 34.694],
+    'sydney': [151.209, -33.869],
+    'melbourne': [144.963, -37.814],
+    'brisbane': [153.026, -27.470],
+    'perth': [115.861, -31.950],
+    'auckland': [174.763, -36.849]
+};
+
+// Alternative spellings and airport codes -> key in CITY_COORDINATES
+const CITY_ALIASES = {
+    'munchen': 'munich',
+    'muenchen': 'munich',
+    'koln': 'cologne',
+    'koeln': 'cologne',
+    'frankfurt am main': 'frankfurt',
+    'nurnberg': 'nuremberg',
+    'nuernberg': 'nuremberg',
+    'hannover': 'hanover',
+    'wien': 'vienna',
+    'praha': 'prague',
+    'warszawa': 'warsaw',
+    'roma': 'rome',
+    'milano': 'milan',
+    'torino': 'turin',
+    'firenze': 'florence',
+    'venezia': 'venice',
+    'napoli': 'naples',
+    'lisboa': 'lisbon',
+    'bruxelles': 'brussels',
+    'brussel': 'brussels',
+    'geneve': 'geneva',
+    'kobenhavn': 'copenhagen',
+    'goteborg': 'gothenburg',
+    'kiev': 'kyiv',
+    'st petersburg': 'saint petersburg',
+    'nyc': 'new york',
+    'new york city': 'new york',
+    'washington dc': 'washington',
+    'washington d c': 'washington',
+    'sf': 'san francisco',
+    'bengaluru': 'bangalore',
+    'bombay': 'mumbai',
+    'saigon': 'ho chi minh city',
+    'peking': 'beijing',
+    'ber': 'berlin',
+    'ham': 'hamburg',
+    'muc': 'munich',
+    'fra': 'frankfurt',
+    'dus': 'dusseldorf',
+    'cgn': 'cologne',
+    'str': 'stuttgart',
+    'lhr': 'london',
+    'lgw': 'london',
+    'cdg': 'paris',
+    'ams': 'amsterdam',
+    'zrh': 'zurich',
+    'vie': 'vienna',
+    'mad': 'madrid',
+    'bcn': 'barcelona',
+    'jfk': 'new york',
+    'ewr': 'new york',
+    'sfo': 'san francisco',
+    'ord': 'chicago',
+    'phl': 'philadelphia',
+    'sin': 'singapore',
+    'hnd': 'tokyo',
+    'nrt': 'tokyo',
+    'dxb': 'dubai',
+    'blr': 'bangalore',
+    'syd': 'sydney'
+};
+
+window.CityCoordinates = {
+    CITY_COORDINATES,
+    CITY_ALIASES
+};
@@ -0,0 +1,260 @@
+/**
+ * Colour Scales for Carbon Emissions Network Map
+ * Colour-by modes (categories or a continuous value), their palettes and the legend generated from the active scale
+ */
+
+const NO_VALUE_COLOR = [100, 116, 139]; // Slate, for nodes a continuous scale has no value for
+
+// Categorical modes colour by a hierarchy dimension (see hierarchy.js); 'cluster' by the current top level.
+// Continuous modes read getValue(node, metricId); sqrt scales spread out skewed totals
+const COLOR_MODES = {
+    cluster: { label: 'Top-level cluster', kind: 'categorical' },
+    department: { label: 'Department', kind: 'categorical' },
+    purpose: { label: 'Purpose', kind: 'categorical' },
+    transportMode: { label: 'Transport mode', kind: 'categorical' },
+    emissions: {
+        label: 'Emissions', kind: 'continuous', sqrt: true,
+        getValue: node => node.emissions, getUnit: () => 'kg CO₂'
+    },
+    intensity: {
+        label: 'Intensity metric', kind: 'continuous',
+        getValue: (node, metricId) => Metrics.getMetricValue(node, metricId),
+        getUnit: metricId => Metrics.METRICS[metricId].unit
+    },
+    cost: {
+        label: 'Net cost', kind: 'continuous', sqrt: true,
+        getValue: node => Number(node.cost) || 0, getUnit: () => '€'
+    }
+};
+
+// Okabe–Ito, with grey in place of black for the dark background
+const OKABE_ITO = [[230, 159, 0], [86, 180, 233], [0, 158, 115], [240, 228, 66], [0, 114, 178], [213, 94, 0], [204, 121, 167], [187, 187, 187]];
+
+// Categorical palettes list colours (the standard one uses the department / purpose tables); sequential
+// and diverging ones build an interpolator from 0..1 to a colour, diverging ones with the median at 0.5
+const PALETTES = {
+    standard: { label: 'Standard', kind: 'categorical' },
+    okabeIto: { label: 'Okabe–Ito (colour-blind safe)', kind: 'categorical', colors: () => OKABE_ITO },
+    tableau: { label: 'Tableau 10', kind: 'categorical', colors: () => d3.schemeTableau10 },
+    heat: { label: 'Green → red', kind: 'sequential', interpolator: () => d3.piecewise(d3.interpolateRgb, ['#34d399', '#fbbf24', '#ef4444']) },
+    viridis: { label: 'Viridis (colour-blind safe)', kind: 'sequential', interpolator: () => d3.interpolateViridis },
+    cividis: { label: 'Cividis (colour-blind safe)', kind: 'sequential', interpolator: () => d3.interpolateCividis },
+    blueRed: { label: 'Blue ↔ red around the median', kind: 'diverging', interpolator: () => t => d3.interpolateRdBu(1 - t) },
+    purpleOrange: { label: 'Purple ↔ orange around the median (colour-blind safe)', kind: 'diverging', interpolator: () => t => d3.interpolatePuOr(1 - t) }
+};
+
+const DEFAULT_PALETTES = { categorical: 'standard', continuous: 'heat' };
+
+function toRgb(color) {
+    if (Array.isArray(color)) return color;
+    const { r, g, b } = d3.rgb(color);
+    return [r, g, b];
+}
+
+// Unknown ids (including inherited keys such as 'valueOf') fall back to the cluster mode
+function getColorMode(modeId) {
+    return Object.hasOwn(COLOR_MODES, modeId) ? COLOR_MODES[modeId] : COLOR_MODES.cluster;
+}
+
+// Palettes usable with a mode
+function getPalettes(modeId) {
+    const kind = getColorMode(modeId).kind;
+    return Object.entries(PALETTES)
+        .filter(([, palette]) => (palette.kind === 'categorical') === (kind === 'categorical'))
+        .map(([id, palette]) => ({ id, label: palette.label }));
+}
+
+// The palette itself when it suits the mode, otherwise the mode's default
+function resolvePalette(modeId, paletteId) {
+    const kind = getColorMode(modeId).kind;
+    return getPalettes(modeId).some(palette => palette.id === paletteId) ? paletteId : DEFAULT_PALETTES[kind];
+}
+
+// Dimension a categorical mode colours by
+function getModeDimension(modeId) {
+    return modeId === 'cluster' ? Hierarchy.getLevels()[0].key : modeId;
+}
+
+// Every category of the dimension over the given trips, largest emitter first
+function getCategories(trips, dimensionKey) {
+    const getValue = Hierarchy.getDimension(dimensionKey).getValue;
+    const totals = new Map();
+    trips.forEach(trip => {
+        const name = getValue(trip);
+        totals.set(name, (totals.get(name) || 0) + trip.emissions);
+    });
+    return Array.from(totals.entries()).sort((a, b) => b[1] - a[1]).map(([name]) => name);
+}
+
+// name -> colour for the categories; palettes without a fixed table assign colours in category order
+function getCategoryColors(categories, dimensionKey, paletteId) {
+    const colors = PALETTES[paletteId].colors?.();
+    return new Map(categories.map((name, i) => [
+        name,
+        colors ? toRgb(colors[i % colors.length]) : DataProcessor.getClusterColor(dimensionKey, name)
+    ]));
+}
+
+// Category of every group node: its own or an ancestor's name when the dimension is one of its levels,
+// otherwise the category emitting the most among its trips
+function getGroupCategories(nodes, dimensionKey) {
+    const levelIndex = Hierarchy.getLevels().findIndex(level => level.key === dimensionKey);
+    const getValue = Hierarchy.getDimension(dimensionKey).getValue;
+    const nodeById = new Map(nodes.map(node => [node.id, node]));
+    const shares = new Map(); // group id -> Map(category -> emissions)
+
+    nodes.forEach(node => {
+        if (node.type !== 'trip') return;
+        const name = getValue(node);
+        for (let parent = nodeById.get(node.parentId); parent; parent = nodeById.get(parent.parentId)) {
+            if (levelIndex >= 0 && parent.level > levelIndex) continue; // Named by its path
+            if (!shares.has(parent.id)) shares.set(parent.id, new Map());
+            const groupShares = shares.get(parent.id);
+            groupShares.set(name, (groupShares.get(name) || 0) + node.emissions);
+        }
+    });
+
+    const categories = new Map();
+    nodes.forEach(node => {
+        if (node.type === 'trip') return;
+        if (levelIndex >= 0 && node.level > levelIndex) {
+            categories.set(node.id, [...node.path, node.name][levelIndex]);
+        } else if (shares.has(node.id)) {
+            categories.set(node.id, Array.from(shares.get(node.id).entries()).sort((a, b) => b[1] - a[1])[0][0]);
+        }
+    });
+    return categories;
+}
+
+// Maps a value to 0..1 over the given values: sequential from min to max, diverging with the median at 0.5
+function createContinuousScale(values, diverging, sqrt) {
+    const known = values.filter(value => value !== null).sort((a, b) => a - b);
+    const f = sqrt ? value => Math.sign(value) * Math.sqrt(Math.abs(value)) : value => value;
+    const inverse = sqrt ? value => Math.sign(value) * value * value : value => value;
+    const min = f(known[0] ?? 0), max = f(known[known.length - 1] ?? 0);
+    const mid = f(known[Math.floor(known.length / 2)] ?? 0);
+    const part = (value, from, to) => (to > from ? (value - from) / (to - from) : 1);
+
+    return {
+        toShare: value => {
+            const v = f(value);
+            if (!diverging) return part(v, min, max);
+            return v <= mid ? 0.5 * part(v, min, mid) : 0.5 + 0.5 * part(v, mid, max);
+        },
+        fromShare: share => {
+            if (!diverging) return inverse(min + (max - min) * share);
+            return inverse(share <= 0.5 ? min + (mid - min) * share * 2 : mid + (max - mid) * (share - 0.5) * 2);
+        },
+        isEmpty: known.length === 0
+    };
+}
+
+// Copy of the graph coloured by the mode and palette. allTrips (every loaded trip) fixes the category
+// order so colours don't shift as filters change; continuous values are scaled per hierarchy level (and
+// across trips). The top-level cluster mode with the standard palette returns the graph unchanged
+function applyColors(graph, allTrips, { mode, palette, metric }) {
+    const colorMode = getColorMode(mode);
+    const paletteId = resolvePalette(mode, palette);
+    if (mode === 'cluster' && paletteId === 'standard') return graph;
+
+    if (colorMode.kind === 'categorical') {
+        const dimensionKey = getModeDimension(mode);
+        const getValue = Hierarchy.getDimension(dimensionKey).getValue;
+        const colors = getCategoryColors(getCategories(allTrips, dimensionKey), dimensionKey, paletteId);
+        const groupCategories = getGroupCategories(graph.nodes, dimensionKey);
+        return {
+            ...graph,
+            nodes: graph.nodes.map(node => {
+                const name = node.type === 'trip' ? getValue(node) : groupCategories.get(node.id);
+                return { ...node, color: colors.get(name) || NO_VALUE_COLOR };
+            })
+        };
+    }
+
+    const { kind } = PALETTES[paletteId];
+    const interpolate = PALETTES[paletteId].interpolator();
+    const values = graph.nodes.map(node => {
+        const value = colorMode.getValue(node, metric);
+        return Number.isFinite(value) ? value : null;
+    });
+    const byLevel = new Map(); // level (or 'trip') -> values
+    graph.nodes.forEach((node, i) => {
+        const key = node.level || node.type;
+        if (!byLevel.has(key)) byLevel.set(key, []);
+        byLevel.get(key).push(values[i]);
+    });
+    const scales = new Map(Array.from(byLevel.entries()).map(([key, levelValues]) =>
+        [key, createContinuousScale(levelValues, kind === 'diverging', colorMode.sqrt)]));
+
+    return {
+        ...graph,
+        nodes: graph.nodes.map((node, i) => ({
+            ...node,
+            color: values[i] === null ? NO_VALUE_COLOR : toRgb(interpolate(scales.get(node.level || node.type).toShare(values[i])))
+        }))
+    };
+}
+
+// Legend for the active scale: { title, items: [{ label, color, value?, state? }], more, filterKey?, gradient?, ticks? }.
+// Categorical legends list every category; filterKey names the Filters facet an item click narrows.
+// Continuous legends describe the nodes of one level (nodes) with a gradient and min / median-or-middle / max ticks
+function getScaleLegend(nodes, allTrips, { mode, palette, metric }, levelLabel, activeFilters = {}) {
+    const colorMode = getColorMode(mode);
+    const paletteId = resolvePalette(mode, palette);
+
+    if (colorMode.kind === 'categorical') {
+        const dimensionKey = getModeDimension(mode);
+        const dimension = Hierarchy.getDimension(dimensionKey);
+        const categories = getCategories(allTrips, dimensionKey);
+        const colors = getCategoryColors(categories, dimensionKey, paletteId);
+        const filterKey = Filters.FACETS.some(facet => facet.key === dimensionKey) ? dimensionKey : null;
+        const selected = filterKey ? activeFilters[filterKey] || [] : [];
+        return {
+            title: dimension.plural,
+            filterKey,
+            items: categories.map(name => ({
+                label: name,
+                color: colors.get(name),
+                value: name,
+                state: selected.length === 0 ? null
+                    : !selected.includes(name) ? 'hidden'
+                        : selected.length === 1 ? 'isolated' : null
+            })),
+            more: 0
+        };
+    }
+
+    const { kind } = PALETTES[paletteId];
+    const interpolate = PALETTES[paletteId].interpolator();
+    const values = nodes.map(node => colorMode.getValue(node, metric)).map(value => Number.isFinite(value) ? value : null);
+    const scale = createContinuousScale(values, kind === 'diverging', colorMode.sqrt);
+    const unit = colorMode.getUnit(metric);
+    const title = `${levelLabel} · ${mode === 'intensity' ? Metrics.METRICS[metric].label : colorMode.label}`;
+    const format = value => mode === 'intensity'
+        ? Metrics.formatMetricValue(value, metric)
+        : `${Math.round(value).toLocaleString()} ${unit}`;
+    const missing = values.some(value => value === null);
+
+    if (scale.isEmpty) return { title, items: [{ label: 'No values', color: NO_VALUE_COLOR }], more: 0 };
+
+    const tickShares = [0, 0.5, 1];
+    const items = tickShares.map(share => ({ label: format(scale.fromShare(share)), color: toRgb(interpolate(share)) }));
+    if (missing) items.push({ label: 'No value', color: NO_VALUE_COLOR });
+    return {
+        title,
+        items,
+        more: 0,
+        gradient: Array.from({ length: 11 }, (_, i) => d3.rgb(interpolate(i / 10)).formatRgb()),
+        ticks: items.slice(0, tickShares.length).map(item => item.label),
+        missing
+    };
+}
+
+window.ColorScales = {
+    applyColors,
+    getScaleLegend,
+    getPalettes,
+    resolvePalette,
+    COLOR_MODES,
+    PALETTES
+};
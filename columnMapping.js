@@ -0,0 +1,261 @@
+/**
+ * Column Mapping for Carbon Emissions Network Map
+ * Maps headers of foreign CSV exports onto the columns processEmissionsData reads
+ */
+
+// Canonical columns (named after our own export) with known alternative headers
+const CANONICAL_FIELDS = [
+    { column: 'Business Dept', label: 'Department', required: true, aliases: ['department', 'dept', 'business unit', 'cost center', 'division', 'team'] },
+    { column: 'Carbon Emission', label: 'CO₂ emissions (kg)', required: false, aliases: ['co2', 'co2e', 'emissions', 'kg co2', 'co2 kg', 'carbon', 'ghg'] },
+    { column: 'Trip ID', label: 'Trip ID', required: false, aliases: ['id', 'booking id', 'booking reference', 'reference', 'record locator', 'pnr'] },
+    { column: 'Purpose', label: 'Purpose', required: false, aliases: ['trip purpose', 'reason', 'travel reason', 'reason for travel'] },
+    { column: 'Shipping Type', label: 'Transport mode', required: false, aliases: ['mode', 'transport', 'transport mode', 'travel type', 'travel mode', 'vehicle', 'service type'] },
+    { column: 'Departure City', label: 'Departure city', required: false, aliases: ['origin', 'from', 'origin city', 'from city', 'departure'] },
+    { column: 'Arrival City', label: 'Arrival city', required: false, aliases: ['destination', 'to', 'destination city', 'to city', 'arrival'] },
+    { column: 'Date', label: 'Trip date', required: false, aliases: ['trip date', 'travel date', 'departure date', 'start date', 'booking date', 'date of travel'] },
+    { column: 'Distance', label: 'Distance (km)', required: false, aliases: ['distance', 'km', 'distance km', 'kilometers', 'kilometres', 'trip distance'] },
+    { column: 'Travel Class', label: 'Cabin class / vehicle type', required: false, aliases: ['class', 'cabin', 'cabin class', 'fare class', 'booking class', 'vehicle type', 'car type', 'fuel type'] },
+    { column: 'Net Costs', label: 'Net costs', required: false, aliases: ['cost', 'costs', 'amount', 'net amount', 'price', 'total cost', 'spend'] }
+];
+
+const PROFILE_STORAGE_KEY = 'carbon-net.mapping-profiles';
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Every column present in the parsed rows, in first-seen order
+function detectHeaders(rows) {
+    const headers = new Set();
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!key.startsWith('__')) headers.add(key);
+        });
+    });
+    return Array.from(headers);
+}
+
+// Score how well a source header matches a canonical field (0 = no match)
+function scoreHeader(field, header) {
+    const normalized = normalizeHeader(header);
+    if (header === field.column) return 4;
+    if (normalized === normalizeHeader(field.column)) return 3;
+    if (field.aliases.includes(normalized)) return 2;
+
+    // Partial match: every word of an alias appears in the header
+    const words = normalized.split(' ');
+    const partial = [field.column.toLowerCase(), ...field.aliases].some(alias =>
+        alias.split(' ').every(part => words.includes(part))
+    );
+    return partial ? 1 : 0;
+}
+
+// Best-guess mapping { canonical column -> source header | null }, each header used at most once
+function suggestMapping(headers) {
+    const candidates = [];
+    CANONICAL_FIELDS.forEach(field => {
+        headers.forEach(header => {
+            const score = scoreHeader(field, header);
+            if (score > 0) candidates.push({ field: field.column, header, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const mapping = {};
+    const usedHeaders = new Set();
+    CANONICAL_FIELDS.forEach(field => { mapping[field.column] = null; });
+    candidates.forEach(({ field, header }) => {
+        if (mapping[field] || usedHeaders.has(header)) return;
+        mapping[field] = header;
+        usedHeaders.add(header);
+    });
+
+    return mapping;
+}
+
+function getMissingRequired(mapping) {
+    return CANONICAL_FIELDS.filter(field => field.required && !mapping[field.column]);
+}
+
+// True when the file already uses our own export's headers, so no mapping is needed
+function isIdentityMapping(mapping) {
+    return CANONICAL_FIELDS.every(field => !mapping[field.column] || mapping[field.column] === field.column) &&
+        getMissingRequired(mapping).length === 0;
+}
+
+// Rename mapped source columns to their canonical names; unmapped columns are kept as-is
+function applyMapping(rows, mapping) {
+    return rows.map(row => {
+        const mapped = { ...row };
+        CANONICAL_FIELDS.forEach(field => {
+            const header = mapping[field.column];
+            if (header && header !== field.column) {
+                mapped[field.column] = row[header];
+            }
+        });
+        return mapped;
+    });
+}
+
+// --- Saved profiles ---
+
+function loadProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable mapping profiles:', error);
+        return {};
+    }
+}
+
+function saveProfile(name, mapping) {
+    const profiles = loadProfiles();
+    profiles[name] = { mapping, savedAt: new Date().toISOString() };
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+function deleteProfile(name) {
+    const profiles = loadProfiles();
+    delete profiles[name];
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+// The saved profile whose source columns all exist in these headers (most columns wins)
+function findProfile(headers) {
+    let best = null;
+    Object.entries(loadProfiles()).forEach(([name, profile]) => {
+        const used = Object.values(profile.mapping).filter(Boolean);
+        if (getMissingRequired(profile.mapping).length > 0) return;
+        if (!used.every(header => headers.includes(header))) return;
+        if (!best || used.length > best.used) best = { name, mapping: profile.mapping, used: used.length };
+    });
+    return best;
+}
+
+// --- Mapping dialog ---
+
+// Resolves with the confirmed { mapping, profileName } or null when cancelled
+function openMappingDialog(fileName, headers, suggestion) {
+    const dialog = document.getElementById('mapping-dialog');
+    const fields = document.getElementById('mapping-fields');
+    const status = document.getElementById('mapping-status');
+    const profileInput = document.getElementById('mapping-profile-name');
+    const profileSelect = document.getElementById('mapping-profile-select');
+    const confirmButton = document.getElementById('mapping-confirm');
+    const cancelButton = document.getElementById('mapping-cancel');
+    const deleteButton = document.getElementById('mapping-profile-delete');
+
+    document.getElementById('mapping-file-name').textContent = fileName;
+    profileInput.value = '';
+
+    const renderFields = (mapping) => {
+        fields.innerHTML = CANONICAL_FIELDS.map(field => `
+            <label class="mapping-row">
+                <span class="mapping-label">${field.label}${field.required ? ' *' : ''}</span>
+                <select data-column="${field.column}"><option value="">— not in file —</option></select>
+            </label>
+        `).join('');
+
+        fields.querySelectorAll('select').forEach(select => {
+            // Headers are whatever the export wrote, quotes included, so they become options as text
+            headers.forEach(header => select.add(new Option(header, header)));
+            select.value = mapping[select.dataset.column] || '';
+            select.addEventListener('change', validate);
+        });
+        validate();
+    };
+
+    const readMapping = () => {
+        const mapping = {};
+        fields.querySelectorAll('select').forEach(select => {
+            mapping[select.dataset.column] = select.value || null;
+        });
+        return mapping;
+    };
+
+    const validate = () => {
+        const missing = getMissingRequired(readMapping());
+        confirmButton.disabled = missing.length > 0;
+        status.textContent = missing.length > 0
+            ? `Required: ${missing.map(field => field.label).join(', ')}`
+            : '';
+    };
+
+    const renderProfiles = () => {
+        const profiles = loadProfiles();
+        profileSelect.innerHTML = '<option value="">Apply saved profile…</option>';
+        Object.keys(profiles).forEach(name => profileSelect.add(new Option(name, name)));
+        deleteButton.disabled = true;
+        return profiles;
+    };
+
+    profileSelect.onchange = () => {
+        const profile = loadProfiles()[profileSelect.value];
+        deleteButton.disabled = !profile;
+        if (profile) {
+            renderFields(profile.mapping);
+            profileInput.value = profileSelect.value;
+        }
+    };
+    deleteButton.onclick = () => {
+        if (!profileSelect.value) return;
+        deleteProfile(profileSelect.value);
+        renderProfiles();
+    };
+
+    renderProfiles();
+
+    renderFields(suggestion);
+    dialog.classList.remove('is-hidden');
+
+    return new Promise(resolve => {
+        const close = (result) => {
+            dialog.classList.add('is-hidden');
+            confirmButton.onclick = null;
+            cancelButton.onclick = null;
+            resolve(result);
+        };
+
+        confirmButton.onclick = () => {
+            close({ mapping: readMapping(), profileName: profileInput.value.trim() || null });
+        };
+        cancelButton.onclick = () => close(null);
+    });
+}
+
+// Mapping of a file's headers onto the canonical columns, asking the user only when needed;
+// null when the headers already are the canonical ones
+async function resolveMapping(fileName, headers) {
+    const suggestion = suggestMapping(headers);
+
+    if (isIdentityMapping(suggestion)) return null;
+
+    const profile = findProfile(headers);
+    if (profile) return profile.mapping;
+
+    const result = await openMappingDialog(fileName, headers, suggestion);
+    if (!result) {
+        throw new Error(`Column mapping for ${fileName} was cancelled`);
+    }
+    if (result.profileName) saveProfile(result.profileName, result.mapping);
+
+    return result.mapping;
+}
+
+// Map a parsed file onto the canonical columns
+async function resolveColumns(fileName, rows) {
+    const mapping = await resolveMapping(fileName, detectHeaders(rows));
+    return mapping ? applyMapping(rows, mapping) : rows;
+}
+
+window.ColumnMapping = {
+    detectHeaders,
+    suggestMapping,
+    applyMapping,
+    resolveMapping,
+    resolveColumns,
+    loadProfiles,
+    saveProfile,
+    deleteProfile,
+    CANONICAL_FIELDS
+};
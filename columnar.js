@@ -0,0 +1,74 @@
+/**
+ * Columnar Tables for Carbon Emissions Network Map
+ * Packs arrays of flat records into typed arrays, so the ingest worker can hand rows and trips back as transferables
+ */
+
+// Table: { length, columns: { key: { numbers: Float64Array } | { indices: Uint32Array, dictionary: [value, …] } } }.
+// Columns holding only numbers and nulls become Float64Arrays (null as NaN); any other column stores an index into
+// its list of distinct values. Keys missing from a record come back missing
+function encodeRecords(records, keys = getRecordKeys(records)) {
+    const columns = {};
+    keys.forEach(key => {
+        const isNumeric = records.every(record => record[key] === null || typeof record[key] === 'number');
+        if (isNumeric) {
+            const numbers = new Float64Array(records.length);
+            records.forEach((record, i) => {
+                numbers[i] = record[key] === null ? NaN : record[key];
+            });
+            columns[key] = { numbers };
+            return;
+        }
+
+        const dictionary = [];
+        const indexByValue = new Map();
+        const indices = new Uint32Array(records.length);
+        records.forEach((record, i) => {
+            const value = record[key];
+            if (!indexByValue.has(value)) {
+                indexByValue.set(value, dictionary.length);
+                dictionary.push(value);
+            }
+            indices[i] = indexByValue.get(value);
+        });
+        columns[key] = { indices, dictionary };
+    });
+    return { length: records.length, columns };
+}
+
+// Every key of the records, in first-seen order
+function getRecordKeys(records) {
+    const keys = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => keys.add(key)));
+    return Array.from(keys);
+}
+
+// Back to records; numeric NaN and null both decode as null
+function decodeRecords(table) {
+    const columns = Object.entries(table.columns);
+    const records = new Array(table.length);
+    for (let i = 0; i < table.length; i++) {
+        const record = {};
+        columns.forEach(([key, column]) => {
+            if (column.numbers) {
+                const value = column.numbers[i];
+                record[key] = Number.isNaN(value) ? null : value;
+            } else {
+                const value = column.dictionary[column.indices[i]];
+                if (value !== undefined) record[key] = value;
+            }
+        });
+        records[i] = record;
+    }
+    return records;
+}
+
+// Buffers of the tables' typed arrays, for postMessage's transfer list
+function getTransferables(...tables) {
+    return tables.flatMap(table => Object.values(table.columns).map(column => (column.numbers || column.indices).buffer));
+}
+
+window.Columnar = {
+    encodeRecords,
+    decodeRecords,
+    getTransferables
+};
@@ -0,0 +1,176 @@
+/**
+ * Period Comparison for Carbon Emissions Network Map
+ * Maps the change from a baseline dataset (e.g. last quarter's export) to the loaded one: clusters are
+ * sized and coloured by absolute or percentage change, and clusters that appeared or vanished are marked
+ */
+
+const DELTA_APPEARED_COLOR = [251, 191, 36]; // Amber
+const DELTA_VANISHED_COLOR = [100, 116, 139]; // Slate
+
+// getValue(delta) is null when the measure is undefined (percentage change of a cluster that appeared)
+const DELTA_MEASURES = {
+    absolute: {
+        label: 'Absolute change',
+        getValue: delta => delta.change,
+        format: value => `${value > 0 ? '+' : ''}${Math.round(value).toLocaleString()} kg`
+    },
+    percent: {
+        label: 'Percentage change',
+        getValue: delta => delta.share,
+        format: value => `${value > 0 ? '+' : ''}${Math.round(value * 100)}%`
+    }
+};
+
+// Decrease blue, no change pale, increase red
+function getDeltaColor(t) {
+    const { r, g, b } = d3.rgb(d3.interpolateRdBu(1 - t));
+    return [r, g, b];
+}
+
+// Trips of both periods for one layout, so clusters that vanished get a place too; the baseline's ids are
+// prefixed and its trips marked isBaseline
+function getDeltaTrips(currentTrips, baselineTrips) {
+    return [
+        ...currentTrips,
+        ...baselineTrips.map(trip => ({ ...trip, id: `baseline_${trip.id}`, isBaseline: true }))
+    ];
+}
+
+// Lay out both periods' trips together in the ingest worker (see getDeltaTrips); settings as for
+// Ingest.layoutTrips. The layout isn't remembered, so a baseline's departments never claim spots in the
+// user's own layout. Filtering reuses it through buildDeltaGraph
+function layoutDeltaGraph(currentTrips, baselineTrips, settings) {
+    return Ingest.layoutTrips(getDeltaTrips(currentTrips, baselineTrips), { ...settings, persistLayout: false }, 'comparison');
+}
+
+// Copy of the graph on the delta layout (layoutNodes) with a cluster for every group holding its trips or the
+// baseline trips that pass isBaselineShown. The map keeps only the graph's trips, and every cluster carries
+// its own totals plus delta: { baseline, current, change, share, status: 'appeared' | 'vanished' | null }
+function buildDeltaGraph(graph, layoutNodes, isBaselineShown) {
+    const currentIds = new Set(graph.nodes.filter(n => n.type === 'trip').map(trip => trip.id));
+    const nodeById = new Map(layoutNodes.map(node => [node.id, node]));
+    const currentTotals = new Map(); // group id -> totals of the loaded period's trips
+    const previousEmissions = new Map(); // group id -> baseline emissions
+
+    layoutNodes.forEach(node => {
+        if (node.type !== 'trip') return;
+        const isPrevious = node.isBaseline === true;
+        if (isPrevious ? !isBaselineShown(node) : !currentIds.has(node.id)) return;
+        for (let parent = nodeById.get(node.parentId); parent; parent = nodeById.get(parent.parentId)) {
+            if (isPrevious) {
+                previousEmissions.set(parent.id, (previousEmissions.get(parent.id) || 0) + node.emissions);
+            } else {
+                if (!currentTotals.has(parent.id)) currentTotals.set(parent.id, DataProcessor.createTotals());
+                DataProcessor.addTripTotals(currentTotals.get(parent.id), node);
+            }
+        }
+    });
+
+    const deltaNodes = [];
+    layoutNodes.forEach(node => {
+        if (node.type === 'trip') {
+            if (currentIds.has(node.id) && !node.isBaseline) deltaNodes.push(node);
+            return;
+        }
+        if (!currentTotals.has(node.id) && !previousEmissions.has(node.id)) return;
+        const totals = currentTotals.get(node.id) || DataProcessor.createTotals();
+        const baseline = previousEmissions.get(node.id) || 0;
+        const group = {
+            ...node,
+            ...totals,
+            delta: {
+                baseline,
+                current: totals.emissions,
+                change: totals.emissions - baseline,
+                share: previousEmissions.has(node.id) && baseline > 0 ? (totals.emissions - baseline) / baseline : null,
+                status: !previousEmissions.has(node.id) ? 'appeared' : totals.tripCount === 0 ? 'vanished' : null
+            }
+        };
+        if (node.level === 1) {
+            group.radius = DataProcessor.getDepartmentRadius(totals.emissions);
+            group.textSize = DataProcessor.getDepartmentTextSize(totals.emissions);
+        }
+        deltaNodes.push(group);
+    });
+
+    return { ...graph, nodes: deltaNodes };
+}
+
+// Largest absolute value of the measure among the clusters of each level
+function getDeltaRanges(nodes, measureId) {
+    const measure = DELTA_MEASURES[measureId] || DELTA_MEASURES.absolute;
+    const ranges = new Map(); // level -> { maxAbs, maxEmissions }
+    nodes.forEach(node => {
+        if (!node.delta) return;
+        const range = ranges.get(node.level) || { maxAbs: 0, maxEmissions: 0 };
+        const value = measure.getValue(node.delta);
+        if (value !== null) range.maxAbs = Math.max(range.maxAbs, Math.abs(value));
+        range.maxEmissions = Math.max(range.maxEmissions, node.delta.current, node.delta.baseline);
+        ranges.set(node.level, range);
+    });
+    return ranges;
+}
+
+// Size and colour the clusters of a delta graph by the measure, each level against its own range. Top-level
+// clusters grow to the size of the level's largest emitter; lower levels only shrink so the layout keeps fitting.
+// A cluster that appeared counts as the level's largest change when its percentage is undefined
+function applyDelta(graph, measureId) {
+    const measure = DELTA_MEASURES[measureId] || DELTA_MEASURES.absolute;
+    const ranges = getDeltaRanges(graph.nodes, measureId);
+
+    const nodes = graph.nodes.map(node => {
+        if (!node.delta) return node;
+        const { maxAbs, maxEmissions } = ranges.get(node.level);
+        const value = measure.getValue(node.delta) ?? maxAbs;
+        const ratio = maxAbs > 0 ? value / maxAbs : 0;
+        const color = node.delta.status === 'appeared' ? DELTA_APPEARED_COLOR
+            : node.delta.status === 'vanished' ? DELTA_VANISHED_COLOR
+                : getDeltaColor(0.5 + ratio / 2);
+        const copy = { ...node, color, sizeValue: Math.abs(ratio) * maxEmissions };
+        if (node.level === 1) {
+            copy.radius = DataProcessor.getDepartmentRadius(copy.sizeValue);
+            copy.textSize = DataProcessor.getDepartmentTextSize(copy.sizeValue);
+        } else {
+            copy.radius = node.radius * (0.4 + 0.6 * Math.sqrt(Math.abs(ratio)));
+        }
+        return copy;
+    });
+
+    return { ...graph, nodes };
+}
+
+// Change of one cluster as text, e.g. "+1,200 kg CO₂ (+15%)"
+function describeDelta(delta) {
+    if (delta.status === 'appeared') return 'New this period';
+    if (delta.status === 'vanished') return 'No trips this period';
+    const share = delta.share !== null ? ` (${DELTA_MEASURES.percent.format(delta.share)})` : '';
+    return `${DELTA_MEASURES.absolute.format(delta.change)} CO₂${share}`;
+}
+
+// Legend of the clusters of one level (nodes): a gradient from the largest decrease to the largest increase,
+// then the appeared / vanished markers
+function getDeltaLegend(nodes, measureId, levelLabel) {
+    const measure = DELTA_MEASURES[measureId] || DELTA_MEASURES.absolute;
+    const maxAbs = getDeltaRanges(nodes, measureId).get(nodes[0]?.level)?.maxAbs || 0;
+    const ticks = [-maxAbs, 0, maxAbs].map(value => value === 0 ? 'No change' : measure.format(value));
+    return {
+        title: `${levelLabel} · ${measure.label}`,
+        items: [
+            ...ticks.map((label, i) => ({ label, color: getDeltaColor(i / 2) })),
+            { label: 'Appeared', color: DELTA_APPEARED_COLOR },
+            { label: 'Vanished', color: DELTA_VANISHED_COLOR }
+        ],
+        more: 0,
+        gradient: Array.from({ length: 11 }, (_, i) => d3.rgb(...getDeltaColor(i / 10)).formatRgb()),
+        ticks
+    };
+}
+
+window.Comparison = {
+    layoutDeltaGraph,
+    buildDeltaGraph,
+    applyDelta,
+    describeDelta,
+    getDeltaLegend,
+    DELTA_MEASURES
+};
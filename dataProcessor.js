@@ -1,6 +1,6 @@
 /**
  * Data Processor for Carbon Emissions Network Map
- * Two layers: Departments → Trips
+ * Nests trips into the configured hierarchy (see hierarchy.js)
  * Text size = CO2 emissions
  */
 
@@ -33,19 +33,28 @@ const PURPOSE_COLORS = {
     'Other': [148, 163, 184]                  // Slate
 };
 
-// Zoom thresholds
+const ROW_PROGRESS_BATCH = 2000; // Rows between progress reports of the row-by-row import steps
+
+// Zoom thresholds per node type; the hierarchy levels are filled in by syncZoomThresholds
 const ZOOM_THRESHOLDS = {
-    department: { min: 0, max: Infinity },
-    trip: { min: 4, max: Infinity }, // Keep individual nodes visible
-    purpose: { min: 4, max: Infinity },
-    transport: { min: 6, max: Infinity },
-    route: { min: 7.5, max: Infinity } // New layer
+    trip: { min: 4, max: Infinity } // Keep individual nodes visible
 };
 
-async function parseCSV(url) {
+// Give every hierarchy level's node type the zoom band it appears in
+function syncZoomThresholds(levels) {
+    Object.keys(ZOOM_THRESHOLDS).forEach(type => {
+        if (type !== 'trip') delete ZOOM_THRESHOLDS[type];
+    });
+    levels.forEach(level => {
+        ZOOM_THRESHOLDS[level.type] = { min: level.minZoom, max: Infinity };
+    });
+}
+
+// Accepts either a URL or a File object picked/dropped by the user
+async function parseCSV(source) {
     return new Promise((resolve, reject) => {
-        Papa.parse(url, {
-            download: true,
+        Papa.parse(source, {
+            download: typeof source === 'string',
             header: true,
             dynamicTyping: true,
             skipEmptyLines: true,
@@ -55,72 +64,175 @@ async function parseCSV(url) {
     });
 }
 
+// Parse several CSV files and merge their rows, tagging each row with its file name and row number
+async function parseFiles(files) {
+    const results = await Promise.all(Array.from(files).map(async file => {
+        const rows = await parseCSV(file);
+        rows.forEach((row, i) => {
+            row.__source = file.name;
+            row.__row = i + 1;
+        });
+        return rows;
+    }));
+    return results.flat();
+}
+
+// FNV-1a hash, used for reproducible ids of rows without a Trip ID
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+function getTripId(row) {
+    const tripId = row['Trip ID'];
+    if (tripId !== null && tripId !== undefined && tripId !== '') return String(tripId);
+
+    return 'gen_' + hashString([
+        row.__source, row.__row, row['Business Dept'], row['Purpose'], row['Shipping Type'],
+        row['Departure City'], row['Arrival City'],
+        // Estimated values depend on the factor set, so leave them out to keep the id stable
+        row.__emissionSource === 'estimated' ? '' : row['Carbon Emission'], row['Net Costs']
+    ].join('|'));
+}
+
+// Parse trip dates from ISO, day-first (DD.MM.YYYY / DD/MM/YYYY) or Excel serial values to a timestamp
+function parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? NaN : value.getTime();
+
+    // Excel serial day numbers (days since 1899-12-30)
+    if (typeof value === 'number') {
+        return value > 20000 && value < 80000 ? Date.UTC(1899, 11, 30) + value * 86400000 : NaN;
+    }
+
+    const str = String(value).trim();
+    let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return Date.UTC(+match[1], +match[2] - 1, +match[3]);
+
+    match = str.match(/^(\d{1,2})[./](\d{1,2})[./](\d{2,4})$/);
+    if (match) {
+        let [, day, month, year] = match.map(Number);
+        // Fall back to month-first when the day-first reading is impossible
+        if (month > 12 && day <= 12) [day, month] = [month, day];
+        if (year < 100) year += 2000;
+        if (month > 12 || day > 31) return NaN;
+        return Date.UTC(year, month - 1, day);
+    }
+
+    const parsed = Date.parse(str);
+    return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+// Same bright colour for the same name every time, with the hue picked by hash
+function pickColor(name) {
+    const { r, g, b } = d3.hsl(parseInt(hashString(String(name)), 36) % 360, 0.75, 0.62).rgb();
+    return [Math.round(r), Math.round(g), Math.round(b)];
+}
+
+// Listed departments keep their colour; others get one picked by name rather than grey
 function getDepartmentColor(name) {
-    return DEPARTMENT_COLORS[name] || [128, 128, 128];
+    return DEPARTMENT_COLORS[name] || pickColor(name);
+}
+
+// Colour of a top-level cluster: department and purpose colours, otherwise one picked by name
+function getClusterColor(dimensionKey, name) {
+    if (dimensionKey === 'department') return getDepartmentColor(name);
+    if (dimensionKey === 'purpose') return PURPOSE_COLORS[name] || PURPOSE_COLORS['Other'];
+    return pickColor(name);
+}
+
+// Running sums over a group's trips; the intensity metrics (see metrics.js) divide these
+function createTotals() {
+    return { emissions: 0, tripCount: 0, cost: 0, distance: 0, distanceEmissions: 0 };
 }
 
-function processEmissionsData(rawData) {
+function addTripTotals(totals, trip) {
+    totals.emissions += trip.emissions;
+    totals.tripCount++;
+    totals.cost += Number(trip.cost) || 0;
+    if (trip.distance > 0) {
+        totals.distance += trip.distance;
+        totals.distanceEmissions += trip.emissions; // Emissions of the trips with a known distance
+    }
+}
+
+// Call onProgress(rowsDone, total) after every batch of rows and after the last one
+function reportRowProgress(onProgress, index, total) {
+    const done = index + 1;
+    if (onProgress && (done % ROW_PROGRESS_BATCH === 0 || done === total)) onProgress(done, total);
+}
+
+// options.layout names a HierarchyLayouts strategy (default 'rings'); persistLayout = false lays out without
+// remembering positions (see layouts.js); onProgress(rowsDone, total) follows the grouping of the rows
+function processEmissionsData(rawData, options = {}) {
     const departments = new Map();
     const trips = [];
+    const sources = new Set();
     let totalEmissions = 0;
 
-    rawData.forEach(row => {
-        // Handle potential CSV artifacts or empty rows
-        if (!row['Business Dept'] || !row['Carbon Emission']) return;
+    rawData.forEach((row, index) => {
+        reportRowProgress(options.onProgress, index, rawData.length);
+
+        // Handle potential CSV artifacts or empty rows (zero emissions are valid)
+        const rawEmissions = row['Carbon Emission'];
+        if (!row['Business Dept'] || rawEmissions === null || rawEmissions === undefined || rawEmissions === '') return;
 
         const deptName = row['Business Dept'];
         const emissions = Number(row['Carbon Emission']) || 0;
 
-        // 1. Process Department
+        // 1. Department totals
         if (!departments.has(deptName)) {
             departments.set(deptName, {
-                id: `dept_${deptName}`,
-                type: 'department',
                 name: deptName,
-                emissions: 0,
-                tripCount: 0,
-                color: getDepartmentColor(deptName),
-                radius: 0, // Calculated later
-                x: 0, y: 0 // Positioned later
+                ...createTotals(),
+                color: getDepartmentColor(deptName)
             });
         }
-
-        const dept = departments.get(deptName);
-        dept.emissions += emissions;
-        dept.tripCount++;
         totalEmissions += emissions;
 
         // 2. Process Trip
+        const date = parseDate(row['Date']);
         const trip = {
-            id: `trip_${row['Trip ID'] || Math.random().toString(36).substr(2, 9)}`,
+            id: `trip_${getTripId(row)}`,
             type: 'trip',
             department: deptName,
             purpose: row['Purpose'] || 'Other',
             transportMode: row['Shipping Type'] || 'Other', // Using 'Shipping Type' as transport mode based on CSV
+            from: row['Departure City'] || 'Unknown',
+            to: row['Arrival City'] || 'Unknown',
             route: `${row['Departure City'] || 'Unknown'} → ${row['Arrival City'] || 'Unknown'}`,
             emissions: emissions,
+            emissionSource: row.__emissionSource || 'reported', // 'reported' or 'estimated'
+            factorSet: row.__factorSet || null, // Factor set used when estimated
+            factor: row.__factor || null,
+            factorBand: row.__factorBand || null,
+            distance: row.__distance || Number(row['Distance']) || null, // km
             cost: row['Net Costs'] || 0,
+            date: Number.isFinite(date) ? date : null, // UTC timestamp
+            source: row.__source || null, // File the trip was imported from
             color: getDepartmentColor(deptName), // Inherit color from department
+            fields: row, // Original CSV row, for grouping by any column
             x: 0, y: 0 // Positioned later
         };
         trips.push(trip);
-    });
-
-    // Calculate radii for departments based on total emissions
-    departments.forEach(dept => {
-        // Base size + log scale of emissions
-        dept.radius = 100 + Math.sqrt(dept.emissions) * 0.5;
+        addTripTotals(departments.get(deptName), trip);
+        if (trip.source) sources.add(trip.source);
     });
 
     console.log(`Processed ${departments.size} departments and ${trips.length} trips.`);
 
     // Position everything
-    const nodes = positionNodes(departments, trips);
+    const nodes = positionNodes(trips, options.layout, { persist: options.persistLayout });
 
     return {
         nodes,
         departments: Array.from(departments.values()),
         totalEmissions,
+        sources: Array.from(sources),
         counts: {
             departments: departments.size,
             trips: trips.length
@@ -128,139 +240,183 @@ function processEmissionsData(rawData) {
     };
 }
 
+// Base size + square-root scale of emissions
+function getDepartmentRadius(emissions) {
+    return 100 + Math.sqrt(emissions) * 0.5;
+}
+
+function getDepartmentTextSize(emissions) {
+    return 32 + Math.sqrt(emissions / 2000) * 12;
+}
+
+// Derive a graph holding only the trips that pass the predicate. Positions are kept so the
+// layout doesn't jump; cluster and department totals (and top-level sizes) are recomputed and empty groups are dropped.
+function filterGraph(graph, predicate) {
+    const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+    const keptIds = new Set(); // Ids of the trips that pass
+    const groupTotals = new Map(); // group id -> totals (see createTotals) of its kept trips
+    const deptTotals = new Map();
+    const sources = new Set();
+    let totalEmissions = 0;
+
+    graph.nodes.forEach(trip => {
+        if (trip.type !== 'trip' || !predicate(trip)) return;
+
+        keptIds.add(trip.id);
+        totalEmissions += trip.emissions;
+        if (trip.source) sources.add(trip.source);
+
+        const addTo = (totalsMap, key) => {
+            if (!totalsMap.has(key)) totalsMap.set(key, createTotals());
+            addTripTotals(totalsMap.get(key), trip);
+        };
+        addTo(deptTotals, trip.department);
+
+        // Keep every ancestor group of the trip
+        let parentId = trip.parentId;
+        while (parentId) {
+            addTo(groupTotals, parentId);
+            parentId = nodeById.get(parentId)?.parentId;
+        }
+    });
 
-function positionNodes(departments, trips) {
+    const departments = graph.departments
+        .filter(dept => deptTotals.has(dept.name))
+        .map(dept => ({ ...dept, ...deptTotals.get(dept.name) }));
     const nodes = [];
-    const deptArray = Array.from(departments.values());
-    const spacing = 700; // Increased further for more sub-cluster space
-
-    // Position departments
-    const angleIncrement = 137.508 * (Math.PI / 180);
-    const PURPOSE_GROUP_RADIUS = 75; // Increased
-    const TRANSPORT_GROUP_RADIUS = 22; // Increased
-    const ROUTE_GROUP_RADIUS = 6;  // New radius for route clusters
-    const DEPT_CLUSTER_RADIUS = 180; // Increased
-
-    const deptPositions = new Map();
-    deptArray.forEach((dept, i) => {
-        const r = spacing * Math.sqrt(i);
-        const theta = i * angleIncrement;
-        dept.x = r * Math.cos(theta);
-        dept.y = r * Math.sin(theta);
-        dept.textSize = 32 + Math.sqrt(dept.emissions / 2000) * 12;
-        nodes.push(dept);
-        deptPositions.set(dept.name, { x: dept.x, y: dept.y });
+    graph.nodes.forEach(node => {
+        if (node.type === 'trip') {
+            if (keptIds.has(node.id)) nodes.push(node);
+            return;
+        }
+        const totals = groupTotals.get(node.id);
+        if (!totals) return;
+        const group = { ...node, ...totals };
+        if (node.level === 1) {
+            group.radius = getDepartmentRadius(totals.emissions);
+            group.textSize = getDepartmentTextSize(totals.emissions);
+        }
+        nodes.push(group);
     });
 
-    // Group trips by Dept -> Purpose -> Transport -> Route
-    const deptGroups = new Map();
-    trips.forEach(trip => {
-        if (!deptGroups.has(trip.department)) deptGroups.set(trip.department, new Map());
-        const purposeMap = deptGroups.get(trip.department);
+    return {
+        nodes,
+        departments,
+        totalEmissions,
+        sources: Array.from(sources),
+        counts: {
+            departments: departments.length,
+            trips: keptIds.size
+        }
+    };
+}
 
-        if (!purposeMap.has(trip.purpose)) purposeMap.set(trip.purpose, new Map());
-        const transportMap = purposeMap.get(trip.purpose);
+// Seeded PRNG (mulberry32), so each trip lands on the same spot on every load
+function createRandom(seedText) {
+    let seed = parseInt(hashString(seedText), 36) >>> 0;
+    return () => {
+        seed = (seed + 0x6D2B79F5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Highlight radius (pixels) of group clusters by their level's role; top-level clusters are sized by emissions
+const GROUP_RADII = {
+    upper: 95,
+    middle: 32,
+    leaf: 8
+};
 
-        const transport = trip.transportMode || 'Other';
-        if (!transportMap.has(transport)) transportMap.set(transport, new Map());
-        const routeMap = transportMap.get(transport);
+// Builds the tree of hierarchy levels, lets the chosen layout strategy (see layouts.js) place it,
+// then emits the group nodes and scatters trips inside their leaf cluster. options go to the strategy
+function positionNodes(trips, layoutId = 'rings', options = {}) {
+    const levels = Hierarchy.getLevels();
+    const leafDepth = levels.length;
+    syncZoomThresholds(levels);
 
-        // Define route key (City A -> City B)
-        const routeKey = trip.route || 'Unknown Route';
-        if (!routeMap.has(routeKey)) routeMap.set(routeKey, []);
-        routeMap.get(routeKey).push(trip);
+    // Group trips level by level; ids chain the values of every level down to the node
+    const tree = { children: [] };
+    trips.forEach(trip => {
+        let parent = tree;
+        const path = [];
+        levels.forEach((level, i) => {
+            const name = level.getValue(trip);
+            path.push(level.hashId ? hashString(name) : name);
+            if (!parent.byName) parent.byName = new Map();
+            if (!parent.byName.has(name)) {
+                const child = { id: `${level.idPrefix}_${path.join('_')}`, name, depth: i + 1, role: level.role, ...createTotals(), children: [] };
+                if (i === leafDepth - 1) child.trips = [];
+                parent.byName.set(name, child);
+                parent.children.push(child);
+            }
+            parent = parent.byName.get(name);
+            addTripTotals(parent, trip);
+        });
+        parent.trips.push(trip);
     });
 
-    // Position Groups
-    deptGroups.forEach((purposeMap, deptName) => {
-        const deptPos = deptPositions.get(deptName);
-        if (!deptPos) return;
-
-        const purposes = Array.from(purposeMap.keys());
-        const purposeAngleStep = (2 * Math.PI) / (purposes.length || 1);
-
-        purposes.forEach((purpose, i) => {
-            // 1. Position Purpose Group
-            const purposeAngle = i * purposeAngleStep;
-            const purposeX = deptPos.x + DEPT_CLUSTER_RADIUS * Math.cos(purposeAngle);
-            const purposeY = deptPos.y + DEPT_CLUSTER_RADIUS * Math.sin(purposeAngle);
-
-            nodes.push({
-                id: `group_${deptName}_${purpose}`,
-                type: 'purpose-group',
-                name: purpose,
-                department: deptName,
-                x: purposeX,
-                y: purposeY,
-                color: getDepartmentColor(deptName),
-                radius: PURPOSE_GROUP_RADIUS + 20
-            });
+    HierarchyLayouts.getLayout(layoutId).apply(tree, options);
 
-            // 2. Position Transport Groups within Purpose Group
-            const transportMap = purposeMap.get(purpose);
-            const transports = Array.from(transportMap.keys());
-            const transportLayoutRadius = transports.length > 1 ? PURPOSE_GROUP_RADIUS * 0.65 : 0;
-            const transportAngleStep = (2 * Math.PI) / (transports.length || 1);
-
-            transports.forEach((transport, j) => {
-                const transportAngle = j * transportAngleStep;
-                const transportX = purposeX + transportLayoutRadius * Math.cos(transportAngle);
-                const transportY = purposeY + transportLayoutRadius * Math.sin(transportAngle);
-
-                nodes.push({
-                    id: `trans_${deptName}_${purpose}_${transport}`,
-                    type: 'transport-group',
-                    name: transport,
-                    department: deptName,
-                    purpose: purpose,
-                    x: transportX,
-                    y: transportY,
-                    color: getDepartmentColor(deptName),
-                    radius: TRANSPORT_GROUP_RADIUS + 10
-                });
-
-                // 3. Position Route Groups within Transport Group
-                const routeMap = transportMap.get(transport);
-                const routes = Array.from(routeMap.keys());
-                // Layout routes in a circle within the Transport group
-                const routeLayoutRadius = routes.length > 1 ? TRANSPORT_GROUP_RADIUS * 0.6 : 0;
-                const routeAngleStep = (2 * Math.PI) / (routes.length || 1);
-
-                routes.forEach((route, k) => {
-                    const routeAngle = k * routeAngleStep;
-                    const routeX = transportX + routeLayoutRadius * Math.cos(routeAngle);
-                    const routeY = transportY + routeLayoutRadius * Math.sin(routeAngle);
-
-                    nodes.push({
-                        id: `route_${deptName}_${purpose}_${transport}_${k}`,
-                        type: 'route-group',
-                        name: route, // "City A -> City B"
-                        department: deptName,
-                        purpose: purpose,
-                        transport: transport,
-                        x: routeX,
-                        y: routeY,
-                        color: getDepartmentColor(deptName),
-                        radius: ROUTE_GROUP_RADIUS + 2
-                    });
-
-                    // 4. Position Trips within Route Group
-                    const tripList = routeMap.get(route);
-                    tripList.forEach(trip => {
-                        // Tight cluster for individual trips
-                        const r = ROUTE_GROUP_RADIUS * Math.sqrt(Math.random()) * 0.8;
-                        const angle = Math.random() * 2 * Math.PI;
-                        trip.x = routeX + r * Math.cos(angle);
-                        trip.y = routeY + r * Math.sin(angle);
-                        trip.textSize = 8;
-                        nodes.push(trip);
-                    });
-                });
-            });
+    const nodes = [];
+    const emit = (node, parent, ancestors, color) => {
+        const level = levels[node.depth - 1];
+        const group = {
+            id: node.id,
+            type: level.type,
+            level: node.depth,
+            name: node.name,
+            path: ancestors.map(ancestor => ancestor.name), // Names of the enclosing clusters, top first
+            parentId: parent?.id,
+            emissions: node.emissions,
+            tripCount: node.tripCount,
+            cost: node.cost,
+            distance: node.distance,
+            distanceEmissions: node.distanceEmissions,
+            x: node.x,
+            y: node.y,
+            outline: node.outline,
+            color
+        };
+        // Trips' own fields for the dimensions above and at this level, e.g. department for search
+        [...ancestors, node].forEach(n => {
+            const key = levels[n.depth - 1].key;
+            if (!key.startsWith('column:')) group[key] = n.name;
         });
-    });
+        if (node.depth === 1) {
+            group.radius = getDepartmentRadius(node.emissions);
+            group.textSize = getDepartmentTextSize(node.emissions);
+        } else {
+            group.radius = GROUP_RADII[node.role];
+        }
+        nodes.push(group);
+
+        node.children.forEach(child => emit(child, node, [...ancestors, node], color));
+
+        // Trips within the leaf cluster, seeded by trip id
+        (node.trips || []).forEach(trip => {
+            [trip.x, trip.y] = node.place(createRandom(trip.id));
+            trip.textSize = 8;
+            trip.parentId = node.id;
+            nodes.push(trip);
+        });
+    };
+    tree.children.forEach(top => emit(top, null, [], getClusterColor(levels[0].key, top.name)));
+
+    // Top-level clusters first, as the layers and legend expect
+    return [
+        ...nodes.filter(node => node.level === 1),
+        ...nodes.filter(node => node.level !== 1)
+    ];
+}
 
-    return nodes;
+// Re-place an existing graph's trips with another layout strategy, or after the hierarchy changed
+// (group nodes are rebuilt; trip objects are kept). options as for positionNodes
+function relayoutGraph(graph, layoutId, options = {}) {
+    const trips = graph.nodes.filter(node => node.type === 'trip');
+    return { ...graph, nodes: positionNodes(trips, layoutId, options) };
 }
 
 function getLayerOpacity(nodeType, currentZoom) {
@@ -301,10 +457,22 @@ function nodesToDeckData(nodes) {
 
 window.DataProcessor = {
     parseCSV,
+    parseFiles,
+    parseDate,
     processEmissionsData,
+    filterGraph,
     nodesToDeckData,
     getLayerOpacity,
     getDepartmentColor,
+    getClusterColor,
+    getDepartmentRadius,
+    getDepartmentTextSize,
+    createTotals,
+    addTripTotals,
+    hashString,
+    reportRowProgress,
+    relayoutGraph,
+    syncZoomThresholds,
     DEPARTMENT_COLORS,
     PURPOSE_COLORS,
     ZOOM_THRESHOLDS
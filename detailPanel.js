@@ -0,0 +1,233 @@
+/**
+ * Detail Panel for Carbon Emissions Network Map
+ * Drill-down analytics for a clicked node: subtree breakdown, top trips, cost vs emissions
+ */
+
+// Labels of the node types outside the hierarchy; cluster types take their dimension's label
+const NODE_TYPE_LABELS = {
+    'trip': 'Trip',
+    'geo-route': 'Route',
+    'city-hub': 'City'
+};
+
+// Breakdown levels of geographic nodes: trip fields, or the cluster type when the field is a hierarchy level
+const GEO_BREAKDOWN_LEVELS = ['department', 'transportMode'];
+
+const DETAIL_TOP_TRIPS = 8;
+const DETAIL_BREAKDOWN_ROWS = 5;
+const DETAIL_SCATTER_POINTS = 400;
+
+let detailNodeById = new Map();
+
+function getNodeTypeLabel(type) {
+    return Hierarchy.getLevelByType(type)?.label || NODE_TYPE_LABELS[type] || type;
+}
+
+// Up to two breakdown levels below a node: the next hierarchy levels' node types, or trip fields
+function getBreakdownLevels(node) {
+    if (node.type === 'geo-route' || node.type === 'city-hub') return GEO_BREAKDOWN_LEVELS;
+    if (!node.level) return [];
+    return Hierarchy.getLevels().slice(node.level, node.level + 2).map(level => level.type);
+}
+let onDetailNavigate = null;
+let onDetailClose = null;
+
+// Ancestors of a node from its top-level cluster down to its parent
+function getAncestors(node) {
+    const ancestors = [];
+    let parentId = node.parentId;
+    while (parentId && detailNodeById.has(parentId)) {
+        const parent = detailNodeById.get(parentId);
+        ancestors.unshift(parent);
+        parentId = parent.parentId;
+    }
+    return ancestors;
+}
+
+function findAncestor(trip, type) {
+    let node = detailNodeById.get(trip.parentId);
+    while (node && node.type !== type) node = detailNodeById.get(node.parentId);
+    return node || null;
+}
+
+function isDescendant(trip, ancestorId) {
+    let parentId = trip.parentId;
+    while (parentId) {
+        if (parentId === ancestorId) return true;
+        parentId = detailNodeById.get(parentId)?.parentId;
+    }
+    return false;
+}
+
+// Trips below a node; geographic nodes select theirs by city
+function getSubtreeTrips(node, nodes) {
+    const trips = nodes.filter(n => n.type === 'trip');
+    if (node.type === 'trip') return [node];
+    if (node.type === 'geo-route') return trips.filter(t => t.from === node.from && t.to === node.to);
+    if (node.type === 'city-hub') return trips.filter(t => t.from === node.name || t.to === node.name);
+    return trips.filter(trip => isDescendant(trip, node.id));
+}
+
+// Emissions per group of trips at one breakdown level
+function groupTrips(trips, level) {
+    const groups = new Map();
+    trips.forEach(trip => {
+        const ancestor = Hierarchy.getLevelByType(level) ? findAncestor(trip, level) : null;
+        const key = ancestor ? ancestor.id : String(trip[level] ?? 'Unknown');
+        if (!groups.has(key)) {
+            groups.set(key, { key, label: ancestor ? ancestor.name : key, node: ancestor, emissions: 0, trips: [] });
+        }
+        const group = groups.get(key);
+        group.emissions += trip.emissions;
+        group.trips.push(trip);
+    });
+    return Array.from(groups.values()).sort((a, b) => b.emissions - a.emissions);
+}
+
+function formatDetailValue(value) {
+    if (value >= 1000000) return (value / 1000000).toFixed(2) + 'M';
+    if (value >= 1000) return (value / 1000).toFixed(1) + 'K';
+    return value.toFixed(value < 10 ? 2 : 0);
+}
+
+function renderBreakdown(node, trips, total) {
+    const levels = getBreakdownLevels(node);
+    if (levels.length === 0 || trips.length === 0) return '';
+
+    const row = (group, depth) => `
+        <div class="detail-row depth-${depth} ${group.node ? 'is-link' : ''}" ${group.node ? `data-node-id="${Html.escapeHTML(group.node.id)}"` : ''}>
+            <div class="range-header">
+                <span>${Html.escapeHTML(group.label)}</span>
+                <span>${formatDetailValue(group.emissions)}</span>
+            </div>
+            <div class="detail-bar"><span style="width: ${total > 0 ? (group.emissions / total) * 100 : 0}%; background: rgb(${node.color?.join(',') || '56,189,248'})"></span></div>
+        </div>
+    `;
+    const more = (groups, depth) => groups.length > DETAIL_BREAKDOWN_ROWS
+        ? `<small class="empty-note depth-${depth}">+ ${groups.length - DETAIL_BREAKDOWN_ROWS} more</small>`
+        : '';
+
+    const groups = groupTrips(trips, levels[0]);
+    return `
+        <span class="facet-title">Breakdown</span>
+        <div class="detail-breakdown">
+            ${groups.slice(0, DETAIL_BREAKDOWN_ROWS).map(group => {
+                const children = levels[1] ? groupTrips(group.trips, levels[1]) : [];
+                return row(group, 0) +
+                    children.slice(0, DETAIL_BREAKDOWN_ROWS).map(child => row(child, 1)).join('') +
+                    more(children, 1);
+            }).join('')}
+            ${more(groups, 0)}
+        </div>
+    `;
+}
+
+function renderTopTrips(node, trips) {
+    if (node.type === 'trip' || trips.length === 0) return '';
+
+    const top = [...trips].sort((a, b) => b.emissions - a.emissions).slice(0, DETAIL_TOP_TRIPS);
+    return `
+        <span class="facet-title">Top emitting trips</span>
+        <table class="data-table detail-trips">
+            ${top.map(trip => `
+                <tr class="is-link" data-node-id="${Html.escapeHTML(trip.id)}">
+                    <td>${Html.escapeHTML(trip.route || trip.name || trip.id)}<small>${Html.escapeHTML(trip.transportMode)} · ${Html.escapeHTML(trip.purpose)}</small></td>
+                    <td>${formatDetailValue(trip.emissions)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// Cost on x, emissions on y; one dot per trip
+function renderCostScatter(trips) {
+    const points = trips.filter(t => Number(t.cost) > 0).slice(0, DETAIL_SCATTER_POINTS);
+    if (points.length < 2) return '';
+
+    const maxCost = Math.max(...points.map(t => Number(t.cost)));
+    const maxEmissions = Math.max(...points.map(t => t.emissions), 1);
+    return `
+        <svg class="detail-scatter" viewBox="0 0 100 50" preserveAspectRatio="none">
+            ${points.map(t => `
+                <circle cx="${(Number(t.cost) / maxCost) * 98 + 1}" cy="${49 - (t.emissions / maxEmissions) * 48}" r="0.9"
+                    fill="rgb(${t.color.join(',')})"><title>${Html.escapeHTML(t.route)}: ${formatDetailValue(Number(t.cost))} cost, ${formatDetailValue(t.emissions)} kg</title></circle>
+            `).join('')}
+        </svg>
+        <div class="range-header detail-axis"><span>Cost →</span><span>max ${formatDetailValue(maxCost)}</span></div>
+    `;
+}
+
+function renderDetailPanel(node, nodes) {
+    const panel = document.getElementById('detail-panel');
+    if (!panel || !node) return;
+
+    detailNodeById = new Map(nodes.map(n => [n.id, n]));
+    const trips = getSubtreeTrips(node, nodes);
+    const emissions = trips.reduce((sum, t) => sum + t.emissions, 0);
+    const cost = trips.reduce((sum, t) => sum + (Number(t.cost) || 0), 0);
+    const crumbs = node.id ? [...getAncestors(node), node] : [node];
+
+    panel.innerHTML = `
+        <div class="detail-header">
+            <div>
+                <span class="modal-subtitle">${Html.escapeHTML(getNodeTypeLabel(node.type))}</span>
+                <div class="detail-title">${Html.escapeHTML(node.type === 'trip' ? node.route : node.name)}</div>
+            </div>
+            <button class="source-remove" data-action="close" title="Close">×</button>
+        </div>
+        <div class="detail-breadcrumb">
+            ${crumbs.map((crumb, i) => i < crumbs.length - 1
+                ? `<button class="button-link" data-node-id="${Html.escapeHTML(crumb.id)}">${Html.escapeHTML(crumb.name)}</button><span>›</span>`
+                : `<span>${crumb.type === 'trip' ? 'Trip' : Html.escapeHTML(crumb.name)}</span>`).join('')}
+        </div>
+        <div class="stats-grid stats-grid-3">
+            <div class="stat-item">
+                <span class="stat-label">CO₂ kg</span>
+                <span class="stat-value">${formatDetailValue(emissions)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Trips</span>
+                <span class="stat-value">${trips.length.toLocaleString()}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Cost</span>
+                <span class="stat-value">${formatDetailValue(cost)}</span>
+            </div>
+        </div>
+        <small class="empty-note">${cost > 0 ? `${(emissions / cost).toFixed(3)} kg CO₂ per cost unit` : 'No Net Costs for these trips'}</small>
+        ${node.type === 'trip' ? `
+        <small class="empty-note">${Html.escapeHTML(node.department)} · ${Html.escapeHTML(node.purpose)} · ${Html.escapeHTML(node.transportMode)}${node.date !== null && node.date !== undefined ? ` · ${new Date(node.date).toISOString().slice(0, 10)}` : ''}</small>` : ''}
+        ${renderBreakdown(node, trips, emissions)}
+        ${renderTopTrips(node, trips)}
+        ${renderCostScatter(trips)}
+    `;
+    panel.classList.remove('is-hidden');
+
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => {
+        if (onDetailClose) onDetailClose();
+    });
+    panel.querySelectorAll('[data-node-id]').forEach(element => {
+        element.addEventListener('click', () => {
+            const target = detailNodeById.get(element.dataset.nodeId);
+            if (target && onDetailNavigate) onDetailNavigate(target);
+        });
+    });
+}
+
+function hideDetailPanel() {
+    document.getElementById('detail-panel')?.classList.add('is-hidden');
+}
+
+// onNavigate(node) runs for breadcrumb, breakdown and trip clicks; onClose for the × button
+function setupDetailPanel(onNavigate, onClose) {
+    onDetailNavigate = onNavigate;
+    onDetailClose = onClose;
+}
+
+window.DetailPanel = {
+    setupDetailPanel,
+    renderDetailPanel,
+    hideDetailPanel,
+    getSubtreeTrips,
+    getNodeTypeLabel
+};
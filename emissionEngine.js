@@ -0,0 +1,205 @@
+/**
+ * Emission-Factor Engine for Carbon Emissions Network Map
+ * Estimates CO₂ for rows without a reported 'Carbon Emission' from mode, distance and class
+ */
+
+const CUSTOM_FACTOR_STORAGE_KEY = 'carbon-net.factor-sets';
+
+const factorSets = new Map(); // id -> factor set
+let activeFactorSetId = null;
+
+// Check the minimum shape a pluggable factor set needs; returns a list of problems
+function validateFactorSet(set) {
+    const problems = [];
+    if (!set || typeof set !== 'object') return ['Factor set must be a JSON object'];
+    if (!set.id) problems.push('Missing "id"');
+    if (!set.version) problems.push('Missing "version"');
+    if (!set.modes || typeof set.modes !== 'object') {
+        problems.push('Missing "modes"');
+        return problems;
+    }
+
+    Object.entries(set.modes).forEach(([mode, config]) => {
+        if (!Array.isArray(config.keywords)) problems.push(`Mode "${mode}" needs a "keywords" array`);
+        if (!Array.isArray(config.bands) || config.bands.length === 0) {
+            problems.push(`Mode "${mode}" needs at least one band`);
+            return;
+        }
+        config.bands.forEach((band, i) => {
+            if (typeof band.factors?.default !== 'number') {
+                problems.push(`Mode "${mode}" band ${i + 1} needs a numeric "factors.default"`);
+            }
+        });
+    });
+    return problems;
+}
+
+function registerFactorSet(set) {
+    const problems = validateFactorSet(set);
+    if (problems.length > 0) {
+        throw new Error(`Invalid factor set: ${problems.join('; ')}`);
+    }
+    factorSets.set(set.id, set);
+    if (!activeFactorSetId) activeFactorSetId = set.id;
+}
+
+function getFactorSets() {
+    return Array.from(factorSets.values());
+}
+
+function getActiveFactorSet() {
+    return factorSets.get(activeFactorSetId) || null;
+}
+
+function setActiveFactorSet(id) {
+    if (!factorSets.has(id)) throw new Error(`Unknown factor set "${id}"`);
+    activeFactorSetId = id;
+}
+
+function getFactorSetLabel(set) {
+    return set ? `${set.name || set.id} v${set.version}` : '';
+}
+
+// Read an uploaded JSON factor set, register it and remember it for the next visit
+async function loadFactorSetFile(file) {
+    const set = JSON.parse(await file.text());
+    registerFactorSet(set);
+
+    const stored = loadStoredFactorSets().filter(s => s.id !== set.id);
+    stored.push(set);
+    localStorage.setItem(CUSTOM_FACTOR_STORAGE_KEY, JSON.stringify(stored));
+    return set;
+}
+
+function loadStoredFactorSets() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_FACTOR_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Ignoring unreadable stored factor sets:', error);
+        return [];
+    }
+}
+
+function normalizeKey(value) {
+    return String(value || '').toLowerCase().replace(/[_-]+/g, ' ').trim();
+}
+
+function resolveMode(transportMode, set) {
+    const text = normalizeKey(transportMode);
+    if (!text) return null;
+    if (set.modes[text]) return text;
+
+    // Match whole words only ("ice" must not match "service"), ignoring plurals
+    const words = text.split(/[^a-z]+/).map(word => word.replace(/s$/, ''));
+    return Object.keys(set.modes).find(mode =>
+        set.modes[mode].keywords.some(keyword => keyword.includes(' ') ? text.includes(keyword) : words.includes(keyword))
+    ) || null;
+}
+
+// Distance in km: the row's 'Distance' column, else great-circle between its cities with the mode's uplift
+function resolveDistance(row, modeConfig) {
+    const reported = Validator.parseNumber(row['Distance']);
+    if (Number.isFinite(reported) && reported > 0) return { distance: reported, distanceSource: 'reported' };
+
+    const from = Geo.geocodeCity(row['Departure City']);
+    const to = Geo.geocodeCity(row['Arrival City']);
+    if (!from || !to) return { distance: null, distanceSource: null };
+
+    return {
+        distance: Geo.getDistanceKm(from, to) * (modeConfig.distanceUplift || 1),
+        distanceSource: 'coordinates'
+    };
+}
+
+// Estimate one row; returns { emissions, factor, ... } or { error }
+function estimateRow(row, set) {
+    const mode = resolveMode(row['Shipping Type'], set);
+    if (!mode) return { error: `No emission factor for transport mode "${row['Shipping Type'] || 'blank'}"` };
+
+    const modeConfig = set.modes[mode];
+    const { distance, distanceSource } = resolveDistance(row, modeConfig);
+    if (!distance) return { error: 'No distance column and cities could not be geocoded' };
+
+    const band = modeConfig.bands.find(b => b.maxKm === null || b.maxKm === undefined || distance <= b.maxKm) ||
+        modeConfig.bands[modeConfig.bands.length - 1];
+    const travelClass = normalizeKey(row['Travel Class']).replace(/\s*class$/, '');
+    const factor = band.factors[travelClass] ?? band.factors.default;
+
+    return {
+        emissions: distance * factor,
+        factor,
+        mode,
+        band: band.label,
+        distance,
+        distanceSource
+    };
+}
+
+// Emissions a trip would have caused by another mode of the active set, or null when unknown
+function estimateTripForMode(trip, mode) {
+    const set = getActiveFactorSet();
+    if (!set || !set.modes[mode]) return null;
+
+    const estimate = estimateRow({
+        'Shipping Type': mode,
+        'Departure City': trip.from,
+        'Arrival City': trip.to,
+        'Distance': trip.distance
+    }, set);
+    return estimate.error ? null : estimate;
+}
+
+// Fill in 'Carbon Emission' where it's missing and tag every row with where its value came from.
+// onProgress(rowsDone, total) is called per batch of rows
+function estimateRows(rows, onProgress) {
+    const set = getActiveFactorSet();
+    const label = getFactorSetLabel(set);
+    let estimated = 0;
+
+    const result = rows.map((row, index) => {
+        DataProcessor.reportRowProgress(onProgress, index, rows.length);
+        const reported = row['Carbon Emission'];
+        if (reported !== null && reported !== undefined && String(reported).trim() !== '') {
+            return { ...row, __emissionSource: 'reported' };
+        }
+        if (!set) return { ...row, __estimateError: 'No emission factor set loaded' };
+
+        const estimate = estimateRow(row, set);
+        if (estimate.error) return { ...row, __estimateError: estimate.error };
+
+        estimated++;
+        return {
+            ...row,
+            'Carbon Emission': estimate.emissions,
+            __emissionSource: 'estimated',
+            __factorSet: label,
+            __factor: estimate.factor,
+            __factorBand: `${estimate.mode} · ${estimate.band}`,
+            __distance: estimate.distance
+        };
+    });
+
+    return { rows: result, estimated };
+}
+
+(window.EmissionFactorSets || []).forEach(registerFactorSet);
+loadStoredFactorSets().forEach(set => {
+    try {
+        registerFactorSet(set);
+    } catch (error) {
+        console.warn(`Skipping stored factor set "${set?.id}":`, error);
+    }
+});
+
+window.EmissionEngine = {
+    estimateRow,
+    estimateRows,
+    estimateTripForMode,
+    resolveMode,
+    registerFactorSet,
+    loadFactorSetFile,
+    getFactorSets,
+    getActiveFactorSet,
+    setActiveFactorSet,
+    getFactorSetLabel
+};
@@ -0,0 +1,74 @@
+/**
+ * Bundled emission factor sets for the emission-factor engine
+ * Same shape as the JSON files accepted by "Load factor set…"; kept as a script so it
+ * also loads when index.html is opened straight from disk.
+ *
+ * Factors are kg CO₂e per passenger-km (per vehicle-km for car), approximated from the
+ * UK DESNZ/DEFRA 2024 conversion factors. Air factors include radiative forcing.
+ */
+
+const BUNDLED_FACTOR_SETS = [
+    {
+        id: 'defra-2024',
+        name: 'DEFRA / DESNZ 2024',
+        version: '2024.1',
+        unit: 'kg CO2e per passenger-km',
+        modes: {
+            air: {
+                keywords: ['air', 'flight', 'fly', 'plane', 'airline'],
+                distanceUplift: 1.08, // DEFRA uplift for non-direct routing and stacking
+                bands: [
+                    { label: 'Domestic', maxKm: 500, factors: { default: 0.27258 } },
+                    {
+                        label: 'Short haul', maxKm: 3700, factors: {
+                            default: 0.18592, economy: 0.18287, business: 0.27430
+                        }
+                    },
+                    {
+                        label: 'Long haul', maxKm: null, factors: {
+                            default: 0.26128, economy: 0.20011, 'premium economy': 0.32016,
+                            business: 0.58029, first: 0.80036
+                        }
+                    }
+                ]
+            },
+            rail: {
+                keywords: ['rail', 'train', 'ice', 'tgv', 'eurostar', 'tram', 'metro', 'subway'],
+                distanceUplift: 1.2,
+                bands: [
+                    { label: 'National rail', maxKm: 700, factors: { default: 0.03546 } },
+                    { label: 'International rail', maxKm: null, factors: { default: 0.00446 } }
+                ]
+            },
+            car: {
+                keywords: ['car', 'rental', 'drive', 'vehicle', 'mileage'],
+                distanceUplift: 1.25,
+                bands: [
+                    {
+                        label: 'Car', maxKm: null, factors: {
+                            default: 0.16844, petrol: 0.16328, diesel: 0.17082, hybrid: 0.12607,
+                            'plug-in hybrid': 0.07002, electric: 0.04690
+                        }
+                    }
+                ]
+            },
+            taxi: {
+                keywords: ['taxi', 'cab', 'uber', 'ride'],
+                distanceUplift: 1.25,
+                bands: [{ label: 'Taxi', maxKm: null, factors: { default: 0.14876 } }]
+            },
+            bus: {
+                keywords: ['bus', 'coach', 'shuttle'],
+                distanceUplift: 1.25,
+                bands: [{ label: 'Bus / coach', maxKm: null, factors: { default: 0.10227, coach: 0.02733 } }]
+            },
+            ferry: {
+                keywords: ['ferry', 'ship', 'boat', 'sea'],
+                distanceUplift: 1.0,
+                bands: [{ label: 'Ferry', maxKm: null, factors: { default: 0.11286, 'foot passenger': 0.01874 } }]
+            }
+        }
+    }
+];
+
+window.EmissionFactorSets = BUNDLED_FACTOR_SETS;
@@ -0,0 +1,227 @@
+/**
+ * Data Export for Carbon Emissions Network Map
+ * Writes the filtered trips and aggregated tables to CSV, JSON or XLSX with export metadata
+ */
+
+// Roll-ups from department down to individual routes; each adds one dimension
+const AGGREGATE_TABLES = [
+    { name: 'departments', label: 'By department', dimensions: ['department'] },
+    { name: 'purposes', label: 'By department × purpose', dimensions: ['department', 'purpose'] },
+    { name: 'modes', label: 'By department × purpose × mode', dimensions: ['department', 'purpose', 'transportMode'] },
+    { name: 'routes', label: 'By department × purpose × mode × route', dimensions: ['department', 'purpose', 'transportMode', 'route'] }
+];
+
+const DIMENSION_COLUMNS = {
+    department: 'Business Dept',
+    purpose: 'Purpose',
+    transportMode: 'Shipping Type',
+    route: 'Route'
+};
+
+let exportSource = null; // { getTrips, getMetadata } given to setupExportDialog
+let exportFormat = 'csv';
+
+function roundTo(value, digits = 3) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// One row per trip, using the canonical CSV column names
+function buildTripTable(trips) {
+    return trips.map(trip => ({
+        'Trip ID': trip.id.replace(/^trip_/, ''),
+        'Business Dept': trip.department,
+        'Purpose': trip.purpose,
+        'Shipping Type': trip.transportMode,
+        'Departure City': trip.from,
+        'Arrival City': trip.to,
+        'Date': trip.date !== null && trip.date !== undefined ? new Date(trip.date).toISOString().slice(0, 10) : '',
+        'Distance': trip.distance ? roundTo(trip.distance, 1) : '',
+        'Net Costs': trip.cost || '',
+        'Carbon Emission': roundTo(trip.emissions),
+        'Emission Source': trip.emissionSource || 'reported',
+        'Factor Set': trip.factorSet || '',
+        'Source File': trip.source || ''
+    }));
+}
+
+// Sum trips, emissions, cost and distance per combination of dimensions, largest emitters first
+function buildAggregateTable(trips, dimensions) {
+    const groups = new Map();
+    trips.forEach(trip => {
+        const key = dimensions.map(d => trip[d]).join('\u0000');
+        if (!groups.has(key)) {
+            const row = {};
+            dimensions.forEach(d => { row[DIMENSION_COLUMNS[d]] = trip[d]; });
+            groups.set(key, { row, trips: 0, emissions: 0, cost: 0, distance: 0 });
+        }
+        const group = groups.get(key);
+        group.trips++;
+        group.emissions += trip.emissions;
+        group.cost += Number(trip.cost) || 0;
+        group.distance += trip.distance || 0;
+    });
+
+    return Array.from(groups.values())
+        .sort((a, b) => b.emissions - a.emissions)
+        .map(group => ({
+            ...group.row,
+            'Trips': group.trips,
+            'Carbon Emission': roundTo(group.emissions),
+            'Net Costs': roundTo(group.cost, 2),
+            'Distance': roundTo(group.distance, 1),
+            'kg CO2 per Trip': roundTo(group.emissions / group.trips)
+        }));
+}
+
+// { metadata, tables: { trips, departments, purposes, modes, routes } }
+function buildExport(trips, metadata) {
+    const tables = { trips: buildTripTable(trips) };
+    AGGREGATE_TABLES.forEach(table => {
+        tables[table.name] = buildAggregateTable(trips, table.dimensions);
+    });
+    return { metadata, tables };
+}
+
+function formatMetadataValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function metadataToRows(metadata) {
+    return Object.entries(metadata).map(([key, value]) => ({ Key: key, Value: formatMetadataValue(value) }));
+}
+
+function downloadBlob(content, type, fileName) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking straight away can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function toCSV(rows, metadata) {
+    const fields = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+    const csv = Papa.unparse({ fields, data: rows });
+    if (!metadata) return csv;
+
+    // Metadata as leading comment lines (Papa.parse reads them back with comments: '#')
+    const header = Object.entries(metadata).map(([key, value]) => `# ${key}: ${formatMetadataValue(value)}`);
+    return header.join('\n') + '\n' + csv;
+}
+
+function toXLSX(exported, includeMetadata) {
+    if (!window.XLSX) throw new Error('XLSX library failed to load');
+
+    const workbook = XLSX.utils.book_new();
+    if (includeMetadata) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(metadataToRows(exported.metadata)), 'Metadata');
+    }
+    Object.entries(exported.tables).forEach(([name, rows]) => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+    });
+    return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+}
+
+// CSV writes one table; JSON and XLSX carry every table
+function exportData(exported, format, tableName = 'trips', includeMetadata = true) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const metadata = includeMetadata ? exported.metadata : null;
+
+    if (format === 'csv') {
+        downloadBlob(toCSV(exported.tables[tableName], metadata), 'text/csv;charset=utf-8', `carbon-${tableName}-${stamp}.csv`);
+    } else if (format === 'json') {
+        const json = JSON.stringify(metadata ? exported : { tables: exported.tables }, null, 2);
+        downloadBlob(json, 'application/json', `carbon-export-${stamp}.json`);
+    } else if (format === 'xlsx') {
+        downloadBlob(
+            new Blob([toXLSX(exported, includeMetadata)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            null,
+            `carbon-export-${stamp}.xlsx`
+        );
+    } else {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+}
+
+// Rows and columns a table would get, without building it; one row is enough for the columns
+function getTableShape(trips, tableName) {
+    if (tableName === 'trips') {
+        return { rows: trips.length, columns: Object.keys(buildTripTable(trips.slice(0, 1))[0] || {}).length };
+    }
+    const { dimensions } = AGGREGATE_TABLES.find(table => table.name === tableName);
+    const keys = new Set(trips.map(trip => dimensions.map(d => trip[d]).join('\u0000')));
+    return { rows: keys.size, columns: Object.keys(buildAggregateTable(trips.slice(0, 1), dimensions)[0] || {}).length };
+}
+
+// The files are only built on download; the dialog shows what they will hold
+function renderExportDialog() {
+    const trips = exportSource.getTrips();
+    const metadata = exportSource.getMetadata();
+    const tableName = document.getElementById('export-table').value;
+
+    document.querySelectorAll('#export-format button').forEach(button => {
+        button.classList.toggle('active', button.dataset.format === exportFormat);
+    });
+    document.getElementById('export-table').disabled = exportFormat !== 'csv';
+    document.getElementById('export-summary').textContent =
+        `${metadata.trips.toLocaleString()} trips · ${metadata.timeRange}` +
+        (Object.keys(metadata.filters).length > 0 ? ` · filtered by ${Object.keys(metadata.filters).join(', ')}` : '') +
+        (metadata.scenario ? ' · scenario applied' : '');
+    const { rows, columns } = getTableShape(trips, tableName);
+    document.getElementById('export-status').textContent = exportFormat === 'csv'
+        ? `${rows.toLocaleString()} rows × ${columns} columns`
+        : `All ${AGGREGATE_TABLES.length + 1} tables in one file`;
+}
+
+// getTrips() returns the trips the map currently shows, getMetadata() how they were produced
+function setupExportDialog(getTrips, getMetadata) {
+    exportSource = { getTrips, getMetadata };
+    const dialog = document.getElementById('export-dialog');
+
+    document.getElementById('export-table').innerHTML = `
+        <option value="trips">Filtered trips</option>
+        ${AGGREGATE_TABLES.map(table => `<option value="${table.name}">${table.label}</option>`).join('')}
+    `;
+
+    document.getElementById('export-open').addEventListener('click', () => {
+        renderExportDialog();
+        dialog.classList.remove('is-hidden');
+    });
+    document.querySelectorAll('#export-format button').forEach(button => {
+        button.addEventListener('click', () => {
+            exportFormat = button.dataset.format;
+            renderExportDialog();
+        });
+    });
+    document.getElementById('export-table').addEventListener('change', renderExportDialog);
+    document.getElementById('export-cancel').addEventListener('click', () => dialog.classList.add('is-hidden'));
+    document.getElementById('export-download').addEventListener('click', () => {
+        try {
+            exportData(
+                buildExport(exportSource.getTrips(), exportSource.getMetadata()),
+                exportFormat,
+                document.getElementById('export-table').value,
+                document.getElementById('export-metadata').checked
+            );
+            dialog.classList.add('is-hidden');
+        } catch (error) {
+            console.error('Error:', error);
+            document.getElementById('export-status').textContent = `Error: ${error.message}`;
+        }
+    });
+}
+
+window.Exporter = {
+    setupExportDialog,
+    buildExport,
+    buildTripTable,
+    buildAggregateTable,
+    exportData,
+    downloadBlob,
+    AGGREGATE_TABLES
+};
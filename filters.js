@@ -0,0 +1,308 @@
+/**
+ * Faceted Filtering for Carbon Emissions Network Map
+ * Multi-select facets and numeric ranges applied to individual trips
+ */
+
+const FACETS = [
+    { key: 'department', label: 'Department', getValue: trip => trip.department },
+    { key: 'purpose', label: 'Purpose', getValue: trip => trip.purpose },
+    { key: 'transportMode', label: 'Transport Mode', getValue: trip => trip.transportMode },
+    { key: 'from', label: 'Departure City', getValue: trip => trip.from },
+    { key: 'to', label: 'Arrival City', getValue: trip => trip.to }
+];
+
+const RANGE_FILTERS = [
+    { key: 'emissions', label: 'Carbon Emission', unit: 'kg', getValue: trip => trip.emissions },
+    { key: 'cost', label: 'Net Costs', unit: '', getValue: trip => trip.cost }
+];
+
+const FACET_PREVIEW_COUNT = 8;
+
+let facetValues = {};      // facet key -> all values, most frequent first
+let facetSelections = {};  // facet key -> Set of selected values (empty = no restriction)
+let facetExpanded = {};    // facet key -> showing every value instead of the preview
+let rangeBounds = {};      // range key -> [min, max] over all trips
+let rangeSelections = {};  // range key -> [min, max] selected
+let onFiltersChange = null;
+
+function matchesFacets(trip, exceptKey) {
+    return FACETS.every(facet => {
+        if (facet.key === exceptKey) return true;
+        const selected = facetSelections[facet.key];
+        return !selected || selected.size === 0 || selected.has(facet.getValue(trip));
+    });
+}
+
+function matchesRanges(trip) {
+    return RANGE_FILTERS.every(range => {
+        const selected = rangeSelections[range.key];
+        if (!selected) return true;
+        const value = range.getValue(trip) || 0;
+        return value >= selected[0] && value <= selected[1];
+    });
+}
+
+function matchesFilters(trip) {
+    return matchesFacets(trip) && matchesRanges(trip);
+}
+
+function hasActiveFilters() {
+    return FACETS.some(facet => facetSelections[facet.key]?.size > 0) ||
+        RANGE_FILTERS.some(range => rangeSelections[range.key]);
+}
+
+// Plain description of the active filters, e.g. for labels or export metadata
+function getActiveFilters() {
+    const active = {};
+    FACETS.forEach(facet => {
+        const selected = facetSelections[facet.key];
+        if (selected?.size > 0) active[facet.key] = Array.from(selected);
+    });
+    RANGE_FILTERS.forEach(range => {
+        if (rangeSelections[range.key]) active[range.key] = [...rangeSelections[range.key]];
+    });
+    return active;
+}
+
+function isFacetSelection(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isRangeSelection(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] <= value[1];
+}
+
+// Restore filters from a description produced by getActiveFilters. It can come from a hand-edited or
+// outdated link, so unknown keys and values of the wrong shape are dropped
+function setActiveFilters(active) {
+    FACETS.forEach(facet => {
+        const value = active?.[facet.key];
+        facetSelections[facet.key] = new Set(isFacetSelection(value) ? value : []);
+    });
+    RANGE_FILTERS.forEach(range => {
+        const value = active?.[range.key];
+        rangeSelections[range.key] = isRangeSelection(value) ? [...value] : null;
+    });
+    renderRanges();
+}
+
+// Reset the panel for a new set of trips
+function setFilterData(trips) {
+    facetValues = {};
+    facetSelections = {};
+    facetExpanded = {};
+    rangeBounds = {};
+    rangeSelections = {};
+
+    FACETS.forEach(facet => {
+        const counts = new Map();
+        trips.forEach(trip => {
+            const value = facet.getValue(trip);
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        facetValues[facet.key] = Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([value]) => value);
+        facetSelections[facet.key] = new Set();
+    });
+
+    RANGE_FILTERS.forEach(range => {
+        let min = Infinity, max = -Infinity;
+        trips.forEach(trip => {
+            const value = range.getValue(trip) || 0;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        rangeBounds[range.key] = min === Infinity ? [0, 0] : [min, max];
+        rangeSelections[range.key] = null;
+    });
+
+    renderRanges();
+}
+
+// Per-value counts given every other active filter; trips should already be time-filtered
+function getFacetCounts(trips) {
+    const counts = {};
+    FACETS.forEach(facet => { counts[facet.key] = new Map(); });
+
+    trips.forEach(trip => {
+        if (!matchesRanges(trip)) return;
+        FACETS.forEach(facet => {
+            if (!matchesFacets(trip, facet.key)) return;
+            const value = facet.getValue(trip);
+            const facetCounts = counts[facet.key];
+            facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+        });
+    });
+
+    return counts;
+}
+
+function renderFacets(trips) {
+    const container = document.getElementById('facet-list');
+    if (!container) return;
+
+    const counts = getFacetCounts(trips);
+    container.innerHTML = FACETS.map(facet => {
+        const values = facetValues[facet.key] || [];
+        const selected = facetSelections[facet.key];
+        const shown = facetExpanded[facet.key] ? values : values.slice(0, FACET_PREVIEW_COUNT);
+        const isOpen = selected.size > 0 || facet.key === 'department';
+
+        return `
+            <details class="facet" ${isOpen ? 'open' : ''}>
+                <summary class="facet-title">
+                    ${facet.label}
+                    ${selected.size > 0 ? `<span class="facet-badge">${selected.size}</span>` : ''}
+                </summary>
+                <div class="facet-values">
+                    ${shown.map(value => {
+                        const count = counts[facet.key].get(value) || 0;
+                        return `
+                            <label class="facet-value ${count === 0 ? 'empty' : ''}">
+                                <input type="checkbox" data-facet="${facet.key}" data-index="${values.indexOf(value)}" ${selected.has(value) ? 'checked' : ''}>
+                                <span class="facet-name">${Html.escapeHTML(value)}</span>
+                                <span class="facet-count">${count.toLocaleString()}</span>
+                            </label>
+                        `;
+                    }).join('')}
+                    ${values.length > FACET_PREVIEW_COUNT ? `
+                        <button class="button-link facet-more" data-facet="${facet.key}">
+                            ${facetExpanded[facet.key] ? 'Show less' : `Show all ${values.length}`}
+                        </button>
+                    ` : ''}
+                </div>
+            </details>
+        `;
+    }).join('');
+
+    container.querySelectorAll('input[data-facet]').forEach(input => {
+        input.addEventListener('change', () => {
+            const value = facetValues[input.dataset.facet][Number(input.dataset.index)];
+            const selected = facetSelections[input.dataset.facet];
+            if (input.checked) selected.add(value);
+            else selected.delete(value);
+            if (onFiltersChange) onFiltersChange();
+        });
+    });
+
+    container.querySelectorAll('.facet-more').forEach(button => {
+        button.addEventListener('click', () => {
+            facetExpanded[button.dataset.facet] = !facetExpanded[button.dataset.facet];
+            renderFacets(trips);
+        });
+    });
+}
+
+// Slider positions 0..100 map quadratically onto the value range, since emissions and costs are skewed
+function sliderToValue(position, bounds) {
+    return bounds[0] + (bounds[1] - bounds[0]) * Math.pow(position / 100, 2);
+}
+
+function valueToSlider(value, bounds) {
+    if (bounds[1] === bounds[0]) return 100;
+    return Math.round(Math.sqrt((value - bounds[0]) / (bounds[1] - bounds[0])) * 100);
+}
+
+function formatRangeValue(value, unit) {
+    const text = value >= 1000 ? `${(value / 1000).toFixed(1)}K` : value.toFixed(value < 10 ? 1 : 0);
+    return unit ? `${text} ${unit}` : text;
+}
+
+function renderRanges() {
+    const container = document.getElementById('range-list');
+    if (!container) return;
+
+    container.innerHTML = RANGE_FILTERS.map(range => `
+        <div class="range-filter">
+            <div class="range-header">
+                <span class="facet-title">${range.label}</span>
+                <span class="range-value" id="range-value-${range.key}"></span>
+            </div>
+            <input type="range" class="range-input" min="0" max="100" step="1" data-range="${range.key}" data-end="0" aria-label="${range.label} minimum">
+            <input type="range" class="range-input" min="0" max="100" step="1" data-range="${range.key}" data-end="1" aria-label="${range.label} maximum">
+        </div>
+    `).join('');
+
+    const updateLabel = (range) => {
+        const bounds = rangeBounds[range.key] || [0, 0];
+        const [min, max] = rangeSelections[range.key] || bounds;
+        document.getElementById(`range-value-${range.key}`).textContent =
+            `${formatRangeValue(min, range.unit)} – ${formatRangeValue(max, range.unit)}`;
+    };
+
+    RANGE_FILTERS.forEach(range => {
+        const bounds = rangeBounds[range.key] || [0, 0];
+        const selected = rangeSelections[range.key] || bounds;
+        const inputs = container.querySelectorAll(`input[data-range="${range.key}"]`);
+        inputs[0].value = valueToSlider(selected[0], bounds);
+        inputs[1].value = valueToSlider(selected[1], bounds);
+        updateLabel(range);
+
+        inputs.forEach(input => {
+            input.addEventListener('input', () => {
+                let low = Number(inputs[0].value);
+                let high = Number(inputs[1].value);
+                if (low > high) {
+                    if (input === inputs[0]) high = low;
+                    else low = high;
+                    inputs[0].value = low;
+                    inputs[1].value = high;
+                }
+
+                rangeSelections[range.key] = low === 0 && high === 100
+                    ? null
+                    : [low === 0 ? bounds[0] : sliderToValue(low, bounds), high === 100 ? bounds[1] : sliderToValue(high, bounds)];
+                updateLabel(range);
+                if (onFiltersChange) onFiltersChange();
+            });
+        });
+    });
+}
+
+// Legend clicks: 'isolate' shows only the value (again to show everything), 'hide' toggles it out of view
+function toggleFacetValue(key, value, action) {
+    const selected = facetSelections[key];
+    if (!selected) return;
+
+    if (action === 'isolate') {
+        const isolated = selected.size === 1 && selected.has(value);
+        selected.clear();
+        if (!isolated) selected.add(value);
+    } else if (selected.has(value)) {
+        if (selected.size === 1) return; // Hiding the last visible value would show everything
+        selected.delete(value);
+    } else if (selected.size > 0) {
+        selected.add(value);
+        if (selected.size === facetValues[key].length) selected.clear();
+    } else {
+        const others = facetValues[key].filter(v => v !== value);
+        if (others.length === 0) return;
+        others.forEach(v => selected.add(v));
+    }
+    if (onFiltersChange) onFiltersChange();
+}
+
+function clearFilters() {
+    setActiveFilters(null);
+    if (onFiltersChange) onFiltersChange();
+}
+
+function setupFilters(callback) {
+    onFiltersChange = callback;
+    document.getElementById('filters-clear')?.addEventListener('click', clearFilters);
+}
+
+window.Filters = {
+    setupFilters,
+    setFilterData,
+    renderFacets,
+    matchesFilters,
+    hasActiveFilters,
+    getActiveFilters,
+    setActiveFilters,
+    clearFilters,
+    toggleFacetValue,
+    FACETS,
+    RANGE_FILTERS
+};
@@ -0,0 +1,112 @@
+/**
+ * Geographic Mode for Carbon Emissions Network Map
+ * Geocodes trip cities offline and aggregates routes and city hubs
+ */
+
+const geocodeCache = new Map();
+
+function normalizeCityName(name) {
+    return String(name)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/ß/g, 'ss')
+        .toLowerCase()
+        .split(/[,(]/)[0]              // "Berlin, Germany" / "Berlin (BER)"
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// [longitude, latitude] for a city name, or null when it isn't in the bundled table
+function geocodeCity(name) {
+    if (!name || name === 'Unknown') return null;
+    if (geocodeCache.has(name)) return geocodeCache.get(name);
+
+    const { CITY_COORDINATES, CITY_ALIASES } = window.CityCoordinates;
+    const key = normalizeCityName(name);
+    const position = CITY_COORDINATES[key] || CITY_COORDINATES[CITY_ALIASES[key]] || null;
+
+    geocodeCache.set(name, position);
+    return position;
+}
+
+// Great-circle distance in km between two [lon, lat] positions
+function getDistanceKm(from, to) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(to[1] - from[1]);
+    const dLon = toRad(to[0] - from[0]);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from[1])) * Math.cos(toRad(to[1])) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Aggregate trips into origin→destination arcs and city hubs
+function buildGeoData(trips) {
+    const routes = new Map();
+    const hubs = new Map();
+    const unresolved = new Set();
+
+    const addHub = (name, position, emissions) => {
+        if (!hubs.has(name)) {
+            hubs.set(name, { type: 'city-hub', name, position, emissions: 0, tripCount: 0 });
+        }
+        const hub = hubs.get(name);
+        hub.emissions += emissions;
+        hub.tripCount++;
+    };
+
+    trips.forEach(trip => {
+        const fromPosition = geocodeCity(trip.from);
+        const toPosition = geocodeCity(trip.to);
+        trip.geoPosition = fromPosition;
+
+        if (!fromPosition && trip.from !== 'Unknown') unresolved.add(trip.from);
+        if (!toPosition && trip.to !== 'Unknown') unresolved.add(trip.to);
+        if (!fromPosition || !toPosition) return;
+
+        addHub(trip.from, fromPosition, trip.emissions);
+        addHub(trip.to, toPosition, trip.emissions);
+
+        const key = `${trip.from}→${trip.to}`;
+        if (!routes.has(key)) {
+            routes.set(key, {
+                type: 'geo-route',
+                name: trip.route,
+                from: trip.from,
+                to: trip.to,
+                sourcePosition: fromPosition,
+                targetPosition: toPosition,
+                distance: getDistanceKm(fromPosition, toPosition),
+                emissions: 0,
+                tripCount: 0
+            });
+        }
+        const route = routes.get(key);
+        route.emissions += trip.emissions;
+        route.tripCount++;
+    });
+
+    return {
+        routes: Array.from(routes.values()),
+        hubs: Array.from(hubs.values()),
+        unresolved: Array.from(unresolved).sort()
+    };
+}
+
+// [minLon, maxLon, minLat, maxLat] around all hubs, in the same order as nodesToDeckData bounds
+function getGeoBounds(geoData) {
+    if (geoData.hubs.length === 0) return null;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    geoData.hubs.forEach(({ position }) => {
+        minX = Math.min(minX, position[0]);
+        maxX = Math.max(maxX, position[0]);
+        minY = Math.min(minY, position[1]);
+        maxY = Math.max(maxY, position[1]);
+    });
+    return [minX, maxX, minY, maxY];
+}
+
+window.Geo = {
+    geocodeCity,
+    getDistanceKm,
+    buildGeoData,
+    getGeoBounds
+};
@@ -0,0 +1,242 @@
+/**
+ * Hierarchy Configuration for Carbon Emissions Network Map
+ * Ordered grouping dimensions the cluster view nests trips by (Department → Purpose → Transport → Route by default)
+ */
+
+const HIERARCHY_STORAGE_KEY = 'carbon-net.hierarchy';
+const DEFAULT_HIERARCHY = ['department', 'purpose', 'transportMode', 'route'];
+
+// Lower bounds of each band
+const DISTANCE_BANDS = [0, 500, 1500, 4000]; // km
+const COST_BANDS = [0, 250, 1000, 5000];
+
+// Zoom at which each level appears; deeper levels follow every 1.5 zoom steps
+const LEVEL_MIN_ZOOMS = [0, 4, 6, 7.5];
+
+// Columns already covered by a built-in dimension, or too fine-grained to group by
+const HIERARCHY_SKIPPED_COLUMNS = ['Business Dept', 'Purpose', 'Shipping Type', 'Carbon Emission', 'Trip ID', 'Date', 'Distance', 'Net Costs'];
+
+// type is the node type of the level's clusters and idPrefix starts their node ids; plural, icon and hint
+// describe the level in the zoom hint and legend
+const HIERARCHY_DIMENSIONS = {
+    department: {
+        label: 'Department', plural: 'Departments', type: 'department', idPrefix: 'dept',
+        getValue: trip => trip.department
+    },
+    purpose: {
+        label: 'Purpose', plural: 'Trip Purposes', type: 'purpose-group', idPrefix: 'group',
+        getValue: trip => trip.purpose, hint: 'Colored by trip type'
+    },
+    transportMode: {
+        label: 'Transport mode', plural: 'Transport Modes', type: 'transport-group', idPrefix: 'trans', icon: '🚢',
+        getValue: trip => trip.transportMode || 'Other'
+    },
+    route: {
+        label: 'Route', plural: 'Route Clusters', type: 'route-group', idPrefix: 'route', icon: '📍',
+        getValue: trip => trip.route || 'Unknown Route', hint: 'Grouped by Origin → Destination',
+        hashId: true // Route names are long; ids use their hash
+    },
+    distanceBand: {
+        label: 'Distance band', plural: 'Distance Bands', type: 'distance-band-group', idPrefix: 'dist', icon: '📏',
+        getValue: trip => trip.distance ? getBandLabel(DISTANCE_BANDS, trip.distance, ' km') : 'Unknown distance'
+    },
+    costBand: {
+        label: 'Cost band', plural: 'Cost Bands', type: 'cost-band-group', idPrefix: 'cost', icon: '💰',
+        getValue: trip => Number(trip.cost) > 0 ? getBandLabel(COST_BANDS, Number(trip.cost)) : 'No cost'
+    }
+};
+
+let hierarchyKeys = loadHierarchy();
+let hierarchyLevels = buildLevels(hierarchyKeys);
+
+function getBandLabel(bounds, value, unit = '') {
+    const index = bounds.findLastIndex(bound => value >= bound);
+    const format = bound => bound.toLocaleString();
+    if (index === bounds.length - 1) return `${format(bounds[index])}+${unit}`;
+    if (index <= 0) return `< ${format(bounds[1])}${unit}`;
+    return `${format(bounds[index])}–${format(bounds[index + 1])}${unit}`;
+}
+
+// Built-in dimension, or 'column:<name>' for any CSV column
+function getDimension(key) {
+    if (Object.hasOwn(HIERARCHY_DIMENSIONS, key)) return HIERARCHY_DIMENSIONS[key];
+    if (!key?.startsWith('column:')) return null;
+
+    const column = key.slice('column:'.length);
+    return {
+        label: column,
+        plural: column,
+        type: `column-group:${column}`,
+        idPrefix: `col:${column}`,
+        getValue: trip => {
+            const value = trip.fields?.[column];
+            return value === null || value === undefined || value === '' ? `No ${column}` : String(value);
+        }
+    };
+}
+
+function isValidHierarchy(keys) {
+    return Array.isArray(keys) && keys.length > 0 && new Set(keys).size === keys.length && keys.every(getDimension);
+}
+
+function loadHierarchy() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HIERARCHY_STORAGE_KEY));
+        if (isValidHierarchy(stored)) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable hierarchy:', error);
+    }
+    return DEFAULT_HIERARCHY;
+}
+
+// Level 1 clusters are the big circles; the deepest level holds the trips. Level 2 and the levels
+// between it and the deepest are drawn like purposes and transport modes were
+function buildLevels(keys) {
+    return keys.map((key, i) => ({
+        key,
+        ...getDimension(key),
+        level: i + 1,
+        role: i === 0 ? 'top' : (i === keys.length - 1 ? 'leaf' : (i === 1 ? 'upper' : 'middle')),
+        minZoom: LEVEL_MIN_ZOOMS[i] ?? LEVEL_MIN_ZOOMS[LEVEL_MIN_ZOOMS.length - 1] + (i - LEVEL_MIN_ZOOMS.length + 1) * 1.5
+    }));
+}
+
+// [{ key, label, plural, type, idPrefix, getValue, level, role, minZoom }], top level first
+function getLevels() {
+    return hierarchyLevels;
+}
+
+function getHierarchy() {
+    return [...hierarchyKeys];
+}
+
+// Returns false (and keeps the current order) for an empty, repeated or unknown list. persist = false
+// applies it for this session only, e.g. from a shared link, leaving the user's saved grouping alone
+function setHierarchy(keys, persist = true) {
+    if (!isValidHierarchy(keys)) return false;
+    hierarchyKeys = [...keys];
+    hierarchyLevels = buildLevels(hierarchyKeys);
+    if (!persist) return true;
+    try {
+        localStorage.setItem(HIERARCHY_STORAGE_KEY, JSON.stringify(hierarchyKeys));
+    } catch (error) {
+        console.warn('Could not save hierarchy:', error);
+    }
+    return true;
+}
+
+function isDefaultHierarchy(keys = hierarchyKeys) {
+    return keys.join() === DEFAULT_HIERARCHY.join();
+}
+
+// Level of a node type in the current hierarchy, or null for trips and geographic nodes
+function getLevelByType(type) {
+    return hierarchyLevels.find(level => level.type === type) || null;
+}
+
+// Built-in dimensions plus the CSV columns present in the trips
+function getAvailableDimensions(trips) {
+    const columns = new Set();
+    trips.slice(0, 500).forEach(trip => {
+        Object.keys(trip.fields || {}).forEach(column => {
+            if (!column.startsWith('__') && !HIERARCHY_SKIPPED_COLUMNS.includes(column)) columns.add(column);
+        });
+    });
+    return [
+        ...Object.entries(HIERARCHY_DIMENSIONS).map(([key, dimension]) => ({ key, label: dimension.label })),
+        ...Array.from(columns).sort().map(column => ({ key: `column:${column}`, label: `Column: ${column}` }))
+    ];
+}
+
+const HIERARCHY_PRESETS = [
+    { label: 'Department first (default)', keys: DEFAULT_HIERARCHY },
+    { label: 'Transport first', keys: ['transportMode', 'department', 'purpose', 'route'] },
+    { label: 'Cost bands', keys: ['costBand', 'department', 'transportMode', 'route'] },
+    { label: 'Distance bands', keys: ['distanceBand', 'transportMode', 'department', 'route'] }
+];
+
+// Dialog listing the levels in order; rows can be moved, removed, changed and added. onSave(keys) gets the new order
+function openHierarchyEditor(trips, onSave) {
+    const dialog = document.getElementById('hierarchy-dialog');
+    const list = document.getElementById('hierarchy-levels');
+    let keys = getHierarchy();
+    const dimensions = getAvailableDimensions(trips);
+    keys.filter(key => !dimensions.some(dimension => dimension.key === key))
+        .forEach(key => dimensions.push({ key, label: getDimension(key).label }));
+
+    const options = (selected) => dimensions.map(dimension =>
+        `<option value="${Html.escapeHTML(dimension.key)}" ${dimension.key === selected ? 'selected' : ''}>${Html.escapeHTML(dimension.label)}</option>`
+    ).join('');
+
+    const render = () => {
+        list.innerHTML = keys.map((key, i) => `
+            <div class="hierarchy-level" data-index="${i}">
+                <span class="hierarchy-depth">${i + 1}</span>
+                <select data-action="change" aria-label="Level ${i + 1}">${options(key)}</select>
+                <button class="button-link" data-action="up" ${i === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                <button class="button-link" data-action="down" ${i === keys.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                <button class="source-remove" data-action="remove" ${keys.length === 1 ? 'disabled' : ''} title="Remove level">×</button>
+            </div>
+        `).join('');
+        const repeated = keys.filter((key, i) => keys.indexOf(key) !== i);
+        document.getElementById('hierarchy-status').textContent = repeated.length > 0
+            ? `${getDimension(repeated[0]).label} is used twice`
+            : keys.map(key => getDimension(key).label).join(' → ');
+        document.getElementById('hierarchy-save').disabled = repeated.length > 0;
+    };
+
+    list.onclick = (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const i = Number(button.closest('.hierarchy-level').dataset.index);
+        if (button.dataset.action === 'up') [keys[i - 1], keys[i]] = [keys[i], keys[i - 1]];
+        if (button.dataset.action === 'down') [keys[i + 1], keys[i]] = [keys[i], keys[i + 1]];
+        if (button.dataset.action === 'remove') keys.splice(i, 1);
+        render();
+    };
+    list.onchange = (event) => {
+        const row = event.target.closest('.hierarchy-level');
+        if (!row) return;
+        keys[Number(row.dataset.index)] = event.target.value;
+        render();
+    };
+
+    const add = document.getElementById('hierarchy-add');
+    add.innerHTML = `<option value="">+ Add level…</option>${options(null)}`;
+    add.onchange = () => {
+        if (add.value && !keys.includes(add.value)) keys.push(add.value);
+        add.value = '';
+        render();
+    };
+
+    const preset = document.getElementById('hierarchy-preset');
+    preset.innerHTML = `<option value="">Presets…</option>${HIERARCHY_PRESETS.map((p, i) => `<option value="${i}">${p.label}</option>`).join('')}`;
+    preset.onchange = () => {
+        if (preset.value !== '') keys = [...HIERARCHY_PRESETS[Number(preset.value)].keys];
+        preset.value = '';
+        render();
+    };
+
+    document.getElementById('hierarchy-save').onclick = () => {
+        dialog.classList.add('is-hidden');
+        onSave(keys);
+    };
+    document.getElementById('hierarchy-cancel').onclick = () => dialog.classList.add('is-hidden');
+
+    render();
+    dialog.classList.remove('is-hidden');
+}
+
+window.Hierarchy = {
+    getLevels,
+    getHierarchy,
+    setHierarchy,
+    isDefaultHierarchy,
+    isValidHierarchy,
+    getLevelByType,
+    getDimension,
+    getAvailableDimensions,
+    openHierarchyEditor,
+    HIERARCHY_DIMENSIONS,
+    DEFAULT_HIERARCHY
+};
@@ -0,0 +1,13 @@
+/**
+ * HTML Helpers for Carbon Emissions Network Map
+ * Escaping for data values (CSV cells, file names, column headers) written into markup templates
+ */
+
+// Text safe to place in element content and quoted attribute values
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+window.Html = {
+    escapeHTML
+};
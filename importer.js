@@ -0,0 +1,64 @@
+/**
+ * File import for Carbon Emissions Network Map
+ * Drag-and-drop and file-picker wiring for local CSV exports
+ */
+
+function isCSVFile(file) {
+    return /\.csv$/i.test(file.name) || file.type === 'text/csv';
+}
+
+function filterCSVFiles(fileList) {
+    return Array.from(fileList || []).filter(isCSVFile);
+}
+
+// Highlight the target while files are dragged over it and hand dropped CSVs to onFiles
+function setupDropZone(target, onFiles) {
+    if (!target) return;
+
+    // dragenter/dragleave fire for every child element, so count them
+    let dragDepth = 0;
+
+    target.addEventListener('dragenter', (e) => {
+        e.preventDefault();
+        dragDepth++;
+        target.classList.add('drag-active');
+    });
+
+    target.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+
+    target.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) target.classList.remove('drag-active');
+    });
+
+    target.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dragDepth = 0;
+        target.classList.remove('drag-active');
+
+        const files = filterCSVFiles(e.dataTransfer.files);
+        if (files.length > 0) onFiles(files);
+    });
+}
+
+// Open the native file dialog from a button and hand picked CSVs to onFiles
+function setupFilePicker(button, input, onFiles) {
+    if (!button || !input) return;
+
+    button.addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        const files = filterCSVFiles(input.files);
+        // Reset so picking the same file again still fires 'change'
+        input.value = '';
+        if (files.length > 0) onFiles(files);
+    });
+}
+
+window.Importer = {
+    filterCSVFiles,
+    setupDropZone,
+    setupFilePicker
+};
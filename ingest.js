@@ -0,0 +1,158 @@
+/**
+ * Background Ingest for Carbon Emissions Network Map
+ * Runs parsing, then estimation, validation, aggregation and layout, in a Web Worker (ingestWorker.js)
+ * so the page stays responsive on large exports. Relayouts run there too. Jobs go in slots, one job per
+ * slot at a time: a new job replaces the slot's running one, and the import can be cancelled
+ */
+
+const INGEST_WORKER_URL = 'ingestWorker.js';
+const INGEST_STORAGE_PREFIX = 'carbon-net.';
+const IMPORT_SLOT = 'import';
+
+const ingestJobs = new Map(); // slot -> { worker, reject } of its running job
+
+// The libraries the page loaded (scripts marked data-worker), so the worker uses the same copies
+function getWorkerLibraries() {
+    return Array.from(document.querySelectorAll('script[data-worker]'), script => script.src);
+}
+
+// The worker has no localStorage: it gets a copy of our settings with each job
+function readStoredSettings() {
+    const stored = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(INGEST_STORAGE_PREFIX)) stored[key] = localStorage.getItem(key);
+    }
+    return stored;
+}
+
+// Post a job to a fresh worker and resolve with its result. onProgress(percent, message) follows the
+// worker's progress; column mapping questions are answered here, where the dialog lives
+function runIngestJob(message, onProgress = () => {}, slot = IMPORT_SLOT, transfer = []) {
+    cancelIngest(slot);
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(INGEST_WORKER_URL);
+        const job = { worker, reject };
+        ingestJobs.set(slot, job);
+        const isCurrent = () => ingestJobs.get(slot) === job;
+
+        const finish = () => {
+            worker.terminate();
+            if (isCurrent()) ingestJobs.delete(slot);
+        };
+
+        worker.onmessage = async ({ data }) => {
+            switch (data.type) {
+                case 'progress':
+                    onProgress(data.percent, data.message);
+                    break;
+                case 'storage':
+                    // The ring layout remembering where clusters went, the only setting a job writes
+                    try {
+                        localStorage.setItem(data.key, data.value);
+                    } catch (error) {
+                        console.warn('Could not save setting from the ingest worker:', error);
+                    }
+                    HierarchyLayouts.reloadLayoutMemory();
+                    break;
+                case 'headers':
+                    try {
+                        const mapping = await ColumnMapping.resolveMapping(data.fileName, data.headers);
+                        if (isCurrent()) worker.postMessage({ type: 'mapping', mapping });
+                    } catch (error) {
+                        if (isCurrent()) worker.postMessage({ type: 'mapping', error: error.message });
+                    }
+                    break;
+                case 'done':
+                    finish();
+                    resolve(data.result);
+                    break;
+                case 'error':
+                    finish();
+                    reject(new Error(data.message));
+                    break;
+            }
+        };
+        worker.onerror = event => {
+            event.preventDefault();
+            finish();
+            reject(new Error(event.message || 'The import worker failed to start'));
+        };
+
+        worker.postMessage({ ...message, libraries: getWorkerLibraries(), storage: readStoredSettings() }, transfer);
+    });
+}
+
+// Stop the slot's running job (the import by default); its promise rejects with an AbortError
+function cancelIngest(slot = IMPORT_SLOT) {
+    const job = ingestJobs.get(slot);
+    if (!job) return;
+    ingestJobs.delete(slot);
+    const { worker, reject } = job;
+    worker.terminate();
+
+    const error = new Error('Import cancelled');
+    error.name = 'AbortError';
+    reject(error);
+}
+
+function isIngesting() {
+    return ingestJobs.has(IMPORT_SLOT);
+}
+
+// Parse CSV files and map them onto the canonical columns: [{ name, table }], each table a Columnar table of rows.
+// slot keeps a separate load (e.g. the comparison baseline) from replacing the import
+function parseSourceFiles(files, onProgress = () => {}, slot = IMPORT_SLOT) {
+    return runIngestJob({ type: 'parse', files: Array.from(files) }, onProgress, slot);
+}
+
+// Estimate, validate, group and lay out the rows of parsed tables. Resolves with the graph (trips rebuilt from
+// their columnar form) and the validation report, as processEmissionsData and validateRows would give them.
+// settings: { layout, levels, factorSetId, persistLayout }; slot as for parseSourceFiles
+async function processSources(tables, settings, onProgress = () => {}, slot = IMPORT_SLOT) {
+    const { graph, trips, fields, report } = await runIngestJob({ type: 'build', tables, settings }, onProgress, slot);
+
+    const fieldRows = Columnar.decodeRecords(fields);
+    const tripNodes = Columnar.decodeRecords(trips).map((trip, i) => ({
+        ...trip,
+        color: DataProcessor.getDepartmentColor(trip.department),
+        fields: fieldRows[i]
+    }));
+
+    // The worker laid the graph out by our hierarchy; the layers need its zoom bands too
+    DataProcessor.syncZoomThresholds(Hierarchy.getLevels());
+
+    return {
+        graph: { ...graph, nodes: [...graph.nodes, ...tripNodes] },
+        report: { ...report, valid: fieldRows }
+    };
+}
+
+// Nest and lay out trips in the worker, as DataProcessor.relayoutGraph would. Resolves with the cluster
+// nodes followed by copies of the trips at their new places. settings: { layout, levels, persistLayout };
+// slot names the kind of relayout, so a newer one of the same kind replaces it
+async function layoutTrips(trips, settings, slot) {
+    // Only the columns the hierarchy groups by are needed of the original rows
+    const columns = settings.levels.filter(key => key.startsWith('column:')).map(key => key.slice('column:'.length));
+    const tripTable = Columnar.encodeRecords(trips.map(({ fields, color, ...trip }) => trip));
+    const fieldTable = Columnar.encodeRecords(trips.map(trip => trip.fields || {}), columns);
+
+    const { groups, placements } = await runIngestJob({ type: 'layout', trips: tripTable, fields: fieldTable, settings },
+        undefined, slot, Columnar.getTransferables(tripTable, fieldTable));
+    DataProcessor.syncZoomThresholds(Hierarchy.getLevels());
+
+    const placed = Columnar.decodeRecords(placements);
+    return [
+        ...groups,
+        ...trips.map((trip, i) => ({ ...trip, ...placed[i] }))
+    ];
+}
+
+window.Ingest = {
+    parseSourceFiles,
+    processSources,
+    layoutTrips,
+    cancelIngest,
+    isIngesting
+};
@@ -0,0 +1,186 @@
+/**
+ * Ingest Worker for Carbon Emissions Network Map
+ * Streams CSV parsing, then estimation, validation, aggregation and layout, off the main thread (see ingest.js).
+ * Each job runs in a fresh worker: { type: 'parse', files }, { type: 'build', tables, settings } or
+ * { type: 'layout', trips, fields, settings }. Every job brings the URLs of the page's d3 and Papa Parse (libraries)
+ */
+
+const INGEST_CHUNK_SIZE = 1024 * 1024; // Characters parsed between progress reports
+const INGEST_SCRIPTS = [
+    'hierarchy.js',
+    'layouts.js',
+    'dataProcessor.js',
+    'cityCoordinates.js',
+    'geo.js',
+    'emissionFactors.js',
+    'emissionEngine.js',
+    'columnMapping.js',
+    'validator.js',
+    'columnar.js'
+];
+
+// The modules keep their settings in localStorage, which workers lack: reads come from the snapshot
+// the job brings along, writes also go back to the main thread
+let storedValues = {};
+let answerMapping = null; // Waiting for the main thread's answer to a 'headers' message
+
+self.window = self;
+self.localStorage = {
+    getItem: key => (Object.prototype.hasOwnProperty.call(storedValues, key) ? storedValues[key] : null),
+    setItem: (key, value) => {
+        storedValues[key] = String(value);
+        self.postMessage({ type: 'storage', key, value: String(value) });
+    },
+    removeItem: key => {
+        delete storedValues[key];
+    }
+};
+
+function postProgress(share, message) {
+    self.postMessage({ type: 'progress', percent: Math.min(100, share * 100), message });
+}
+
+// Progress callback for a row-by-row step that fills the bar from start to end (shares of the whole job)
+function reportStep(start, end, label) {
+    return (done, total) => postProgress(start + (end - start) * done / total,
+        `${label}: ${done.toLocaleString()} of ${total.toLocaleString()} rows`);
+}
+
+// Parse a CSV file chunk by chunk; onChunk(charactersRead, rowCount) after each
+function streamCSV(file, onChunk) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        Papa.parse(file, {
+            header: true,
+            dynamicTyping: true,
+            skipEmptyLines: true,
+            chunkSize: INGEST_CHUNK_SIZE,
+            chunk: results => {
+                results.data.forEach(row => rows.push(row));
+                onChunk(results.meta.cursor, rows.length);
+            },
+            complete: () => resolve(rows),
+            error: error => reject(error)
+        });
+    });
+}
+
+// The column mapping dialog lives on the main thread: send the headers, wait for { mapping } or { error }
+function askForMapping(fileName, headers) {
+    return new Promise(resolve => {
+        answerMapping = resolve;
+        self.postMessage({ type: 'headers', fileName, headers });
+    });
+}
+
+// Rows of every file, tagged with file name and row number and mapped onto the canonical columns
+async function handleParse(files) {
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0) || 1;
+    let parsedSize = 0;
+    const tables = [];
+
+    for (const file of files) {
+        const rows = await streamCSV(file, (cursor, rowCount) => {
+            postProgress((parsedSize + Math.min(cursor, file.size)) / totalSize,
+                `Parsing ${file.name}: ${rowCount.toLocaleString()} rows`);
+        });
+        parsedSize += file.size;
+        rows.forEach((row, i) => {
+            row.__source = file.name;
+            row.__row = i + 1;
+        });
+
+        const reply = await askForMapping(file.name, ColumnMapping.detectHeaders(rows));
+        if (reply.error) throw new Error(reply.error);
+        const mapped = reply.mapping ? ColumnMapping.applyMapping(rows, reply.mapping) : rows;
+        tables.push({ name: file.name, table: Columnar.encodeRecords(mapped) });
+    }
+
+    return { result: { tables }, transfer: Columnar.getTransferables(...tables.map(source => source.table)) };
+}
+
+// The same steps buildGraph ran on the main thread: estimate, validate, aggregate and lay out.
+// Trips and their original rows go back as columnar tables; cluster nodes (a few per route) are cloned
+function handleBuild(tables, settings) {
+    if (settings.levels) Hierarchy.setHierarchy(settings.levels, false);
+    if (settings.factorSetId && EmissionEngine.getFactorSets().some(set => set.id === settings.factorSetId)) {
+        EmissionEngine.setActiveFactorSet(settings.factorSetId);
+    }
+
+    const rawData = tables.flatMap(table => Columnar.decodeRecords(table));
+    const { rows, estimated } = EmissionEngine.estimateRows(rawData,
+        reportStep(0, 0.3, 'Estimating missing emissions'));
+
+    const report = Validator.validateRows(rows, reportStep(0.3, 0.5, 'Validating'));
+    report.estimated = estimated;
+
+    const reportGrouping = reportStep(0.5, 0.8, 'Grouping');
+    const graph = DataProcessor.processEmissionsData(report.valid, {
+        layout: settings.layout,
+        persistLayout: settings.persistLayout,
+        onProgress: (done, total) => {
+            reportGrouping(done, total);
+            if (done === total) postProgress(0.8, `Laying out ${total.toLocaleString()} trips...`);
+        }
+    });
+
+    postProgress(0.95, 'Packing results...');
+    const trips = graph.nodes.filter(node => node.type === 'trip');
+    const tripTable = Columnar.encodeRecords(trips.map(({ fields, color, ...trip }) => trip));
+    const fieldTable = Columnar.encodeRecords(trips.map(trip => trip.fields));
+    const result = {
+        graph: { ...graph, nodes: graph.nodes.filter(node => node.type !== 'trip') },
+        trips: tripTable,
+        fields: fieldTable,
+        report: { ...report, valid: null } // The trips carry the valid rows
+    };
+    return { result, transfer: Columnar.getTransferables(tripTable, fieldTable) };
+}
+
+// Relayouts for the main thread (see Ingest.layoutTrips): the cluster nodes, and each trip's place in the order
+// the trips came in as a columnar table of { x, y, parentId, textSize }
+function handleLayout(tripTable, fieldTable, settings) {
+    Hierarchy.setHierarchy(settings.levels, false);
+    const fieldRows = Columnar.decodeRecords(fieldTable);
+    const trips = Columnar.decodeRecords(tripTable).map((trip, i) => ({ ...trip, fields: fieldRows[i] }));
+
+    const nodes = DataProcessor.relayoutGraph({ nodes: trips }, settings.layout, { persist: settings.persistLayout }).nodes;
+    const placements = Columnar.encodeRecords(trips.map(({ x, y, parentId, textSize }) => ({ x, y, parentId, textSize })));
+    const result = { groups: nodes.filter(node => node.type !== 'trip'), placements };
+    return { result, transfer: Columnar.getTransferables(placements) };
+}
+
+// The page's libraries, then our own modules. A library that can't be loaded fails the job with its name
+function loadScripts(libraries) {
+    if (!libraries?.length) throw new Error('The import worker was not given the d3 and Papa Parse libraries');
+    libraries.forEach(url => {
+        try {
+            importScripts(url);
+        } catch (error) {
+            throw new Error(`The import worker could not load ${url}`);
+        }
+    });
+    importScripts(...INGEST_SCRIPTS);
+}
+
+const INGEST_HANDLERS = {
+    parse: data => handleParse(Array.from(data.files)),
+    build: data => handleBuild(data.tables, data.settings),
+    layout: data => handleLayout(data.trips, data.fields, data.settings)
+};
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'mapping') {
+        answerMapping?.(data);
+        return;
+    }
+
+    try {
+        storedValues = data.storage || {};
+        loadScripts(data.libraries);
+        const { result, transfer } = await INGEST_HANDLERS[data.type](data);
+        self.postMessage({ type: 'done', result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
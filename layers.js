@@ -5,15 +5,66 @@
 
 const SCALE = 0.005;
 
+// Wrap fn so its result is computed once per combination of arguments: objects are matched by identity
+// (and released with them), other values by value. Layer data built this way keeps its identity between
+// frames, so deck.gl only re-uploads attributes when the nodes really changed
+function memoizeLayerData(fn) {
+    const root = { objects: new WeakMap(), values: new Map() };
+    return (...args) => {
+        let entry = root;
+        args.forEach(arg => {
+            const store = arg !== null && typeof arg === 'object' ? entry.objects : entry.values;
+            if (!store.has(arg)) store.set(arg, { objects: new WeakMap(), values: new Map() });
+            entry = store.get(arg);
+        });
+        if (!('result' in entry)) entry.result = fn(...args);
+        return entry.result;
+    };
+}
+
+// The nodes of one graph grouped by type and by hierarchy level, built once per nodes array
+const getNodeIndex = memoizeLayerData(nodes => {
+    const byType = new Map();
+    const byLevel = new Map();
+    const add = (map, key, node) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(node);
+    };
+    nodes.forEach(node => {
+        add(byType, node.type, node);
+        if (node.level) add(byLevel, node.level, node);
+    });
+    return {
+        byType,
+        byLevel,
+        trips: byType.get('trip') || [],
+        ofType: type => byType.get(type) || [],
+        ofLevel: level => byLevel.get(level) || []
+    };
+});
+
+// Trips placed on their departure city; only asked for in the geographic view, after Geo.buildGeoData
+const getGeoTrips = memoizeLayerData(nodes => getNodeIndex(nodes).trips.filter(n => n.geoPosition));
+
+// Trips drawn one by one and aggregate markers of crowded spots at a zoom step (see levelOfDetail.js)
+const getTripLevelOfDetail = memoizeLayerData((nodes, lodZoom) =>
+    LevelOfDetail.aggregateTrips(getNodeIndex(nodes).trips, lodZoom, SCALE));
+
+// Number of hierarchy levels whose zoom threshold is reached (levels appear top-down)
+function getVisibleDepth(currentZoom) {
+    return Hierarchy.getLevels().filter(level => currentZoom >= level.minZoom).length;
+}
+
 function createTextLayer(nodes, nodeType, currentZoom, opacity = 1) {
-    const filteredNodes = nodes.filter(n => n.type === nodeType);
+    const filteredNodes = getNodeIndex(nodes).ofType(nodeType);
 
     if (filteredNodes.length === 0 || opacity <= 0) {
         return null;
     }
 
+    // Keyed by hierarchy role; only the top level is labelled here
     const config = {
-        department: {
+        top: {
             fontWeight: 900,
             minSize: 32,
             maxSize: 80,
@@ -21,7 +72,7 @@ function createTextLayer(nodes, nodeType, currentZoom, opacity = 1) {
         }
     };
 
-    const c = config[nodeType];
+    const c = config[Hierarchy.getLevelByType(nodeType)?.role];
     if (!c) return null;
 
     // Dynamic size calculation: Shrink as we zoom in
@@ -29,21 +80,24 @@ function createTextLayer(nodes, nodeType, currentZoom, opacity = 1) {
     // At zoom 3: size ~24. At zoom 20: size ~8.
     const dynamicSize = Math.max(8, baseSize - (currentZoom * 0.8));
 
+    // Zoom only changes uniforms (opacity, sizeScale), never the per-label attributes
     return new deck.TextLayer({
         id: `${nodeType}-text-layer`,
         data: filteredNodes,
         pickable: true,
+        opacity,
         getPosition: d => [d.x * SCALE, d.y * SCALE],
         getText: d => d.name,
-        getColor: d => [...d.color, Math.round(255 * opacity)],
-        getSize: d => dynamicSize,
+        getColor: d => d.color,
+        getSize: 1,
+        sizeScale: dynamicSize,
         sizeUnits: 'pixels',
         sizeMinPixels: 5,
         sizeMaxPixels: 60,
         fontFamily: 'Inter, sans-serif',
         fontWeight: c.fontWeight,
         background: c.background,
-        getBackgroundColor: [15, 23, 42, Math.round(200 * opacity)],
+        getBackgroundColor: [15, 23, 42, 200],
         backgroundPadding: [8, 4, 8, 4],
         getTextAnchor: 'middle',
         getAlignmentBaseline: 'center',
@@ -52,8 +106,9 @@ function createTextLayer(nodes, nodeType, currentZoom, opacity = 1) {
     });
 }
 
+// Top-level clusters (departments by default), sized by emissions
 function createDepartmentNodeLayer(nodes, currentZoom, opacity = 1) {
-    const filteredNodes = nodes.filter(n => n.type === 'department');
+    const filteredNodes = getNodeIndex(nodes).ofLevel(1);
     if (filteredNodes.length === 0 || opacity <= 0) return null;
 
     return new deck.ScatterplotLayer({
@@ -69,125 +124,169 @@ function createDepartmentNodeLayer(nodes, currentZoom, opacity = 1) {
         getPosition: d => [d.x * SCALE, d.y * SCALE],
         getFillColor: d => [...d.color],
         getRadius: d => d.radius || 100,
-        parameters: { depthTest: false },
-        updateTriggers: {
-            getFillColor: [opacity]
-        }
+        parameters: { depthTest: false }
     });
 }
 
-// Layer for the faint colored background behind purpose groups
-function createPurposeHighlightLayer(nodes, currentZoom, opacity = 1) {
-    if (currentZoom < 4) return null;
-    const filteredNodes = nodes.filter(n => n.type === 'purpose-group');
+const getBaselineNodes = memoizeLayerData(nodes => getNodeIndex(nodes).ofLevel(1).filter(n => n.baselineRadius));
+
+// Dashed-looking outline at the baseline size of each top-level cluster while a scenario is active
+function createDepartmentBaselineLayer(nodes, currentZoom, opacity = 1) {
+    const filteredNodes = getBaselineNodes(nodes);
+    if (filteredNodes.length === 0 || opacity <= 0) return null;
 
     return new deck.ScatterplotLayer({
-        id: 'purpose-highlight-layer',
+        id: 'department-baseline-layer',
         data: filteredNodes,
         pickable: false,
-        opacity: 0.2, // Low opacity for highlight
-        stroked: false,
-        filled: true,
+        opacity: opacity,
+        stroked: true,
+        filled: false,
+        radiusMinPixels: 10,
+        radiusMaxPixels: 300,
+        lineWidthMinPixels: 2,
         getPosition: d => [d.x * SCALE, d.y * SCALE],
-        getFillColor: d => [...d.color], // Use department color
-        getRadius: d => d.radius,
-        radiusUnits: 'pixels', // Fixed pixel size matches layout logic
+        getLineColor: d => [...d.color, 180],
+        getRadius: d => d.baselineRadius,
         parameters: { depthTest: false }
     });
 }
 
-// Layer for text labels on top of purpose groups
-function createPurposeLabelLayer(nodes, currentZoom, opacity = 1) {
-    if (currentZoom < 4) return null;
-    const filteredNodes = nodes.filter(n => n.type === 'purpose-group');
+const getBudgetedNodes = memoizeLayerData((nodes, budgetStatus) =>
+    getNodeIndex(nodes).ofLevel(1).filter(n => n.type === 'department' && budgetStatus.has(n.name)));
 
-    const dynamicSize = Math.max(8, 14 - (currentZoom * 0.3));
+// Ring around budgeted departments, coloured by budget state (ok / near / over); only while departments are the top level
+function createDepartmentBudgetLayer(nodes, budgetStatus, opacity = 1) {
+    if (!budgetStatus || opacity <= 0) return null;
+    const filteredNodes = getBudgetedNodes(nodes, budgetStatus);
+    if (filteredNodes.length === 0) return null;
 
-    return new deck.TextLayer({
-        id: 'purpose-label-layer',
+    return new deck.ScatterplotLayer({
+        id: 'department-budget-layer',
         data: filteredNodes,
         pickable: false,
+        opacity: opacity,
+        stroked: true,
+        filled: false,
+        radiusMinPixels: 14,
+        radiusMaxPixels: 306,
+        lineWidthUnits: 'pixels',
         getPosition: d => [d.x * SCALE, d.y * SCALE],
-        getText: d => d.name,
-        getSize: dynamicSize,
-        getColor: [226, 232, 240, 255], // Light grey text
-        backgroundColor: [15, 23, 42, 200],
-        background: true,
-        backgroundPadding: [4, 2],
-        fontFamily: 'Inter, sans-serif',
-        getTextAnchor: 'middle',
-        getAlignmentBaseline: 'center',
-        parameters: { depthTest: false }
+        getLineColor: d => [...Budgets.BUDGET_STATUS_COLORS[budgetStatus.get(d.name).state], 230],
+        getLineWidth: d => budgetStatus.get(d.name).state === 'ok' ? 2 : 4,
+        getRadius: d => (d.radius || 100) * 1.08,
+        parameters: { depthTest: false },
+        updateTriggers: {
+            getLineColor: [budgetStatus],
+            getLineWidth: [budgetStatus]
+        }
     });
 }
 
-function createTripLayer(nodes, currentZoom, opacity = 1) {
-    const filteredNodes = nodes.filter(n => n.type === 'trip');
-    if (filteredNodes.length === 0 || opacity <= 0) return null;
+// Outlined areas of the levels down to depth
+const getOutlineNodes = memoizeLayerData((nodes, depth) => {
+    const index = getNodeIndex(nodes);
+    return d3.range(1, depth + 1).flatMap(level => index.ofLevel(level).filter(n => n.outline));
+});
 
-    return new deck.ScatterplotLayer({
-        id: 'trip-layer',
+// Area outlines drawn by the pack / treemap / sunburst layouts; each level appears with its zoom threshold
+function createLayoutOutlineLayer(nodes, currentZoom) {
+    const filteredNodes = getOutlineNodes(nodes, getVisibleDepth(currentZoom));
+    if (filteredNodes.length === 0) return null;
+
+    return new deck.PolygonLayer({
+        id: 'layout-outline-layer',
         data: filteredNodes,
-        pickable: true,
-        opacity: opacity,
-        stroked: false,
+        pickable: true, // Clicking an area opens its detail panel
+        stroked: true,
         filled: true,
-        radiusScale: 1,
-        radiusMinPixels: 2,
-        radiusMaxPixels: 8,
-        getPosition: d => [d.x * SCALE, d.y * SCALE],
-        getFillColor: d => {
-            if (Array.isArray(d.color)) return [...d.color];
-            return [200, 200, 200]; // Fallback color
-        }, // Always department color
-        getRadius: d => 2 + Math.sqrt(d.emissions / 1000),
-        parameters: { depthTest: false },
-        updateTriggers: {
-            getFillColor: [opacity]
-        }
+        lineWidthUnits: 'pixels',
+        getPolygon: d => d.outline.map(([x, y]) => [x * SCALE, y * SCALE]),
+        getFillColor: d => [...d.color, d.level === 1 ? 25 : 35],
+        getLineColor: d => [...d.color, d.level === 1 ? 200 : 120],
+        getLineWidth: d => d.level === 1 ? 2 : 1,
+        parameters: { depthTest: false }
     });
 }
 
-// Layer for faint colored background behind transport groups
-function createTransportHighlightLayer(nodes, currentZoom, opacity = 1) {
-    if (currentZoom < 6) return null;
-    const filteredNodes = nodes.filter(n => n.type === 'transport-group');
+// Highlight and label styles of group clusters by their hierarchy role (see hierarchy.js):
+// 'upper' is the level below the top (purposes by default), 'leaf' the deepest (routes), 'middle' the ones between
+const GROUP_LAYER_STYLES = {
+    upper: {
+        opacity: 0.2, // Low opacity for highlight
+        stroked: false,
+        labelSize: zoom => Math.max(8, 14 - (zoom * 0.3)),
+        labelColor: [226, 232, 240, 255], // Light grey text
+        labelBackground: [15, 23, 42, 200],
+        labelPadding: [4, 2],
+        labelMaxZoom: 12
+    },
+    middle: {
+        opacity: 0.3,
+        stroked: true,
+        lineColor: [255, 255, 255, 100],
+        labelSize: zoom => Math.max(6, 12 - (zoom * 0.2)),
+        labelColor: [203, 213, 225, 255],
+        labelBackground: [15, 23, 42, 220],
+        labelPadding: [2, 1],
+        labelMaxZoom: 12 // Extended visibility for context deep in routes
+    },
+    leaf: {
+        opacity: 0.4,
+        stroked: true,
+        lineColor: [255, 255, 255, 150],
+        labelSize: zoom => Math.max(5, 10 - (zoom * 0.15)),
+        labelColor: [248, 250, 252, 255],
+        labelBackground: [15, 23, 42, 240],
+        labelPadding: [2, 1],
+        labelMaxZoom: Infinity
+    }
+};
+
+// Outlined layouts draw areas instead of circles
+const getCircleNodes = memoizeLayerData((nodes, level) => getNodeIndex(nodes).ofLevel(level).filter(n => !n.outline));
+
+// Faint colored background behind the group clusters of one hierarchy level
+function createGroupHighlightLayer(nodes, level, currentZoom) {
+    if (currentZoom < level.minZoom) return null;
+    const style = GROUP_LAYER_STYLES[level.role];
+    const filteredNodes = getCircleNodes(nodes, level.level);
 
     return new deck.ScatterplotLayer({
-        id: 'transport-highlight-layer',
+        id: `level-${level.level}-highlight-layer`,
         data: filteredNodes,
-        pickable: false,
-        opacity: 0.3,
-        stroked: true,
+        pickable: true, // Clicking a group opens its detail panel
+        opacity: style.opacity,
+        stroked: style.stroked,
         filled: true,
-        getLineColor: [255, 255, 255, 100],
+        getLineColor: style.lineColor || [255, 255, 255, 0],
         getLineWidth: 1,
         getPosition: d => [d.x * SCALE, d.y * SCALE],
-        getFillColor: d => [...d.color],
+        getFillColor: d => [...d.color], // Use the top-level cluster's color
         getRadius: d => d.radius,
-        radiusUnits: 'pixels',
+        radiusUnits: 'pixels', // Fixed pixel size matches layout logic
         parameters: { depthTest: false }
     });
 }
 
-// Layer for labels on top of transport groups
-function createTransportLabelLayer(nodes, currentZoom, opacity = 1) {
-    if (currentZoom < 6) return null;
-    const filteredNodes = nodes.filter(n => n.type === 'transport-group');
-
-    const dynamicSize = Math.max(6, 12 - (currentZoom * 0.2));
+// Text labels on top of the group clusters of one hierarchy level
+function createGroupLabelLayer(nodes, level, currentZoom) {
+    const style = GROUP_LAYER_STYLES[level.role];
+    if (currentZoom < level.minZoom || currentZoom >= style.labelMaxZoom) return null;
+    const filteredNodes = getNodeIndex(nodes).ofLevel(level.level);
 
     return new deck.TextLayer({
-        id: 'transport-label-layer',
+        id: `level-${level.level}-label-layer`,
         data: filteredNodes,
         pickable: false,
         getPosition: d => [d.x * SCALE, d.y * SCALE],
         getText: d => d.name,
-        getSize: dynamicSize,
-        getColor: [203, 213, 225, 255],
-        backgroundColor: [15, 23, 42, 220],
+        getSize: 1,
+        sizeScale: style.labelSize(currentZoom),
+        getColor: style.labelColor,
+        backgroundColor: style.labelBackground,
         background: true,
-        backgroundPadding: [2, 1],
+        backgroundPadding: style.labelPadding,
         fontFamily: 'Inter, sans-serif',
         getTextAnchor: 'middle',
         getAlignmentBaseline: 'center',
@@ -195,133 +294,221 @@ function createTransportLabelLayer(nodes, currentZoom, opacity = 1) {
     });
 }
 
-// Layer for faint highlighted background for Route Clusters
-function createRouteHighlightLayer(nodes, currentZoom, opacity = 1) {
-    if (currentZoom < 7.5) return null;
-    const filteredNodes = nodes.filter(n => n.type === 'route-group');
+// In 'geo' mode trips sit on their departure city; transitionDuration animates the move between modes.
+// brushedIds (trips selected in the charts panel) fades every other trip. In the cluster view, trips binned
+// into aggregate markers are left to createTripAggregateLayers
+function createTripLayer(nodes, currentZoom, opacity = 1, mode = 'cluster', transitionDuration = 0, brushedIds = null) {
+    const filteredNodes = mode === 'geo'
+        ? getGeoTrips(nodes)
+        : getTripLevelOfDetail(nodes, LevelOfDetail.getLodZoom(currentZoom)).singles;
+    if (filteredNodes.length === 0 || opacity <= 0) return null;
 
     return new deck.ScatterplotLayer({
-        id: 'route-highlight-layer',
+        id: 'trip-layer',
         data: filteredNodes,
-        pickable: false,
-        opacity: 0.4,
-        stroked: true,
+        pickable: true,
+        opacity: opacity,
+        stroked: false,
         filled: true,
-        getLineColor: [255, 255, 255, 150],
-        getLineWidth: 1,
-        getPosition: d => [d.x * SCALE, d.y * SCALE],
-        getFillColor: d => [...d.color],
-        getRadius: d => d.radius,
-        radiusUnits: 'pixels',
-        parameters: { depthTest: false }
+        radiusScale: 1,
+        radiusMinPixels: 2,
+        radiusMaxPixels: 8,
+        getPosition: mode === 'geo' ? d => d.geoPosition : d => [d.x * SCALE, d.y * SCALE],
+        transitions: transitionDuration > 0 ? { getPosition: transitionDuration } : {},
+        getFillColor: d => {
+            const alpha = brushedIds && !brushedIds.has(d.id) ? 50 : 255;
+            if (Array.isArray(d.color)) return [...d.color, alpha];
+            return [200, 200, 200, alpha]; // Fallback color
+        }, // Always department color
+        getRadius: d => 2 + Math.sqrt((d.sizeValue ?? d.emissions) / 1000), // sizeValue: intensity metric, see metrics.js
+        parameters: { depthTest: false },
+        updateTriggers: {
+            getFillColor: [brushedIds],
+            getPosition: [mode]
+        }
     });
 }
 
-// Layer for labels on top of Route Clusters
-function createRouteLabelLayer(nodes, currentZoom, opacity = 1) {
-    if (currentZoom < 7.5) return null;
-    const filteredNodes = nodes.filter(n => n.type === 'route-group');
-
-    const dynamicSize = Math.max(5, 10 - (currentZoom * 0.15));
-
-    return new deck.TextLayer({
-        id: 'route-label-layer',
-        data: filteredNodes,
-        pickable: false,
-        getPosition: d => [d.x * SCALE, d.y * SCALE],
-        getText: d => d.name,
-        getSize: dynamicSize,
-        getColor: [248, 250, 252, 255],
-        backgroundColor: [15, 23, 42, 240],
-        background: true,
-        backgroundPadding: [2, 1],
-        fontFamily: 'Inter, sans-serif',
-        getTextAnchor: 'middle',
-        getAlignmentBaseline: 'center',
-        parameters: { depthTest: false }
-    });
+// Markers for crowded spots of trips below LevelOfDetail.getLodMaxZoom(), labelled with their trip count and
+// sized by it; hovering one shows its totals, clicking zooms in until it splits. A marker holding a brushed trip stays lit
+function createTripAggregateLayers(nodes, currentZoom, opacity = 1, brushedIds = null) {
+    const { aggregates } = getTripLevelOfDetail(nodes, LevelOfDetail.getLodZoom(currentZoom));
+    if (aggregates.length === 0 || opacity <= 0) return [];
+
+    return [
+        new deck.ScatterplotLayer({
+            id: 'trip-aggregate-layer',
+            data: aggregates,
+            pickable: true,
+            opacity,
+            stroked: true,
+            filled: true,
+            radiusUnits: 'pixels',
+            lineWidthUnits: 'pixels',
+            getPosition: d => [d.x * SCALE, d.y * SCALE],
+            getFillColor: d => [...d.color, brushedIds && !d.trips.some(trip => brushedIds.has(trip.id)) ? 50 : 210],
+            getLineColor: [255, 255, 255, 180],
+            getLineWidth: 1,
+            getRadius: d => d.radius,
+            parameters: { depthTest: false },
+            updateTriggers: {
+                getFillColor: [brushedIds]
+            }
+        }),
+        new deck.TextLayer({
+            id: 'trip-aggregate-label-layer',
+            data: aggregates,
+            pickable: false,
+            opacity,
+            getPosition: d => [d.x * SCALE, d.y * SCALE],
+            getText: d => LevelOfDetail.formatTripCount(d.tripCount),
+            getSize: 10,
+            getColor: [15, 23, 42, 255],
+            fontFamily: 'Inter, sans-serif',
+            fontWeight: 700,
+            getTextAnchor: 'middle',
+            getAlignmentBaseline: 'center',
+            parameters: { depthTest: false }
+        })
+    ];
 }
 
-function createAllTextLayers(nodes, currentZoom) {
+// options.showDepartments / options.showTrips hide those layers when false;
+// options.budgetStatus (department name -> budget status) rings budgeted departments;
+// options.brushedIds (trips and clusters selected in the charts panel) fades the other trips
+function createAllTextLayers(nodes, currentZoom, options = {}) {
     const layers = [];
+    const { showDepartments = true, showTrips = true } = options;
 
-    const deptOpacity = DataProcessor.getLayerOpacity('department', currentZoom);
+    const [topLevel, ...groupLevels] = Hierarchy.getLevels();
+    const deptOpacity = DataProcessor.getLayerOpacity(topLevel.type, currentZoom);
     const tripOpacity = DataProcessor.getLayerOpacity('trip', currentZoom);
 
-    // 1. Purpose Highlights (Bottom)
-    if (currentZoom >= 4) {
-        const highlightLayer = createPurposeHighlightLayer(nodes, currentZoom);
-        if (highlightLayer) layers.push(highlightLayer);
-    }
+    // 0. Layout areas (pack / treemap / sunburst only)
+    const outlineLayer = createLayoutOutlineLayer(nodes, currentZoom);
+    if (outlineLayer) layers.push(outlineLayer);
 
-    // 2. Transport Highlights (On top of Purpose Highlights)
-    if (currentZoom >= 6) {
-        const transHighlight = createTransportHighlightLayer(nodes, currentZoom);
-        if (transHighlight) layers.push(transHighlight);
-    }
-
-    // 2b. Route Highlights (On top of Transport)
-    if (currentZoom >= 7.5) {
-        const routeHighlight = createRouteHighlightLayer(nodes, currentZoom);
-        if (routeHighlight) layers.push(routeHighlight);
-    }
+    // 1. Group Highlights (Bottom), each level on top of the one above it
+    groupLevels.forEach(level => {
+        const highlightLayer = createGroupHighlightLayer(nodes, level, currentZoom);
+        if (highlightLayer) layers.push(highlightLayer);
+    });
 
-    // 3. Trips (Middle) - Pushed deeper
-    if (tripOpacity > 0) {
-        const tripLayer = createTripLayer(nodes, currentZoom, tripOpacity);
+    // 2. Trips (Middle) - Pushed deeper
+    if (showTrips && tripOpacity > 0) {
+        const tripLayer = createTripLayer(nodes, currentZoom, tripOpacity, 'cluster', options.transitionDuration, options.brushedIds);
         if (tripLayer) layers.push(tripLayer);
+        layers.push(...createTripAggregateLayers(nodes, currentZoom, tripOpacity, options.brushedIds));
     }
 
-    // 4. Transport Labels
-    if (currentZoom >= 6 && currentZoom < 12) { // Extended visibility for context deep in routes
-        const transLabel = createTransportLabelLayer(nodes, currentZoom);
-        if (transLabel) layers.push(transLabel);
-    }
+    // 3. Group Labels; the level below the top stays on top of deeper ones for context
+    [...groupLevels.slice(1), ...groupLevels.slice(0, 1)].forEach(level => {
+        const labelLayer = createGroupLabelLayer(nodes, level, currentZoom);
+        if (labelLayer) layers.push(labelLayer);
+    });
 
-    // 4b. Route Labels
-    if (currentZoom >= 7.5) {
-        const routeLabel = createRouteLabelLayer(nodes, currentZoom);
-        if (routeLabel) layers.push(routeLabel);
-    }
+    // 4. Top-level Labels (Top top, or fade out)
+    if (showDepartments && deptOpacity > 0) {
+        // Baseline outline behind the circle when a scenario shrinks it
+        const baselineLayer = createDepartmentBaselineLayer(nodes, currentZoom, deptOpacity);
+        if (baselineLayer) layers.push(baselineLayer);
 
-    // 5. Purpose Labels (Top of trips, maybe fade out if too cluttered?)
-    // Let's keep them for context
-    if (currentZoom >= 4 && currentZoom < 12) {
-        const labelLayer = createPurposeLabelLayer(nodes, currentZoom);
-        if (labelLayer) layers.push(labelLayer);
-    }
+        const budgetLayer = createDepartmentBudgetLayer(nodes, options.budgetStatus, deptOpacity);
+        if (budgetLayer) layers.push(budgetLayer);
 
-    // 6. Department Labels (Top top, or fade out)
-    if (deptOpacity > 0) {
         // Add the Circle Layer first (so text is on top)
         const deptCircleLayer = createDepartmentNodeLayer(nodes, currentZoom, deptOpacity);
         if (deptCircleLayer) layers.push(deptCircleLayer);
 
-        const deptLayer = createTextLayer(nodes, 'department', currentZoom, deptOpacity);
+        const deptLayer = createTextLayer(nodes, topLevel.type, currentZoom, deptOpacity);
         if (deptLayer) layers.push(deptLayer);
     }
 
     return layers;
 }
 
-function searchNodes(nodeData, searchTerm) {
-    if (!searchTerm || searchTerm.trim() === '') return null;
+// Largest route and hub emissions, and the hubs labelled before zooming in (the busiest 20)
+const getGeoSummary = memoizeLayerData(geoData => ({
+    maxRouteEmissions: Math.max(1, d3.max(geoData.routes, r => r.emissions) || 0),
+    maxHubEmissions: Math.max(1, d3.max(geoData.hubs, h => h.emissions) || 0),
+    busiestHubs: [...geoData.hubs].sort((a, b) => b.emissions - a.emissions).slice(0, 20)
+}));
+
+// Geographic mode: origin→destination arcs, sized city hubs with labels and trips on their departure city
+function createGeoLayers(geoData, nodes, currentZoom, options = {}) {
+    const layers = [];
+    const { showTrips = true, transitionDuration = 0, brushedIds = null } = options;
+    const { maxRouteEmissions, maxHubEmissions, busiestHubs } = getGeoSummary(geoData);
+
+    layers.push(new deck.ArcLayer({
+        id: 'geo-route-layer',
+        data: geoData.routes,
+        pickable: true,
+        getSourcePosition: d => d.sourcePosition,
+        getTargetPosition: d => d.targetPosition,
+        getSourceColor: [56, 189, 248, 200],
+        getTargetColor: [244, 114, 182, 200],
+        getWidth: d => 1 + Math.sqrt(d.emissions / maxRouteEmissions) * 12,
+        widthUnits: 'pixels',
+        greatCircle: true,
+        parameters: { depthTest: false }
+    }));
+
+    if (showTrips) {
+        const tripLayer = createTripLayer(nodes, currentZoom, 1, 'geo', transitionDuration, brushedIds);
+        if (tripLayer) layers.push(tripLayer);
+    }
+
+    layers.push(new deck.ScatterplotLayer({
+        id: 'city-hub-layer',
+        data: geoData.hubs,
+        pickable: true,
+        stroked: true,
+        filled: true,
+        getPosition: d => d.position,
+        getFillColor: [251, 191, 36, 160],
+        getLineColor: [255, 255, 255, 200],
+        lineWidthMinPixels: 1,
+        getRadius: d => 4 + Math.sqrt(d.emissions / maxHubEmissions) * 26,
+        radiusUnits: 'pixels',
+        parameters: { depthTest: false }
+    }));
+
+    // Label only the busiest hubs until zoomed in
+    const labelledHubs = currentZoom >= 5 ? geoData.hubs : busiestHubs;
 
-    const term = searchTerm.toLowerCase();
-    return nodeData.filter(node =>
-        node.name?.toLowerCase().includes(term) ||
-        node.department?.toLowerCase().includes(term) ||
-        node.route?.toLowerCase().includes(term)
-    );
+    layers.push(new deck.TextLayer({
+        id: 'city-hub-label-layer',
+        data: labelledHubs,
+        pickable: false,
+        getPosition: d => d.position,
+        getText: d => d.name,
+        getSize: 12,
+        getColor: [248, 250, 252, 255],
+        getPixelOffset: [0, -18],
+        background: true,
+        getBackgroundColor: [15, 23, 42, 200],
+        backgroundPadding: [4, 2],
+        fontFamily: 'Inter, sans-serif',
+        getTextAnchor: 'middle',
+        getAlignmentBaseline: 'bottom',
+        parameters: { depthTest: false }
+    }));
+
+    return layers;
 }
 
-function createSearchHighlightLayer(matchingNodes, currentZoom) {
-    if (!matchingNodes || matchingNodes.length === 0) return null;
+const getGeoMatches = memoizeLayerData(matchingNodes => matchingNodes.filter(n => n.geoPosition));
+
+function createSearchHighlightLayer(matchingNodes, currentZoom, mode = 'cluster') {
+    // Only trips have a geographic position
+    const data = mode === 'geo' && matchingNodes ? getGeoMatches(matchingNodes) : matchingNodes;
+    if (!data || data.length === 0) return null;
 
     return new deck.ScatterplotLayer({
         id: 'search-highlight',
-        data: matchingNodes,
-        getPosition: d => [d.x * SCALE, d.y * SCALE],
+        data,
+        getPosition: mode === 'geo' ? d => d.geoPosition : d => [d.x * SCALE, d.y * SCALE],
         getFillColor: [255, 255, 0, 100],
         getLineColor: [255, 255, 0, 255],
         getRadius: d => (d.textSize || 20) * 2,
@@ -333,19 +520,138 @@ function createSearchHighlightLayer(matchingNodes, currentZoom) {
     });
 }
 
-function getCurrentLayerInfo(currentZoom) {
-    if (currentZoom < 3) {
-        return { name: 'Departments', hint: 'Zoom in to see individual trips' };
-    } else {
-        return { name: 'Individual Trips', hint: 'Exploring trip details' };
+const BRUSH_COLOR = [34, 211, 238]; // Cyan
+const ROUTE_HIGHLIGHT_COLOR = [244, 114, 182]; // Pink
+
+// Highlighted nodes shown at a visible depth, split by how they are drawn: areas (outlined layouts),
+// top-level circles, and smaller groups plus trips
+const getBrushedNodes = memoizeLayerData((nodes, brushedIds, mode, depth, showTrips) => {
+    const brushed = nodes.filter(n => brushedIds.has(n.id));
+    const trips = brushed.filter(n => n.type === 'trip' && showTrips && (mode !== 'geo' || n.geoPosition));
+    const groups = mode === 'geo' ? [] : brushed.filter(n => n.level && n.level <= depth);
+    return {
+        areas: groups.filter(n => n.outline),
+        topLevel: groups.filter(n => !n.outline && n.level === 1),
+        small: [...groups.filter(n => !n.outline && n.level > 1), ...trips]
+    };
+});
+
+// Rings (or area borders) around the trips and the clusters holding trips selected in the charts panel, or those
+// of another highlight given its own layer id and colour; clusters only from the zoom their level appears at,
+// trips only in the geographic view or once trips show
+function createBrushLayers(nodes, brushedIds, currentZoom, mode = 'cluster', { id = 'brush', color = BRUSH_COLOR } = {}) {
+    if (!brushedIds || brushedIds.size === 0) return [];
+    const showTrips = mode === 'geo' || DataProcessor.getLayerOpacity('trip', currentZoom) > 0;
+    const depth = Math.max(1, getVisibleDepth(currentZoom)); // Top-level rings show at any zoom
+    const { areas, topLevel, small } = getBrushedNodes(nodes, brushedIds, mode, depth, showTrips);
+    const layers = [];
+
+    if (areas.length > 0) {
+        layers.push(new deck.PolygonLayer({
+            id: `${id}-area-layer`,
+            data: areas,
+            pickable: false,
+            stroked: true,
+            filled: false,
+            lineWidthUnits: 'pixels',
+            getPolygon: d => d.outline.map(([x, y]) => [x * SCALE, y * SCALE]),
+            getLineColor: [...color, 220],
+            getLineWidth: 2,
+            parameters: { depthTest: false }
+        }));
+    }
+
+    // Top-level clusters are sized in world units, lower groups and trips in pixels
+    if (topLevel.length > 0) {
+        layers.push(new deck.ScatterplotLayer({
+            id: `${id}-cluster-layer`,
+            data: topLevel,
+            pickable: false,
+            stroked: true,
+            filled: false,
+            radiusMinPixels: 12,
+            radiusMaxPixels: 310,
+            lineWidthMinPixels: 2,
+            getPosition: d => [d.x * SCALE, d.y * SCALE],
+            getLineColor: [...color, 220],
+            getRadius: d => (d.radius || 100) * 1.1,
+            parameters: { depthTest: false }
+        }));
     }
+
+    if (small.length > 0) {
+        layers.push(new deck.ScatterplotLayer({
+            id: `${id}-layer`,
+            data: small,
+            pickable: false,
+            stroked: true,
+            filled: false,
+            radiusUnits: 'pixels',
+            lineWidthMinPixels: 1.5,
+            getPosition: mode === 'geo' ? d => d.geoPosition : d => [d.x * SCALE, d.y * SCALE],
+            getLineColor: [...color, 220],
+            getRadius: d => d.type === 'trip' ? 6 : d.radius + 3,
+            parameters: { depthTest: false }
+        }));
+    }
+
+    return layers;
+}
+
+// White ring around the node shown in the detail panel
+function createSelectionLayer(node, mode = 'cluster') {
+    if (!node || (mode !== 'geo' && node.x === undefined)) return null;
+
+    let position = [node.x * SCALE, node.y * SCALE];
+    if (mode === 'geo') {
+        if (node.type === 'city-hub') position = node.position;
+        else if (node.type === 'trip' && node.geoPosition) position = node.geoPosition;
+        else return null;
+    }
+    const isDepartment = mode !== 'geo' && node.level === 1;
+
+    // Areas of the pack / treemap / sunburst layouts get a white border instead of a ring
+    if (mode !== 'geo' && node.outline) {
+        return new deck.PolygonLayer({
+            id: 'selection-layer',
+            data: [node],
+            pickable: false,
+            stroked: true,
+            filled: false,
+            lineWidthUnits: 'pixels',
+            getPolygon: d => d.outline.map(([x, y]) => [x * SCALE, y * SCALE]),
+            getLineColor: [255, 255, 255, 230],
+            getLineWidth: 3,
+            parameters: { depthTest: false }
+        });
+    }
+
+    return new deck.ScatterplotLayer({
+        id: 'selection-layer',
+        data: [node],
+        pickable: false,
+        stroked: true,
+        filled: false,
+        getPosition: () => position,
+        getLineColor: [255, 255, 255, 230],
+        lineWidthMinPixels: 3,
+        // Top-level clusters are sized in world units, everything else in pixels
+        radiusUnits: isDepartment ? 'meters' : 'pixels',
+        radiusMinPixels: isDepartment ? 16 : 0,
+        radiusMaxPixels: isDepartment ? 320 : 100,
+        getRadius: d => isDepartment ? (d.radius || 100) * 1.15 : (d.type === 'trip' || d.type === 'city-hub' ? 12 : d.radius + 4),
+        parameters: { depthTest: false }
+    });
 }
 
 window.Layers = {
+    getNodeIndex,
     createTextLayer,
     createAllTextLayers,
-    searchNodes,
+    createGeoLayers,
     createSearchHighlightLayer,
-    getCurrentLayerInfo,
+    createBrushLayers,
+    ROUTE_HIGHLIGHT_COLOR,
+    createSelectionLayer,
     SCALE
 };
@@ -0,0 +1,298 @@
+/**
+ * Hierarchy Layouts for Carbon Emissions Network Map
+ * Pluggable strategies that place the hierarchy tree (Department → Purpose → Transport → Route by default)
+ *
+ * positionNodes hands every strategy the same tree: { children: [top-level nodes] }, where each
+ * node has id, name, depth (1 = top level), role ('top', 'upper', 'middle' or 'leaf', see hierarchy.js),
+ * emissions, children, and leaf nodes also trips. A strategy sets x/y on every node, may add an outline
+ * polygon ([[x, y], …]) showing the node's area, and gives each leaf place(random) → [x, y] for
+ * scattering its trips. options.persist = false lays out without remembering anything for later layouts.
+ */
+
+const LAYOUT_CELL = 700; // World units per department, matches the ring spiral spacing
+const LAYOUT_MIN_VALUE = 0.001; // Zero-emission leaves still get a sliver of area
+
+// Ring layout memory: departments keep their spiral slot and groups their angle across imports and reloads
+const LAYOUT_STORAGE_KEY = 'carbon-net.layout';
+let layoutMemory = loadLayoutMemory(); // { departments: { name: slot }, angles: { parentId: { child: angle } } }
+
+function loadLayoutMemory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY));
+        if (stored?.departments && stored?.angles) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable layout memory:', error);
+    }
+    return { departments: {}, angles: {} };
+}
+
+function saveLayoutMemory() {
+    try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layoutMemory));
+    } catch (error) {
+        console.warn('Could not save layout memory:', error);
+    }
+}
+
+// Pick up positions saved by another context, i.e. the ingest worker (see ingest.js)
+function reloadLayoutMemory() {
+    layoutMemory = loadLayoutMemory();
+}
+
+// Forget remembered positions; the next ring layout starts from scratch
+function resetLayoutMemory() {
+    layoutMemory = { departments: {}, angles: {} };
+    saveLayoutMemory();
+}
+
+// Known departments keep their slot; new ones take the next free slots in name order
+function assignDepartmentSlots(names, memory) {
+    // A dataset sharing no department with the remembered one starts a fresh layout
+    if (!names.some(name => memory.departments[name] !== undefined)) {
+        memory.departments = {};
+        memory.angles = {};
+    }
+
+    const slots = memory.departments;
+    let next = Object.values(slots).reduce((max, slot) => Math.max(max, slot + 1), 0);
+    names.filter(name => slots[name] === undefined).sort().forEach(name => {
+        slots[name] = next++;
+    });
+    return slots;
+}
+
+// Known children keep their angle around the parent. A first layout spreads them evenly in name order;
+// children added later go into the middle of the widest free gap
+function assignChildAngles(parentId, names, memory) {
+    const known = memory.angles[parentId] || (memory.angles[parentId] = {});
+    const added = names.filter(name => known[name] === undefined).sort();
+
+    if (Object.keys(known).length === 0) {
+        added.forEach((name, i) => { known[name] = (i * 2 * Math.PI) / added.length; });
+        return known;
+    }
+
+    added.forEach(name => {
+        const angles = Object.values(known).sort((a, b) => a - b);
+        let gapStart = angles[angles.length - 1];
+        let gapSize = angles[0] + 2 * Math.PI - gapStart;
+        for (let i = 1; i < angles.length; i++) {
+            if (angles[i] - angles[i - 1] > gapSize) {
+                gapSize = angles[i] - angles[i - 1];
+                gapStart = angles[i - 1];
+            }
+        }
+        known[name] = (gapStart + gapSize / 2) % (2 * Math.PI);
+    });
+    return known;
+}
+
+// Smallest ring radius (at least minRadius) on which neighbouring children don't overlap
+function getRingRadius(children, minRadius, gap) {
+    const sorted = [...children].sort((a, b) => a.angle - b.angle);
+    let radius = minRadius;
+    sorted.forEach((child, i) => {
+        const next = sorted[(i + 1) % sorted.length];
+        if (next === child) return;
+        let angle = next.angle - child.angle;
+        if (angle <= 0) angle += 2 * Math.PI;
+        const chord = 2 * Math.sin(Math.min(angle, Math.PI) / 2);
+        radius = Math.max(radius, (child.footprint + next.footprint + gap) / chord);
+    });
+    return radius;
+}
+
+// Random point in a circle, uniform by area
+function placeInCircle(x, y, radius) {
+    return random => {
+        const r = radius * Math.sqrt(random());
+        const angle = random() * 2 * Math.PI;
+        return [x + r * Math.cos(angle), y + r * Math.sin(angle)];
+    };
+}
+
+// Fixed-radius rings around a golden-angle spiral of departments (the original layout). Layouts that
+// aren't kept (options.persist = false, e.g. scenarios) start from the remembered positions but work on a copy
+function applyRingLayout(tree, options = {}) {
+    const persist = options.persist !== false;
+    const memory = persist ? layoutMemory : structuredClone(layoutMemory);
+    const DEPT_CLUSTER_RADIUS = 180;
+    const PURPOSE_RING_RADIUS = 75 * 0.65;
+    const TRANSPORT_RING_RADIUS = 22 * 0.6;
+    const ROUTE_SPREAD = 6 * 0.8;
+    const CLUSTER_GAP = 4; // Clearance between neighbouring clusters
+    const TRIPS_PER_ROUTE_AREA = 8; // Route clusters grow beyond this many trips
+    const angleIncrement = 137.508 * (Math.PI / 180);
+
+    // [minimum ring radius, centre a single child] around each role's children; the level above the
+    // leaves is packed like transport modes around their routes
+    const RING_SETTINGS = {
+        top: [DEPT_CLUSTER_RADIUS, false],
+        upper: [PURPOSE_RING_RADIUS, true],
+        middle: [TRANSPORT_RING_RADIUS, true]
+    };
+
+    // Measure bottom-up: each cluster's footprint is its ring plus its largest child, so rings
+    // can be widened until neighbours stop overlapping
+    const measure = node => {
+        if (node.trips) {
+            node.spread = ROUTE_SPREAD * Math.max(1, Math.sqrt(node.trips.length / TRIPS_PER_ROUTE_AREA));
+            node.footprint = node.spread + 1;
+            return;
+        }
+        node.children.forEach(measure);
+        const angles = assignChildAngles(node.id, node.children.map(child => child.name), memory);
+        node.children.forEach(child => { child.angle = angles[child.name]; });
+
+        const aboveLeaves = node.role !== 'top' && node.children.every(child => child.trips);
+        const [minRadius, centreSingle] = RING_SETTINGS[aboveLeaves ? 'middle' : node.role];
+        node.ring = centreSingle && node.children.length === 1 ? 0 : getRingRadius(node.children, minRadius, CLUSTER_GAP);
+        node.footprint = node.ring + Math.max(...node.children.map(child => child.footprint));
+    };
+    tree.children.forEach(measure);
+
+    const place = node => {
+        if (node.trips) {
+            node.place = placeInCircle(node.x, node.y, node.spread);
+            return;
+        }
+        node.children.forEach(child => {
+            child.x = node.x + node.ring * Math.cos(child.angle);
+            child.y = node.y + node.ring * Math.sin(child.angle);
+            place(child);
+        });
+    };
+
+    // Spiral of remembered slots, spaced so the largest clusters can't touch
+    const slots = assignDepartmentSlots(tree.children.map(dept => dept.name), memory);
+    const maxFootprint = Math.max(0, ...tree.children.map(dept => dept.footprint));
+    const spacing = Math.max(LAYOUT_CELL, 2 * maxFootprint + CLUSTER_GAP * 10);
+
+    tree.children.forEach(dept => {
+        const slot = slots[dept.name];
+        dept.x = spacing * Math.sqrt(slot) * Math.cos(slot * angleIncrement);
+        dept.y = spacing * Math.sqrt(slot) * Math.sin(slot * angleIncrement);
+        place(dept);
+    });
+
+    if (persist) saveLayoutMemory();
+}
+
+// d3 hierarchy of the tree with leaf emissions as values, largest first (name breaks ties)
+function toHierarchy(tree) {
+    return d3.hierarchy(tree, node => node.children)
+        .sum(node => node.trips ? Math.max(node.emissions, LAYOUT_MIN_VALUE) : 0)
+        .sort((a, b) => b.value - a.value || a.data.name.localeCompare(b.data.name));
+}
+
+function circleOutline(x, y, radius, steps = 48) {
+    return Array.from({ length: steps }, (_, i) => {
+        const angle = (i / steps) * 2 * Math.PI;
+        return [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+    });
+}
+
+// Nested circles with area proportional to emissions
+function applyPackLayout(tree) {
+    const size = LAYOUT_CELL * Math.sqrt(tree.children.length) * 1.2;
+    const root = d3.pack()
+        .size([size, size])
+        .padding(node => [40, 12, 4, 2][node.depth] ?? 1)(toHierarchy(tree));
+
+    root.descendants().forEach(node => {
+        if (node.depth === 0) return;
+        const data = node.data;
+        data.x = node.x - size / 2;
+        data.y = size / 2 - node.y;
+        data.outline = circleOutline(data.x, data.y, node.r);
+        if (data.trips) data.place = placeInCircle(data.x, data.y, node.r * 0.85);
+    });
+}
+
+// Nested rectangles with area proportional to emissions
+function applyTreemapLayout(tree) {
+    const height = LAYOUT_CELL * Math.sqrt(tree.children.length);
+    const width = height * 1.6;
+    // Padding shrinks with the cell so small groups don't collapse to a line
+    const padding = sizes => node => Math.min(sizes[node.depth] ?? 1, 0.1 * Math.min(node.x1 - node.x0, node.y1 - node.y0));
+    const root = d3.treemap()
+        .tile(d3.treemapSquarify)
+        .size([width, height])
+        .paddingInner(padding([24, 8, 3, 1]))
+        .paddingOuter(padding([0, 8, 3, 1]))(toHierarchy(tree));
+
+    root.descendants().forEach(node => {
+        if (node.depth === 0) return;
+        const data = node.data;
+        // Flip y so the first rows sit at the top of the map
+        const x0 = node.x0 - width / 2, x1 = node.x1 - width / 2;
+        const y0 = height / 2 - node.y1, y1 = height / 2 - node.y0;
+        data.x = (x0 + x1) / 2;
+        data.y = (y0 + y1) / 2;
+        data.outline = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+        if (data.trips) {
+            const insetX = (x1 - x0) * 0.1, insetY = (y1 - y0) * 0.1;
+            data.place = random => [x0 + insetX + random() * (x1 - x0 - 2 * insetX), y0 + insetY + random() * (y1 - y0 - 2 * insetY)];
+        }
+    });
+}
+
+// Concentric rings, one per level, with angle proportional to emissions
+function applySunburstLayout(tree) {
+    const radius = LAYOUT_CELL * Math.sqrt(tree.children.length) * 0.8;
+    const hierarchy = toHierarchy(tree);
+    const bands = hierarchy.height + 1; // Root is the empty centre band
+    const root = d3.partition().size([2 * Math.PI, bands])(hierarchy);
+    const toRadius = band => (radius * band) / bands;
+
+    root.descendants().forEach(node => {
+        if (node.depth === 0) return;
+        const data = node.data;
+        const pad = Math.min(0.003, (node.x1 - node.x0) / 4);
+        const a0 = node.x0 + pad, a1 = node.x1 - pad;
+        const r0 = toRadius(node.y0) + 2, r1 = toRadius(node.y1) - 2;
+        const angle = (a0 + a1) / 2, r = (r0 + r1) / 2;
+
+        data.x = r * Math.cos(angle);
+        data.y = r * Math.sin(angle);
+
+        const steps = Math.max(2, Math.ceil((a1 - a0) / 0.05));
+        const arc = (rad, from, to) => Array.from({ length: steps + 1 }, (_, i) => {
+            const a = from + ((to - from) * i) / steps;
+            return [rad * Math.cos(a), rad * Math.sin(a)];
+        });
+        data.outline = [...arc(r1, a0, a1), ...arc(r0, a1, a0)];
+
+        if (data.trips) {
+            data.place = random => {
+                const a = a0 + random() * (a1 - a0);
+                const rr = Math.sqrt(r0 * r0 + random() * (r1 * r1 - r0 * r0));
+                return [rr * Math.cos(a), rr * Math.sin(a)];
+            };
+        }
+    });
+}
+
+const LAYOUTS = {
+    rings: { label: 'Rings', apply: applyRingLayout },
+    pack: { label: 'Circle packing', apply: applyPackLayout },
+    treemap: { label: 'Treemap', apply: applyTreemapLayout },
+    sunburst: { label: 'Sunburst', apply: applySunburstLayout }
+};
+
+// Add a strategy: layout.apply(tree, options) must set x/y on every node and place() on leaves
+function registerLayout(id, layout) {
+    LAYOUTS[id] = layout;
+}
+
+function getLayout(id) {
+    return Object.hasOwn(LAYOUTS, id) ? LAYOUTS[id] : LAYOUTS.rings;
+}
+
+window.HierarchyLayouts = {
+    registerLayout,
+    getLayout,
+    resetLayoutMemory,
+    reloadLayoutMemory,
+    LAYOUTS
+};
@@ -0,0 +1,101 @@
+/**
+ * Level of Detail for Carbon Emissions Network Map
+ * Bins trips crowding the same patch of screen into aggregate markers (trip count and summed emissions);
+ * the bins shrink as the map zooms in, until every trip is drawn on its own
+ */
+
+const LOD_CELL_PIXELS = 24; // Side of a bin on screen
+const LOD_MIN_TRIPS = 5; // Bins with fewer trips draw them individually
+const LOD_ZOOM_STEP = 0.25; // Bins are rebuilt each time the zoom crosses a step
+const LOD_MIN_ZOOM_SPAN = 2; // Zoom levels after the trips appear that are always binned
+
+// Zoom at which the deepest hierarchy level (route clusters by default) appears; trips are drawn one by one from then on.
+// Shallow hierarchies put that level at a low zoom (0 with a single level), so the trips are binned for at
+// least LOD_MIN_ZOOM_SPAN after they appear
+function getLodMaxZoom() {
+    const levels = Hierarchy.getLevels();
+    return Math.max(levels[levels.length - 1].minZoom, DataProcessor.ZOOM_THRESHOLDS.trip.min + LOD_MIN_ZOOM_SPAN);
+}
+
+// Zoom rounded down to its step, so bins stay the same while zooming within one
+function getLodZoom(zoom) {
+    return Math.floor(zoom / LOD_ZOOM_STEP) * LOD_ZOOM_STEP;
+}
+
+// Node units (x / y) per screen pixel. The map shows x * scale as degrees and a web-mercator world is
+// 512 pixels wide at zoom 0; close enough vertically too for binning
+function getUnitsPerPixel(zoom, scale) {
+    return 360 / (512 * 2 ** zoom) / scale;
+}
+
+// One marker for the trips of a bin: centred on them, coloured like the trips holding most of its emissions
+function createTripAggregate(key, trips, zoom, maxZoom) {
+    let x = 0, y = 0, emissions = 0, cost = 0;
+    const colors = new Map(); // color key -> { color, emissions }
+    const departments = new Map(); // name -> emissions
+
+    trips.forEach(trip => {
+        x += trip.x;
+        y += trip.y;
+        emissions += trip.emissions;
+        cost += Number(trip.cost) || 0;
+
+        const color = Array.isArray(trip.color) ? trip.color : [200, 200, 200];
+        const colorKey = color.join(',');
+        if (!colors.has(colorKey)) colors.set(colorKey, { color, emissions: 0 });
+        colors.get(colorKey).emissions += trip.emissions;
+        departments.set(trip.department, (departments.get(trip.department) || 0) + trip.emissions);
+    });
+
+    const byEmissions = (a, b) => b.emissions - a.emissions;
+    return {
+        type: 'trip-aggregate',
+        id: `aggregate_${zoom}_${key}`,
+        name: `${trips.length.toLocaleString()} trips`,
+        x: x / trips.length,
+        y: y / trips.length,
+        trips,
+        tripCount: trips.length,
+        emissions,
+        cost,
+        color: Array.from(colors.values()).sort(byEmissions)[0].color,
+        departments: Array.from(departments, ([name, value]) => ({ name, emissions: value })).sort(byEmissions),
+        radius: Math.min(LOD_CELL_PIXELS / 2, 5 + Math.sqrt(trips.length)), // pixels
+        expandZoom: Math.min(maxZoom, zoom + 1) // Where its bin is split in four
+    };
+}
+
+// Split trips into those drawn individually and aggregates of the crowded bins at a zoom (see getLodZoom):
+// { singles: [trip], aggregates: [aggregate] }. scale converts node units to map degrees (Layers.SCALE)
+function aggregateTrips(trips, zoom, scale) {
+    const maxZoom = getLodMaxZoom();
+    if (zoom >= maxZoom) return { singles: trips, aggregates: [] };
+
+    const cellSize = LOD_CELL_PIXELS * getUnitsPerPixel(zoom, scale);
+    const cells = new Map(); // "column:row" -> trips
+    trips.forEach(trip => {
+        const key = `${Math.floor(trip.x / cellSize)}:${Math.floor(trip.y / cellSize)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(trip);
+    });
+
+    const singles = [];
+    const aggregates = [];
+    cells.forEach((cellTrips, key) => {
+        if (cellTrips.length < LOD_MIN_TRIPS) cellTrips.forEach(trip => singles.push(trip));
+        else aggregates.push(createTripAggregate(key, cellTrips, zoom, maxZoom));
+    });
+    return { singles, aggregates };
+}
+
+// Short count for a marker label, e.g. 1.2k
+function formatTripCount(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+}
+
+window.LevelOfDetail = {
+    aggregateTrips,
+    getLodZoom,
+    formatTripCount,
+    getLodMaxZoom
+};
@@ -0,0 +1,162 @@
+/**
+ * Intensity Metrics for Carbon Emissions Network Map
+ * Total emissions or kg CO₂ per trip, per euro of net cost, per km and per employee; sizes and ranks nodes by the chosen one
+ */
+
+const HEADCOUNT_STORAGE_KEY = 'carbon-net.headcount';
+
+// getValue(totals, headcount) reads the sums kept on every group (see DataProcessor.addTripTotals); null when undefined
+const METRICS = {
+    total: {
+        label: 'Total CO₂', unit: 'kg CO₂',
+        getValue: totals => totals.emissions
+    },
+    perTrip: {
+        label: 'CO₂ per trip', unit: 'kg CO₂ / trip',
+        getValue: totals => totals.tripCount > 0 ? totals.emissions / totals.tripCount : null
+    },
+    perCost: {
+        label: 'CO₂ per euro', unit: 'kg CO₂ / €',
+        getValue: totals => totals.cost > 0 ? totals.emissions / totals.cost : null
+    },
+    perKm: {
+        label: 'CO₂ per km', unit: 'kg CO₂ / km',
+        // Only trips with a known distance count towards kg per km
+        getValue: totals => totals.distance > 0 ? totals.distanceEmissions / totals.distance : null
+    },
+    perEmployee: {
+        label: 'CO₂ per employee', unit: 'kg CO₂ / employee',
+        getValue: (totals, headcount) => headcount > 0 ? totals.emissions / headcount : null
+    }
+};
+
+let headcounts = loadHeadcounts(); // { department: employees }
+
+function loadHeadcounts() {
+    try {
+        return JSON.parse(localStorage.getItem(HEADCOUNT_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable headcounts:', error);
+        return {};
+    }
+}
+
+function hasHeadcounts() {
+    return Object.keys(headcounts).length > 0;
+}
+
+// Read a headcount CSV with a department column and an employee count column
+async function importHeadcountFile(file) {
+    const rows = await DataProcessor.parseCSV(file);
+    const headers = ColumnMapping.detectHeaders(rows);
+    const find = (...keywords) => headers.find(h => keywords.some(k => h.toLowerCase().includes(k)));
+
+    const deptColumn = find('dept', 'department', 'business unit');
+    const countColumn = find('headcount', 'employees', 'fte', 'staff', 'head');
+    if (!deptColumn || !countColumn) {
+        throw new Error('Headcount file needs a department column and a headcount column');
+    }
+
+    const imported = {};
+    rows.forEach(row => {
+        const count = Validator.parseNumber(row[countColumn]);
+        if (row[deptColumn] && Number.isFinite(count) && count > 0) imported[row[deptColumn]] = count;
+    });
+    if (Object.keys(imported).length === 0) throw new Error('No department with a positive headcount found');
+
+    headcounts = imported;
+    localStorage.setItem(HEADCOUNT_STORAGE_KEY, JSON.stringify(headcounts));
+    return headcounts;
+}
+
+// Trips carry their own fields; groups and ranking rows carry summed totals
+function getTotals(node) {
+    if (node.type !== 'trip') return node;
+    const distance = node.distance > 0 ? node.distance : 0;
+    return {
+        emissions: node.emissions,
+        tripCount: 1,
+        cost: Number(node.cost) || 0,
+        distance,
+        distanceEmissions: distance > 0 ? node.emissions : 0
+    };
+}
+
+// Unknown ids (including inherited keys such as 'toString') fall back to the total
+function getMetric(metricId) {
+    return Object.hasOwn(METRICS, metricId) ? METRICS[metricId] : METRICS.total;
+}
+
+// Value of a metric for a node, or null. Per employee needs the node to sit within one department
+function getMetricValue(node, metricId) {
+    const metric = getMetric(metricId);
+    const value = metric.getValue(getTotals(node), node.department ? headcounts[node.department] : undefined);
+    return Number.isFinite(value) ? value : null;
+}
+
+function formatMetricValue(value, metricId) {
+    if (value === null || value === undefined) return 'n/a';
+    const abs = Math.abs(value);
+    const text = abs >= 100 ? Math.round(value).toLocaleString() : value.toPrecision(abs >= 1 ? 3 : 2);
+    return `${text} ${getMetric(metricId).unit}`;
+}
+
+// Copy of the graph sized by an intensity metric (colours come from ColorScales). Each hierarchy level
+// (and the trips) is scaled against its own range, so the most intense node is as big as the largest
+// emitter of that level would be; nodes without a value get the smallest size. 'total' returns the graph unchanged
+function applyMetric(graph, metricId) {
+    if (!Object.hasOwn(METRICS, metricId) || metricId === 'total') return graph;
+
+    const values = graph.nodes.map(node => getMetricValue(node, metricId));
+    const ranges = new Map(); // level (or 'trip') -> { max, maxEmissions }
+    graph.nodes.forEach((node, i) => {
+        const key = node.level || node.type;
+        const range = ranges.get(key) || { max: -Infinity, maxEmissions: 0 };
+        if (values[i] !== null) range.max = Math.max(range.max, values[i]);
+        range.maxEmissions = Math.max(range.maxEmissions, node.emissions);
+        ranges.set(key, range);
+    });
+
+    const nodes = graph.nodes.map((node, i) => {
+        const value = values[i];
+        const range = ranges.get(node.level || node.type);
+        const copy = {
+            ...node,
+            metricValue: value,
+            sizeValue: value !== null && range.max > 0 ? (value / range.max) * range.maxEmissions : 0
+        };
+        if (node.level === 1) {
+            copy.radius = DataProcessor.getDepartmentRadius(copy.sizeValue);
+            copy.textSize = DataProcessor.getDepartmentTextSize(copy.sizeValue);
+            delete copy.baselineRadius; // The baseline outline is an emissions size
+        }
+        return copy;
+    });
+
+    return { ...graph, nodes };
+}
+
+// Trips grouped by getKey(trip), most intense first (groups without a value last); department names
+// the group's department when it has one, for per-employee values
+function rankGroups(trips, getKey, metricId, department = null) {
+    const groups = new Map();
+    trips.forEach(trip => {
+        const name = getKey(trip);
+        if (!groups.has(name)) groups.set(name, { name, department: department?.(trip) || null, ...DataProcessor.createTotals() });
+        DataProcessor.addTripTotals(groups.get(name), trip);
+    });
+
+    return Array.from(groups.values())
+        .map(group => ({ ...group, value: getMetricValue(group, metricId) }))
+        .sort((a, b) => (b.value ?? -Infinity) - (a.value ?? -Infinity) || b.emissions - a.emissions);
+}
+
+window.Metrics = {
+    getMetricValue,
+    formatMetricValue,
+    applyMetric,
+    rankGroups,
+    importHeadcountFile,
+    hasHeadcounts,
+    METRICS
+};
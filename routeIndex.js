@@ -0,0 +1,164 @@
+/**
+ * Route Index for Carbon Emissions Network Map
+ * Totals every origin → destination pair across the organisation (the route clusters of the map split a route
+ * by department, purpose and mode) and lists them as a sortable leaderboard
+ */
+
+const ROUTE_LEADERBOARD_SIZES = [10, 25, 50];
+
+// Sortable columns; getValue reads an index row
+const ROUTE_COLUMNS = {
+    label: { label: 'Route', getValue: row => row.label, descending: false },
+    tripCount: { label: 'Trips', getValue: row => row.tripCount, descending: true },
+    emissions: { label: 'CO₂ kg', getValue: row => row.emissions, descending: true }
+};
+
+let routeRows = []; // Index of the trips last passed to setRouteData
+let routeSort = { column: 'emissions', descending: true };
+let routeLimit = ROUTE_LEADERBOARD_SIZES[0];
+let routeUndirected = false; // London → Paris and Paris → London count as one route
+let selectedRouteKey = null;
+let onRouteSelect = null;
+
+// Key of a trip's route; direction-agnostic keys list both cities in alphabetical order
+function getRouteKey(trip, undirected = routeUndirected) {
+    const from = trip.from || 'Unknown', to = trip.to || 'Unknown';
+    if (!undirected) return `${from} → ${to}`;
+    return from <= to ? `${from} ↔ ${to}` : `${to} ↔ ${from}`;
+}
+
+// One row per route: trip count, emissions, cost and the emissions of each transport mode (largest first)
+function buildRouteIndex(trips, undirected = false) {
+    const routes = new Map();
+    trips.forEach(trip => {
+        const key = getRouteKey(trip, undirected);
+        if (!routes.has(key)) routes.set(key, { key, label: key, tripCount: 0, emissions: 0, cost: 0, modes: new Map() });
+        const route = routes.get(key);
+        const mode = trip.transportMode || 'Other';
+        route.tripCount += 1;
+        route.emissions += trip.emissions;
+        route.cost += Number(trip.cost) || 0;
+        route.modes.set(mode, (route.modes.get(mode) || 0) + trip.emissions);
+    });
+
+    return Array.from(routes.values())
+        .map(route => ({
+            ...route,
+            modes: Array.from(route.modes.entries())
+                .map(([mode, emissions]) => ({ mode, emissions, share: route.emissions > 0 ? emissions / route.emissions : 0 }))
+                .sort((a, b) => b.emissions - a.emissions)
+        }))
+        .sort((a, b) => b.emissions - a.emissions);
+}
+
+function sortRoutes(rows, { column, descending }) {
+    const getValue = ROUTE_COLUMNS[column].getValue;
+    const direction = descending ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const x = getValue(a), y = getValue(b);
+        return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction || b.emissions - a.emissions;
+    });
+}
+
+// Whether a trip is on the selected route (false when none is selected)
+function isOnSelectedRoute(trip) {
+    return selectedRouteKey !== null && getRouteKey(trip) === selectedRouteKey;
+}
+
+function hasSelectedRoute() {
+    return selectedRouteKey !== null;
+}
+
+function setRouteData(trips) {
+    routeRows = buildRouteIndex(trips, routeUndirected);
+    renderLeaderboard();
+}
+
+function selectRoute(key) {
+    selectedRouteKey = key === selectedRouteKey ? null : key;
+    renderLeaderboard();
+    if (onRouteSelect) onRouteSelect();
+}
+
+function renderModeMix(route) {
+    return `
+        <div class="route-mix" title="${Html.escapeHTML(route.modes.map(m => `${m.mode} ${Math.round(m.share * 100)}%`).join(', '))}">
+            ${route.modes.map(m => `<span style="width: ${m.share * 100}%; background: rgb(${DataProcessor.getClusterColor('transportMode', m.mode).join(',')})"></span>`).join('')}
+        </div>
+    `;
+}
+
+function renderLeaderboard() {
+    const container = document.getElementById('route-leaderboard');
+    if (!container) return;
+
+    if (routeRows.length === 0) {
+        container.innerHTML = '<small class="empty-note">No trips to rank</small>';
+        return;
+    }
+
+    const rows = sortRoutes(routeRows, routeSort).slice(0, routeLimit);
+    const header = key => {
+        const arrow = routeSort.column === key ? (routeSort.descending ? ' ↓' : ' ↑') : '';
+        return `<th><button class="button-link" data-sort="${key}">${ROUTE_COLUMNS[key].label}${arrow}</button></th>`;
+    };
+
+    container.innerHTML = `
+        <table class="data-table savings-table route-table">
+            <thead><tr>${header('label')}${header('tripCount')}${header('emissions')}<th>Modes</th></tr></thead>
+            <tbody>
+                ${rows.map(route => `
+                    <tr class="route-row ${route.key === selectedRouteKey ? 'is-selected' : ''}" data-route="${routeRows.indexOf(route)}">
+                        <td>${Html.escapeHTML(route.label)}</td>
+                        <td>${route.tripCount.toLocaleString()}</td>
+                        <td>${Math.round(route.emissions).toLocaleString()}</td>
+                        <td>${renderModeMix(route)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <small class="empty-note">${rows.length} of ${routeRows.length.toLocaleString()} routes · click one to highlight its clusters</small>
+    `;
+
+    container.querySelectorAll('[data-sort]').forEach(button => {
+        button.addEventListener('click', () => {
+            const column = button.dataset.sort;
+            routeSort = routeSort.column === column
+                ? { column, descending: !routeSort.descending }
+                : { column, descending: ROUTE_COLUMNS[column].descending };
+            renderLeaderboard();
+        });
+    });
+    container.querySelectorAll('[data-route]').forEach(row => {
+        row.addEventListener('click', () => selectRoute(routeRows[Number(row.dataset.route)].key));
+    });
+}
+
+// onSelect() runs when the selected route changes, including when the direction setting re-keys it
+function setupRouteIndex(getTrips, onSelect) {
+    onRouteSelect = onSelect;
+
+    const limitSelect = document.getElementById('route-limit');
+    limitSelect.innerHTML = ROUTE_LEADERBOARD_SIZES.map(size => `<option value="${size}">Top ${size}</option>`).join('');
+    limitSelect.addEventListener('change', () => {
+        routeLimit = Number(limitSelect.value);
+        renderLeaderboard();
+    });
+
+    document.getElementById('route-undirected').addEventListener('change', event => {
+        routeUndirected = event.target.checked;
+        const hadSelection = selectedRouteKey !== null;
+        selectedRouteKey = null;
+        setRouteData(getTrips());
+        if (hadSelection && onRouteSelect) onRouteSelect();
+    });
+}
+
+window.RouteIndex = {
+    setupRouteIndex,
+    setRouteData,
+    buildRouteIndex,
+    getRouteKey,
+    isOnSelectedRoute,
+    hasSelectedRoute
+};
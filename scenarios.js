@@ -0,0 +1,287 @@
+/**
+ * Scenario Simulator for Carbon Emissions Network Map
+ * Rule-based what-if transformations of the trip list (mode shift, trip cuts, distance caps)
+ */
+
+// isValid(rule) checks the rule's own parameters, e.g. of rules read back from a shared link
+const RULE_TYPES = {
+    'shift-mode': {
+        label: 'Shift mode to', defaults: { toMode: 'rail' },
+        isValid: rule => typeof rule.toMode === 'string' && rule.toMode !== ''
+    },
+    'reduce-trips': {
+        label: 'Cut trips by', defaults: { share: 20 },
+        isValid: rule => Number.isFinite(rule.share) && rule.share >= 0 && rule.share <= 100
+    },
+    'cap-distance': {
+        label: 'Remove trips over', defaults: { maxKm: 2000 },
+        isValid: rule => Number.isFinite(rule.maxKm) && rule.maxKm >= 0
+    }
+};
+
+const RULE_CONDITIONS = ['department', 'purpose', 'transportMode'];
+
+// Starting points matching the questions the sustainability team asks most
+const SCENARIO_PRESETS = [
+    {
+        label: 'Internal meetings < 500 km by rail',
+        rules: [{ type: 'shift-mode', where: { purpose: 'Internal Meeting', maxKm: 500 }, toMode: 'rail' }]
+    },
+    {
+        label: 'Sales cuts customer visits 20%',
+        rules: [{ type: 'reduce-trips', where: { department: 'Sales', purpose: 'Customer Visit' }, share: 20 }]
+    },
+    {
+        label: 'No trips over 5,000 km',
+        rules: [{ type: 'cap-distance', where: {}, maxKm: 5000 }]
+    }
+];
+
+let scenarioRules = [];
+let scenarioEnabled = false;
+let scenarioOptions = { department: [], purpose: [], transportMode: [] }; // values offered in the rule builder
+let modeLabelCounts = new Map(); // trips per transport mode label in the data
+let onScenarioChange = null;
+
+// Distance in km from the trip itself or its geocoded cities
+function getTripDistance(trip) {
+    if (trip.distance) return trip.distance;
+    const from = Geo.geocodeCity(trip.from);
+    const to = Geo.geocodeCity(trip.to);
+    return from && to ? Geo.getDistanceKm(from, to) : null;
+}
+
+function matchesRule(trip, where) {
+    if (where.department && trip.department !== where.department) return false;
+    if (where.purpose && trip.purpose !== where.purpose) return false;
+    if (where.transportMode && trip.transportMode !== where.transportMode) return false;
+    if (where.maxKm) {
+        const distance = getTripDistance(trip);
+        if (distance === null || distance >= where.maxKm) return false;
+    }
+    return true;
+}
+
+// Stable pseudo-random number in [0, 1) per trip, so the same trips are cut on every run
+function getTripFraction(trip) {
+    return parseInt(DataProcessor.hashString(trip.id), 36) / 0xffffffff;
+}
+
+// Label for a shifted trip: the data's most used label for that mode (e.g. "Train" for rail), so shifted trips join its cluster
+function getModeLabel(mode, set) {
+    let best = null;
+    modeLabelCounts.forEach((count, label) => {
+        if (EmissionEngine.resolveMode(label, set) === mode && (!best || count > modeLabelCounts.get(best))) best = label;
+    });
+    return best || mode.charAt(0).toUpperCase() + mode.slice(1);
+}
+
+// Apply every rule in order; returns a transformed copy of the trip or null when it's removed
+function transformTrip(trip) {
+    const set = EmissionEngine.getActiveFactorSet();
+    let result = trip;
+
+    for (const rule of scenarioRules) {
+        if (!matchesRule(result, rule.where || {})) continue;
+
+        if (rule.type === 'reduce-trips') {
+            if (getTripFraction(trip) < rule.share / 100) return null;
+        } else if (rule.type === 'cap-distance') {
+            const distance = getTripDistance(result);
+            if (distance !== null && distance > rule.maxKm) return null;
+        } else if (rule.type === 'shift-mode') {
+            if (!set || EmissionEngine.resolveMode(result.transportMode, set) === rule.toMode) continue;
+            const estimate = EmissionEngine.estimateTripForMode(result, rule.toMode);
+            if (!estimate) continue;
+            result = {
+                ...result,
+                transportMode: getModeLabel(rule.toMode, set),
+                emissions: estimate.emissions,
+                emissionSource: 'scenario',
+                baselineEmissions: trip.emissions,
+                baselineMode: trip.transportMode
+            };
+        }
+    }
+
+    return result;
+}
+
+function isScenarioActive() {
+    return scenarioEnabled && scenarioRules.length > 0;
+}
+
+// Baseline vs scenario totals, overall and per department
+function compareScenario(baseline, scenario) {
+    const scenarioByDept = new Map(scenario.departments.map(dept => [dept.name, dept]));
+    const departments = baseline.departments.map(dept => {
+        const after = scenarioByDept.get(dept.name);
+        const scenarioEmissions = after ? after.emissions : 0;
+        return {
+            name: dept.name,
+            color: dept.color,
+            baseline: dept.emissions,
+            scenario: scenarioEmissions,
+            savings: dept.emissions - scenarioEmissions,
+            tripsRemoved: dept.tripCount - (after ? after.tripCount : 0)
+        };
+    }).sort((a, b) => b.savings - a.savings);
+
+    return {
+        baseline: baseline.totalEmissions,
+        scenario: scenario.totalEmissions,
+        savings: baseline.totalEmissions - scenario.totalEmissions,
+        tripsRemoved: baseline.counts.trips - scenario.counts.trips,
+        departments
+    };
+}
+
+// Offer the data's departments, purposes and modes as rule conditions
+function setScenarioOptions(trips) {
+    const unique = key => Array.from(new Set(trips.map(trip => trip[key]))).sort();
+    scenarioOptions = {
+        department: unique('department'),
+        purpose: unique('purpose'),
+        transportMode: unique('transportMode')
+    };
+    modeLabelCounts = d3.rollup(trips, group => group.length, trip => trip.transportMode);
+    renderScenarioRules();
+}
+
+function notifyScenarioChange() {
+    renderScenarioRules();
+    if (onScenarioChange) onScenarioChange();
+}
+
+function renderScenarioRules() {
+    const container = document.getElementById('scenario-rules');
+    if (!container) return;
+
+    const set = EmissionEngine.getActiveFactorSet();
+    const modes = set ? Object.keys(set.modes) : [];
+    const select = (field, values, value, anyLabel) => `
+        <select data-field="${field}">
+            ${anyLabel ? `<option value="">${anyLabel}</option>` : ''}
+            ${values.map(v => `<option value="${Html.escapeHTML(v)}" ${v === value ? 'selected' : ''}>${Html.escapeHTML(v)}</option>`).join('')}
+        </select>
+    `;
+
+    container.innerHTML = scenarioRules.map((rule, i) => {
+        const where = rule.where || {};
+        let action = '';
+        if (rule.type === 'shift-mode') action = select('toMode', modes, rule.toMode);
+        if (rule.type === 'reduce-trips') action = `<input type="number" class="text-input" data-field="share" min="0" max="100" value="${rule.share}"><span>%</span>`;
+        if (rule.type === 'cap-distance') action = `<input type="number" class="text-input" data-field="maxKm" min="0" step="100" value="${rule.maxKm}"><span>km</span>`;
+
+        return `
+            <div class="scenario-rule" data-index="${i}">
+                <div class="scenario-rule-header">
+                    <span class="facet-title">${RULE_TYPES[rule.type].label}</span>
+                    <button class="source-remove" data-action="remove" title="Remove rule">×</button>
+                </div>
+                <div class="scenario-action">${action}</div>
+                <div class="scenario-conditions">
+                    ${select('department', scenarioOptions.department, where.department, 'Any department')}
+                    ${select('purpose', scenarioOptions.purpose, where.purpose, 'Any purpose')}
+                    ${select('transportMode', scenarioOptions.transportMode, where.transportMode, 'Any mode')}
+                    <label class="scenario-km">under <input type="number" class="text-input" data-field="whereMaxKm" min="0" step="50" value="${where.maxKm || ''}" placeholder="any"> km</label>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.scenario-rule').forEach(element => {
+        const rule = scenarioRules[Number(element.dataset.index)];
+
+        element.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            scenarioRules.splice(Number(element.dataset.index), 1);
+            notifyScenarioChange();
+        });
+
+        element.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                const value = input.value;
+                rule.where = rule.where || {};
+                if (field === 'whereMaxKm') rule.where.maxKm = Number(value) || null;
+                else if (RULE_CONDITIONS.includes(field)) rule.where[field] = value || null;
+                else if (field === 'toMode') rule.toMode = value;
+                else rule[field] = Number(value) || 0;
+                if (onScenarioChange) onScenarioChange();
+            });
+        });
+    });
+
+    document.getElementById('scenario-empty')?.classList.toggle('is-hidden', scenarioRules.length > 0);
+}
+
+function addScenarioRule(type) {
+    scenarioRules.push({ type, where: {}, ...RULE_TYPES[type].defaults });
+    scenarioEnabled = true;
+    document.getElementById('scenario-enabled').checked = true;
+    notifyScenarioChange();
+}
+
+function getScenarioRules() {
+    return scenarioRules.map(rule => ({ ...rule, where: { ...rule.where } }));
+}
+
+// Copy of a rule with its conditions cleaned up, or null when its type or parameters are unknown or broken
+function readScenarioRule(rule) {
+    const type = Object.prototype.hasOwnProperty.call(RULE_TYPES, rule?.type) ? RULE_TYPES[rule.type] : null;
+    if (!type || !type.isValid(rule)) return null;
+
+    const where = {};
+    RULE_CONDITIONS.forEach(key => {
+        if (typeof rule.where?.[key] === 'string' && rule.where[key] !== '') where[key] = rule.where[key];
+    });
+    if (Number.isFinite(rule.where?.maxKm) && rule.where.maxKm > 0) where.maxKm = rule.where.maxKm;
+
+    const params = Object.fromEntries(Object.keys(type.defaults).map(key => [key, rule[key]]));
+    return { type: rule.type, where, ...params };
+}
+
+// Rules can come from a hand-edited or outdated link; those that can't be read are dropped
+function setScenarioRules(rules, enabled = true) {
+    scenarioRules = (Array.isArray(rules) ? rules : []).map(readScenarioRule).filter(Boolean);
+    scenarioEnabled = enabled && scenarioRules.length > 0;
+    const checkbox = document.getElementById('scenario-enabled');
+    if (checkbox) checkbox.checked = scenarioEnabled;
+    renderScenarioRules();
+}
+
+function setupScenarios(callback) {
+    onScenarioChange = callback;
+
+    document.getElementById('scenario-add').addEventListener('change', (e) => {
+        if (e.target.value) addScenarioRule(e.target.value);
+        e.target.value = '';
+    });
+
+    const presets = document.getElementById('scenario-preset');
+    presets.innerHTML = '<option value="">Presets…</option>' +
+        SCENARIO_PRESETS.map((preset, i) => `<option value="${i}">${preset.label}</option>`).join('');
+    presets.addEventListener('change', () => {
+        const preset = SCENARIO_PRESETS[Number(presets.value)];
+        presets.value = '';
+        if (!preset) return;
+        setScenarioRules(preset.rules);
+        if (onScenarioChange) onScenarioChange();
+    });
+
+    document.getElementById('scenario-enabled').addEventListener('change', (e) => {
+        scenarioEnabled = e.target.checked;
+        if (onScenarioChange) onScenarioChange();
+    });
+}
+
+window.Scenarios = {
+    setupScenarios,
+    setScenarioOptions,
+    transformTrip,
+    isScenarioActive,
+    compareScenario,
+    getScenarioRules,
+    setScenarioRules,
+    RULE_TYPES
+};
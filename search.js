@@ -0,0 +1,467 @@
+/**
+ * Search for Carbon Emissions Network Map
+ * Query syntax (dept:Sales mode:Air emissions>500 from:Berlin), typo-tolerant matching, autocomplete from the
+ * loaded values, a results dropdown grouped by node type and next / previous navigation through the matches
+ */
+
+// Fields a query can filter by. Text fields match like free words; numeric ones take :, =, <, <=, > or >=.
+// Clusters carry the values of their own and enclosing levels, so dept:Sales also finds Sales' purpose clusters
+const SEARCH_FIELDS = {
+    dept: { label: 'Department', aliases: ['department'], getValue: node => node.department },
+    purpose: { label: 'Purpose', getValue: node => node.purpose },
+    mode: { label: 'Transport mode', aliases: ['transport'], getValue: node => node.transportMode },
+    from: { label: 'Departure city', getValue: node => node.from ?? splitRoute(node.route)[0] },
+    to: { label: 'Arrival city', getValue: node => node.to ?? splitRoute(node.route)[1] },
+    route: { label: 'Route', getValue: node => node.route },
+    source: { label: 'Source file', aliases: ['file'], getValue: node => node.source },
+    type: { label: 'Node type', getValue: node => getResultGroupLabel(node.type, false) },
+    emissions: { label: 'kg CO₂', aliases: ['co2'], numeric: true, getValue: node => node.emissions },
+    cost: { label: 'Net cost', numeric: true, getValue: node => Number(node.cost) || 0 },
+    distance: { label: 'km', numeric: true, getValue: node => node.distance },
+    trips: { label: 'Trip count', numeric: true, getValue: node => (node.type === 'trip' ? 1 : node.tripCount) }
+};
+
+// Node values free words are matched against
+const SEARCH_TEXT_FIELDS = ['name', 'department', 'purpose', 'transportMode', 'route'];
+
+const SEARCH_DEBOUNCE_MS = 200;
+const SEARCH_GROUP_ROWS = 5; // Results listed per node type
+const SEARCH_SUGGESTIONS = 8;
+
+let searchFieldByName = null; // Name or alias -> field id
+let searchNodeList = [];
+let searchResults = null; // Ranked matches of the current query, or null without one
+let activeResult = -1; // Index into the navigable results
+let suggestionList = [];
+let activeSuggestion = -1;
+let onSearchChange = null;
+let onSearchNavigate = null;
+let canNavigateTo = () => true;
+
+function splitRoute(route) {
+    return route ? route.split(' → ') : [];
+}
+
+function getFieldId(name) {
+    if (!searchFieldByName) {
+        searchFieldByName = new Map();
+        Object.entries(SEARCH_FIELDS).forEach(([id, field]) => {
+            [id, ...(field.aliases || [])].forEach(alias => searchFieldByName.set(alias, id));
+        });
+    }
+    return searchFieldByName.get(name.toLowerCase()) || null;
+}
+
+// Lower case without accents, so "koln" finds Köln
+function normalizeText(text) {
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Edits (insertions, deletions, substitutions, swaps of neighbours) between two strings; anything over max
+// returns max + 1
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = [], row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const before = previous;
+        previous = row;
+        row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], before[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+    }
+    return Math.min(row[b.length], max + 1);
+}
+
+// How well a value matches a searched word: 3 exactly, 2 at the start of a word, 1.5 anywhere, below 1 within
+// a typo or two (one from 4 letters, two from 8), 0 not at all
+function scoreText(value, needle) {
+    if (value === null || value === undefined || value === '') return 0;
+    const text = normalizeText(value);
+    const query = normalizeText(needle);
+    if (!query) return 1;
+    if (text === query) return 3;
+
+    const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+    if (text.startsWith(query) || words.some(word => word.startsWith(query))) return 2;
+    if (text.includes(query)) return 1.5;
+
+    const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+    if (allowed === 0) return 0;
+    // A typo in the whole value, in a word, or in the start of a longer word
+    const distance = Math.min(...[text, ...words].map(word => Math.min(
+        editDistance(word, query, allowed),
+        word.length > query.length ? editDistance(word.slice(0, query.length), query, allowed) : Infinity
+    )));
+    return distance <= allowed ? 1 - distance * 0.25 : 0;
+}
+
+// 1.5k -> 1500; NaN when not a number
+function parseQueryNumber(text) {
+    const match = String(text).replace(/,/g, '').match(/^(-?\d*\.?\d+)(k|m)?$/i);
+    if (!match) return NaN;
+    const factor = { k: 1000, m: 1000000 }[match[2]?.toLowerCase()] || 1;
+    return Number(match[1]) * factor;
+}
+
+// { terms: [word], filters: [{ field, op, value, negate }] }. Quotes keep spaces ("New York", from:"New York");
+// a leading - excludes matches of a filter; unknown field names are searched as free words
+function parseQuery(text) {
+    const query = { terms: [], filters: [] };
+    const pattern = /(-?)([A-Za-z][\w]*)(>=|<=|:|=|>|<)("[^"]*"?|\S*)|"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        const [token, negate, name, op, rawValue, quoted, word] = match;
+        const fieldId = name ? getFieldId(name) : null;
+        if (fieldId) {
+            const value = rawValue.replace(/^"|"$/g, '');
+            if (value === '') continue; // Still being typed
+            const field = SEARCH_FIELDS[fieldId];
+            if (field.numeric) {
+                const number = parseQueryNumber(value);
+                if (!Number.isNaN(number)) query.filters.push({ field: fieldId, op, value: number, negate: Boolean(negate) });
+            } else if (op === ':' || op === '=') {
+                query.filters.push({ field: fieldId, op, value, negate: Boolean(negate) });
+            }
+            continue;
+        }
+        const term = quoted ?? word ?? token;
+        if (term.trim()) query.terms.push(term.trim());
+    }
+    return query;
+}
+
+function compareNumber(value, op, target) {
+    if (!Number.isFinite(value)) return false;
+    switch (op) {
+        case '>': return value > target;
+        case '>=': return value >= target;
+        case '<': return value < target;
+        case '<=': return value <= target;
+        default: return Math.abs(value - target) < 0.5;
+    }
+}
+
+// Score of a node for a parsed query (0 when it doesn't match). scoreValue(value, needle) caches scoreText
+function scoreNode(node, query, scoreValue) {
+    let score = 1; // A match on excluding filters only still counts
+    for (const filter of query.filters) {
+        const field = SEARCH_FIELDS[filter.field];
+        const value = field.getValue(node);
+        const fieldScore = field.numeric
+            ? (compareNumber(value, filter.op, filter.value) ? 1 : 0)
+            : scoreValue(value, filter.value);
+        if ((fieldScore > 0) === filter.negate) return 0;
+        if (!filter.negate) score += fieldScore;
+    }
+    for (const term of query.terms) {
+        const termScore = Math.max(...SEARCH_TEXT_FIELDS.map(key => scoreValue(node[key], term)));
+        if (termScore === 0) return 0;
+        score += termScore;
+    }
+    return score;
+}
+
+// Nodes matching a query, best first (then top levels before deeper ones and trips, then by emissions);
+// null for an empty query
+function searchNodes(nodes, text) {
+    const query = parseQuery(text);
+    if (query.terms.length === 0 && query.filters.length === 0) return null;
+
+    // Most nodes share a handful of departments, modes and cities, so each value is scored once
+    const cache = new Map();
+    const scoreValue = (value, needle) => {
+        if (value === null || value === undefined) return 0;
+        const key = `${needle}\u0000${value}`;
+        if (!cache.has(key)) cache.set(key, scoreText(value, needle));
+        return cache.get(key);
+    };
+
+    const depth = node => (node.type === 'trip' ? Infinity : node.level || 0);
+    return nodes
+        .map(node => ({ node, score: scoreNode(node, query, scoreValue) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || depth(a.node) - depth(b.node) || b.node.emissions - a.node.emissions)
+        .map(result => result.node);
+}
+
+// Distinct values of each text field among the trips, most frequent first
+const fieldValueCache = new WeakMap();
+function getFieldValues(nodes) {
+    if (fieldValueCache.has(nodes)) return fieldValueCache.get(nodes);
+    const counts = new Map(); // field id -> value -> trip count
+    nodes.forEach(node => {
+        if (node.type !== 'trip') return;
+        Object.entries(SEARCH_FIELDS).forEach(([id, field]) => {
+            if (field.numeric || id === 'type') return;
+            const value = field.getValue(node);
+            if (value === null || value === undefined || value === '') return;
+            if (!counts.has(id)) counts.set(id, new Map());
+            counts.get(id).set(value, (counts.get(id).get(value) || 0) + 1);
+        });
+    });
+    const values = new Map(Array.from(counts, ([id, byValue]) => [
+        id,
+        Array.from(byValue, ([value, count]) => ({ value: String(value), count })).sort((a, b) => b.count - a.count)
+    ]));
+    fieldValueCache.set(nodes, values);
+    return values;
+}
+
+function quoteValue(value) {
+    return /\s/.test(value) ? `"${value}"` : value;
+}
+
+// Completions for the word being typed before the cursor: values of the field being filtered, otherwise field
+// names and field:value pairs matching the word. Each is { label, detail, start, end, text } and replaces
+// text.slice(start, end)
+function getSuggestions(text, cursor, nodes) {
+    const before = text.slice(0, cursor);
+    const valueMatch = before.match(/(^|\s)(-?)([A-Za-z]\w*)(:|=)(?:(")([^"]*)|([^"\s]*))$/);
+    const fieldValues = getFieldValues(nodes);
+    const rank = (entries, needle) => entries
+        .map(entry => ({ ...entry, score: needle ? scoreText(entry.value, needle) : 1 }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || b.count - a.count);
+
+    if (valueMatch) {
+        const [, , negate, name, op, quote = '', quotedPartial, plainPartial] = valueMatch;
+        const partial = quotedPartial ?? plainPartial;
+        const fieldId = getFieldId(name);
+        if (fieldId && !SEARCH_FIELDS[fieldId].numeric) {
+            const start = cursor - (negate + name + op + quote + partial).length;
+            const values = fieldId === 'type'
+                ? [...Hierarchy.getLevels().map(level => level.label), 'Trip'].map(value => ({ value, count: 0 }))
+                : fieldValues.get(fieldId) || [];
+            return rank(values, partial).slice(0, SEARCH_SUGGESTIONS).map(entry => ({
+                label: entry.value,
+                detail: entry.count > 0 ? `${entry.count.toLocaleString()} trips` : SEARCH_FIELDS[fieldId].label,
+                start,
+                end: cursor,
+                text: `${negate}${name}${op}${quoteValue(entry.value)} `
+            }));
+        }
+    }
+
+    const word = before.match(/(-?)([^\s"]*)$/);
+    if (!word || word[2].length === 0) return [];
+    const [token, negate, partial] = word;
+    const start = cursor - token.length;
+    const lower = partial.toLowerCase();
+
+    const fields = Object.entries(SEARCH_FIELDS)
+        .filter(([id]) => id.startsWith(lower) && id !== lower)
+        .map(([id, field]) => ({
+            label: `${id}${field.numeric ? '>' : ':'}`,
+            detail: field.label,
+            start,
+            end: cursor,
+            text: `${negate}${id}${field.numeric ? '>' : ':'}`
+        }));
+
+    const values = partial.length < 2 ? [] : ['dept', 'purpose', 'mode', 'from', 'to']
+        .flatMap(id => rank(fieldValues.get(id) || [], partial).slice(0, 3).map(entry => ({ ...entry, id })))
+        .sort((a, b) => b.score - a.score || b.count - a.count)
+        .map(entry => ({
+            label: `${entry.id}:${entry.value}`,
+            detail: `${entry.count.toLocaleString()} trips`,
+            start,
+            end: cursor,
+            text: `${negate}${entry.id}:${quoteValue(entry.value)} `
+        }));
+
+    return [...fields, ...values].slice(0, SEARCH_SUGGESTIONS);
+}
+
+// Heading of a node type in the results, e.g. Departments; singular for the type: field
+function getResultGroupLabel(type, plural = true) {
+    if (type === 'trip') return plural ? 'Trips' : 'Trip';
+    const level = Hierarchy.getLevelByType(type);
+    return (plural ? level?.plural : level?.label) || type;
+}
+
+function getResultLabel(node) {
+    return node.type === 'trip' ? `${node.route} · ${node.department}` : node.name;
+}
+
+function getNavigableResults() {
+    return (searchResults || []).filter(node => canNavigateTo(node));
+}
+
+function renderSearchNav() {
+    const nav = document.getElementById('search-nav');
+    if (!nav) return;
+    nav.classList.toggle('is-hidden', searchResults === null);
+    if (searchResults === null) return;
+
+    const navigable = getNavigableResults();
+    document.getElementById('search-count').textContent = searchResults.length === 0
+        ? 'No matches'
+        : `${activeResult >= 0 ? `${activeResult + 1} / ` : ''}${navigable.length.toLocaleString()} match${navigable.length === 1 ? '' : 'es'}`;
+    document.getElementById('search-prev').disabled = navigable.length === 0;
+    document.getElementById('search-next').disabled = navigable.length === 0;
+}
+
+function renderSearchDropdown() {
+    const dropdown = document.getElementById('search-dropdown');
+    const input = document.getElementById('text-search');
+    if (!dropdown || !input) return;
+
+    const isOpen = document.activeElement === input && (suggestionList.length > 0 || searchResults !== null);
+    dropdown.classList.toggle('is-hidden', !isOpen);
+    if (!isOpen) return;
+
+    const suggestions = suggestionList.length === 0 ? '' : `
+        <div class="search-section">Suggestions</div>
+        ${suggestionList.map((suggestion, i) => `
+            <div class="search-option ${i === activeSuggestion ? 'is-active' : ''}" data-suggestion="${i}">
+                <span class="search-option-label">${Html.escapeHTML(suggestion.label)}</span>
+                <span class="search-option-detail">${Html.escapeHTML(suggestion.detail)}</span>
+            </div>
+        `).join('')}
+    `;
+
+    // Top levels first, trips last
+    const depth = node => (node.type === 'trip' ? Infinity : node.level || 0);
+    const groups = d3.groups(searchResults || [], node => node.type)
+        .sort((a, b) => depth(a[1][0]) - depth(b[1][0]));
+    const navigable = getNavigableResults();
+    const results = groups.map(([type, nodes]) => `
+        <div class="search-section">${Html.escapeHTML(getResultGroupLabel(type))} · ${nodes.length.toLocaleString()}</div>
+        ${nodes.slice(0, SEARCH_GROUP_ROWS).map(node => `
+            <div class="search-option ${navigable[activeResult] === node ? 'is-active' : ''}" data-result="${searchResults.indexOf(node)}">
+                <span class="search-option-label">${Html.escapeHTML(getResultLabel(node))}</span>
+                <span class="search-option-detail">${Math.round(node.emissions).toLocaleString()} kg</span>
+            </div>
+        `).join('')}
+        ${nodes.length > SEARCH_GROUP_ROWS ? `<small class="empty-note">+ ${(nodes.length - SEARCH_GROUP_ROWS).toLocaleString()} more</small>` : ''}
+    `).join('');
+
+    dropdown.innerHTML = suggestions + (searchResults && searchResults.length === 0
+        ? '<small class="empty-note">No matches</small>'
+        : results);
+}
+
+function updateSuggestions() {
+    const input = document.getElementById('text-search');
+    suggestionList = getSuggestions(input.value, input.selectionStart ?? input.value.length, searchNodeList);
+    activeSuggestion = -1;
+    renderSearchDropdown();
+}
+
+function applySuggestion(suggestion) {
+    const input = document.getElementById('text-search');
+    input.value = input.value.slice(0, suggestion.start) + suggestion.text + input.value.slice(suggestion.end);
+    const cursor = suggestion.start + suggestion.text.length;
+    input.setSelectionRange(cursor, cursor);
+    input.focus();
+    updateSuggestions();
+    if (onSearchChange) onSearchChange();
+}
+
+// Step through the navigable matches (wrapping around) and hand the match to onNavigate
+function stepResult(direction) {
+    const navigable = getNavigableResults();
+    if (navigable.length === 0) return;
+    activeResult = activeResult < 0
+        ? (direction > 0 ? 0 : navigable.length - 1)
+        : (activeResult + direction + navigable.length) % navigable.length;
+    renderSearchNav();
+    renderSearchDropdown();
+    if (onSearchNavigate) onSearchNavigate(navigable[activeResult]);
+}
+
+function pickResult(node) {
+    const index = getNavigableResults().indexOf(node);
+    if (index === -1) return;
+    activeResult = index;
+    renderSearchNav();
+    renderSearchDropdown();
+    if (onSearchNavigate) onSearchNavigate(node);
+}
+
+// Run the query in the search box against nodes (the ones on the map); returns the matches, or null without a query
+function setSearchData(nodes) {
+    const input = document.getElementById('text-search');
+    const previous = getNavigableResults()[activeResult];
+    searchNodeList = nodes;
+    searchResults = searchNodes(nodes, input ? input.value : '');
+    activeResult = previous ? getNavigableResults().findIndex(node => node.id === previous.id) : -1;
+    renderSearchNav();
+    renderSearchDropdown();
+    return searchResults;
+}
+
+// onChange() runs (debounced) when the query changes; onNavigate(node) when a match is picked or stepped to.
+// canNavigate(node) tells whether the camera can go to a node in the current view
+function setupSearch(onChange, onNavigate, canNavigate) {
+    onSearchChange = onChange;
+    onSearchNavigate = onNavigate;
+    canNavigateTo = canNavigate;
+
+    const input = document.getElementById('text-search');
+    const dropdown = document.getElementById('search-dropdown');
+    let searchTimeout;
+    input.addEventListener('input', () => {
+        updateSuggestions();
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => onSearchChange(), SEARCH_DEBOUNCE_MS);
+    });
+    input.addEventListener('focus', updateSuggestions);
+    input.addEventListener('click', updateSuggestions);
+    input.addEventListener('blur', () => dropdown.classList.add('is-hidden'));
+
+    // Arrows pick a suggestion, Enter or Tab takes it; Enter without one steps to the next match (Shift: previous)
+    input.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (suggestionList.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeSuggestion = (activeSuggestion + step + suggestionList.length + 1) % (suggestionList.length + 1);
+            if (activeSuggestion === suggestionList.length) activeSuggestion = -1;
+            renderSearchDropdown();
+        } else if ((event.key === 'Enter' || event.key === 'Tab') && activeSuggestion >= 0) {
+            event.preventDefault();
+            applySuggestion(suggestionList[activeSuggestion]);
+        } else if (event.key === 'Tab' && suggestionList.length > 0 && !event.shiftKey) {
+            event.preventDefault();
+            applySuggestion(suggestionList[0]);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            clearTimeout(searchTimeout);
+            onSearchChange();
+            stepResult(event.shiftKey ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            suggestionList = [];
+            dropdown.classList.add('is-hidden');
+        }
+    });
+
+    // Keep the focus in the box while clicking the dropdown
+    dropdown.addEventListener('mousedown', event => event.preventDefault());
+    dropdown.addEventListener('click', event => {
+        const option = event.target.closest('.search-option');
+        if (!option) return;
+        if (option.dataset.suggestion !== undefined) applySuggestion(suggestionList[Number(option.dataset.suggestion)]);
+        else pickResult(searchResults[Number(option.dataset.result)]);
+    });
+
+    document.getElementById('search-prev').addEventListener('click', () => stepResult(-1));
+    document.getElementById('search-next').addEventListener('click', () => stepResult(1));
+}
+
+window.Search = {
+    setupSearch,
+    setSearchData,
+    searchNodes,
+    parseQuery,
+    getSuggestions,
+    SEARCH_FIELDS
+};
@@ -0,0 +1,304 @@
+/**
+ * Snapshot Export for Carbon Emissions Network Map
+ * High-resolution PNG of the current view, or SVG/PDF vectors of the cluster layout, with
+ * title, legend and metrics composited in
+ */
+
+const SNAPSHOT_MAX_PIXELS = 8192; // Largest canvas side most browsers will allocate
+const SNAPSHOT_BACKGROUND = '#0f172a';
+const SNAPSHOT_PANEL = 'rgba(15, 23, 42, 0.85)';
+const SNAPSHOT_LEGEND_ROWS = 12;
+
+let getSnapshotContext = null;
+let snapshotFormat = 'png';
+
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function rgb(color, alpha = 1) {
+    return `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${alpha})`;
+}
+
+// Title block, legend and metrics as plain shapes in CSS pixels, drawn by both the PNG and SVG writers
+function buildOverlayShapes(context, width, height, title) {
+    const shapes = [];
+    const text = (x, y, value, size, options = {}) => shapes.push({ type: 'text', x, y, text: value, size, ...options });
+
+    // Title block (top left)
+    const details = context.details.filter(Boolean);
+    shapes.push({ type: 'rect', x: 24, y: 24, width: 380, height: 64 + details.length * 16, fill: SNAPSHOT_PANEL });
+    text(40, 52, title, 20, { weight: 700, fill: '#f8fafc' });
+    text(40, 72, new Date().toLocaleString(), 12, { fill: '#94a3b8' });
+    details.forEach((line, i) => text(40, 90 + i * 16, line, 12, { fill: '#94a3b8' }));
+
+    // Legend (top right)
+    // Hidden legend entries aren't on the map; long category lists are cut short
+    const visibleItems = context.legend.items.filter(item => item.state !== 'hidden');
+    const legend = {
+        title: context.legend.title,
+        items: visibleItems.slice(0, SNAPSHOT_LEGEND_ROWS),
+        more: context.legend.more + Math.max(0, visibleItems.length - SNAPSHOT_LEGEND_ROWS)
+    };
+    const legendRows = legend.items.length + (legend.more > 0 ? 1 : 0);
+    const legendX = width - 24 - 220;
+    shapes.push({ type: 'rect', x: legendX, y: 24, width: 220, height: 48 + legendRows * 22, fill: SNAPSHOT_PANEL });
+    text(legendX + 16, 48, legend.title.toUpperCase(), 11, { weight: 600, fill: '#94a3b8' });
+    legend.items.forEach((item, i) => {
+        shapes.push({ type: 'circle', x: legendX + 21, y: 68 + i * 22, r: 5, fill: rgb(item.color) });
+        text(legendX + 34, 72 + i * 22, item.label, 12, { fill: '#f8fafc' });
+    });
+    if (legend.more > 0) text(legendX + 16, 72 + legend.items.length * 22, `+ ${legend.more} more`, 11, { fill: '#94a3b8' });
+
+    // Metrics (bottom left)
+    const metricWidth = 170;
+    const metricsY = height - 24 - 64;
+    shapes.push({ type: 'rect', x: 24, y: metricsY, width: 32 + context.metrics.length * metricWidth, height: 64, fill: SNAPSHOT_PANEL });
+    context.metrics.forEach((metric, i) => {
+        text(40 + i * metricWidth, metricsY + 24, metric.label.toUpperCase(), 11, { fill: '#94a3b8' });
+        text(40 + i * metricWidth, metricsY + 48, metric.value, 18, { weight: 700, fill: '#f8fafc' });
+    });
+
+    return shapes;
+}
+
+// Group cluster styles by hierarchy role, matching Layers.createGroupHighlightLayer / createGroupLabelLayer
+const SNAPSHOT_GROUP_STYLES = {
+    upper: { opacity: 0.2, labelSize: zoom => Math.max(8, 14 - zoom * 0.3), labelFill: '#e2e8f0', labelMaxZoom: 12 },
+    middle: { opacity: 0.3, stroke: 'rgba(255, 255, 255, 0.4)', labelSize: zoom => Math.max(6, 12 - zoom * 0.2), labelFill: '#cbd5e1', labelMaxZoom: 12 },
+    leaf: { opacity: 0.4, stroke: 'rgba(255, 255, 255, 0.6)', labelSize: zoom => Math.max(5, 10 - zoom * 0.15), labelFill: '#f8fafc', labelMaxZoom: Infinity }
+};
+
+// Cluster layout as vector shapes, projected through the current viewport like the deck layers
+function buildClusterShapes(context, viewport) {
+    const { nodes, zoom, options } = context;
+    const SCALE = Layers.SCALE;
+    const [topLevel, ...groupLevels] = Hierarchy.getLevels();
+    const pixelsPerMeter = viewport.getDistanceScales().unitsPerMeter[0] * viewport.scale;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    const shapes = [];
+
+    const project = node => viewport.project([node.x * SCALE, node.y * SCALE]);
+    const isVisible = ([x, y], r) => x + r >= 0 && x - r <= viewport.width && y + r >= 0 && y - r <= viewport.height;
+    const circles = (matches, getRadius, style) => nodes.forEach(node => {
+        if (!matches(node)) return;
+        const [x, y] = project(node);
+        const r = getRadius(node);
+        if (isVisible([x, y], r)) shapes.push({ type: 'circle', x, y, r, ...style(node) });
+    });
+    const labels = (matches, size, style) => nodes.forEach(node => {
+        if (!matches(node)) return;
+        const [x, y] = project(node);
+        if (isVisible([x, y], 0)) shapes.push({ type: 'text', x, y: y + size * 0.35, text: node.name, size, anchor: 'middle', ...style(node) });
+    });
+
+    // Same order and zoom bands as Layers.createAllTextLayers
+    nodes.forEach(node => {
+        if (!node.outline || !node.level || zoom < DataProcessor.ZOOM_THRESHOLDS[node.type].min) return;
+        const points = node.outline.map(([x, y]) => viewport.project([x * SCALE, y * SCALE]));
+        const xs = points.map(point => point[0]), ys = points.map(point => point[1]);
+        if (Math.max(...xs) < 0 || Math.min(...xs) > viewport.width || Math.max(...ys) < 0 || Math.min(...ys) > viewport.height) return;
+        const isTop = node.level === 1;
+        shapes.push({ type: 'polygon', points, fill: rgb(node.color, isTop ? 0.1 : 0.14), stroke: rgb(node.color, isTop ? 0.8 : 0.5) });
+    });
+    groupLevels.forEach(level => {
+        const style = SNAPSHOT_GROUP_STYLES[level.role];
+        if (zoom >= level.minZoom) {
+            circles(d => d.level === level.level && !d.outline, d => d.radius, d => ({ fill: rgb(d.color, style.opacity), stroke: style.stroke }));
+        }
+    });
+
+    const tripOpacity = DataProcessor.getLayerOpacity('trip', zoom);
+    if (options.showTrips && tripOpacity > 0) {
+        circles(d => d.type === 'trip', d => clamp((2 + Math.sqrt((d.sizeValue ?? d.emissions) / 1000)) * pixelsPerMeter, 2, 8), d => ({ fill: rgb(d.color || [200, 200, 200], tripOpacity) }));
+    }
+
+    const labelBackground = 'rgba(15, 23, 42, 0.8)';
+    [...groupLevels.slice(1), ...groupLevels.slice(0, 1)].forEach(level => {
+        const style = SNAPSHOT_GROUP_STYLES[level.role];
+        if (zoom >= level.minZoom && zoom < style.labelMaxZoom) {
+            labels(d => d.level === level.level, style.labelSize(zoom), () => ({ fill: style.labelFill, background: labelBackground }));
+        }
+    });
+
+    const deptOpacity = DataProcessor.getLayerOpacity(topLevel.type, zoom);
+    if (options.showDepartments && deptOpacity > 0) {
+        circles(d => d.level === 1, d => clamp((d.radius || 100) * pixelsPerMeter, 10, 300), d => ({ fill: rgb(d.color, deptOpacity) }));
+        labels(d => d.level === 1, clamp(Math.max(8, 24 - zoom * 0.8), 5, 60), d => ({ fill: rgb(d.color, deptOpacity), weight: 900, background: labelBackground }));
+    }
+
+    return shapes;
+}
+
+function drawShapes(ctx, shapes) {
+    shapes.forEach(shape => {
+        if (shape.type === 'rect') {
+            ctx.fillStyle = shape.fill;
+            ctx.beginPath();
+            if (ctx.roundRect) ctx.roundRect(shape.x, shape.y, shape.width, shape.height, 12);
+            else ctx.rect(shape.x, shape.y, shape.width, shape.height);
+            ctx.fill();
+        } else if (shape.type === 'circle') {
+            ctx.fillStyle = shape.fill;
+            ctx.beginPath();
+            ctx.arc(shape.x, shape.y, shape.r, 0, 2 * Math.PI);
+            ctx.fill();
+        } else if (shape.type === 'text') {
+            ctx.font = `${shape.weight || 400} ${shape.size}px Inter, sans-serif`;
+            ctx.textAlign = shape.anchor === 'middle' ? 'center' : 'left';
+            ctx.fillStyle = shape.fill;
+            ctx.fillText(shape.text, shape.x, shape.y);
+        }
+    });
+}
+
+function shapesToSVG(shapes, width, height) {
+    const elements = shapes.map(shape => {
+        if (shape.type === 'rect') {
+            return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" rx="12" fill="${shape.fill}"/>`;
+        }
+        if (shape.type === 'polygon') {
+            return `<polygon points="${shape.points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}" fill="${shape.fill}" stroke="${shape.stroke}"/>`;
+        }
+        if (shape.type === 'circle') {
+            return `<circle cx="${shape.x.toFixed(1)}" cy="${shape.y.toFixed(1)}" r="${shape.r.toFixed(1)}" fill="${shape.fill}"${shape.stroke ? ` stroke="${shape.stroke}"` : ''}/>`;
+        }
+        const label = `<text x="${shape.x.toFixed(1)}" y="${shape.y.toFixed(1)}" font-size="${shape.size.toFixed(1)}" font-weight="${shape.weight || 400}" fill="${shape.fill}"${shape.anchor ? ` text-anchor="${shape.anchor}"` : ''}>${escapeXML(shape.text)}</text>`;
+        if (!shape.background) return label;
+
+        // Approximate the deck.gl label background from the text length
+        const boxWidth = shape.text.length * shape.size * 0.6 + 8;
+        return `<rect x="${(shape.x - boxWidth / 2).toFixed(1)}" y="${(shape.y - shape.size * 0.95).toFixed(1)}" width="${boxWidth.toFixed(1)}" height="${(shape.size * 1.3).toFixed(1)}" fill="${shape.background}"/>` + label;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, sans-serif">
+<rect width="100%" height="100%" fill="${SNAPSHOT_BACKGROUND}"/>
+${elements.join('\n')}
+</svg>`;
+}
+
+// Re-render deck.gl at scale × CSS pixels, copy it and composite the overlay on top
+async function renderPNG(context, scale, title) {
+    const deckInstance = context.deck;
+    const deckCanvas = deckInstance.getCanvas ? deckInstance.getCanvas() : deckInstance.canvas;
+    const width = deckCanvas.clientWidth;
+    const height = deckCanvas.clientHeight;
+    const pixelRatio = Math.min(scale, Math.floor(SNAPSHOT_MAX_PIXELS / Math.max(width, height)));
+
+    const output = document.createElement('canvas');
+    output.width = width * pixelRatio;
+    output.height = height * pixelRatio;
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = SNAPSHOT_BACKGROUND;
+    ctx.fillRect(0, 0, output.width, output.height);
+
+    const previousPixels = deckInstance.props.useDevicePixels;
+    deckInstance.setProps({ useDevicePixels: pixelRatio });
+    try {
+        await nextFrame();
+        await nextFrame();
+        // The drawing buffer is only valid within the task that rendered it
+        deckInstance.redraw('snapshot');
+        ctx.drawImage(deckCanvas, 0, 0, output.width, output.height);
+    } finally {
+        deckInstance.setProps({ useDevicePixels: previousPixels ?? true });
+    }
+
+    ctx.scale(pixelRatio, pixelRatio);
+    drawShapes(ctx, buildOverlayShapes(context, width, height, title));
+    return new Promise(resolve => output.toBlob(resolve, 'image/png'));
+}
+
+function renderSVG(context, title) {
+    const viewport = context.deck.getViewports()[0];
+    const shapes = [
+        ...buildClusterShapes(context, viewport),
+        ...buildOverlayShapes(context, viewport.width, viewport.height, title)
+    ];
+    return shapesToSVG(shapes, viewport.width, viewport.height);
+}
+
+// PDF goes through the browser's print dialog ("Save as PDF") so the map stays vector
+function printSVG(svg, title) {
+    const win = window.open('', '_blank');
+    if (!win) throw new Error('Allow pop-ups to save as PDF');
+    win.document.write(`<!DOCTYPE html><html><head><title>${escapeXML(title)}</title>
+        <style>@page { size: landscape; margin: 0; } body { margin: 0; } svg { width: 100%; height: auto; }</style>
+        </head><body>${svg}</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+async function saveSnapshot(format, scale, title) {
+    const context = getSnapshotContext();
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+
+    if (format === 'png') {
+        Exporter.downloadBlob(await renderPNG(context, scale, title), null, `carbon-map-${stamp}.png`);
+        return;
+    }
+
+    if (context.viewMode !== 'cluster') throw new Error('Vector export is available in the cluster view');
+    const svg = renderSVG(context, title);
+    if (format === 'svg') Exporter.downloadBlob(svg, 'image/svg+xml', `carbon-map-${stamp}.svg`);
+    else printSVG(svg, title);
+}
+
+function renderSnapshotDialog() {
+    const context = getSnapshotContext();
+    const isVector = snapshotFormat !== 'png';
+
+    document.querySelectorAll('#snapshot-format button').forEach(button => {
+        button.classList.toggle('active', button.dataset.format === snapshotFormat);
+    });
+    document.getElementById('snapshot-scale').disabled = isVector;
+    document.getElementById('snapshot-status').textContent = isVector && context.viewMode !== 'cluster'
+        ? 'Vector export is available in the cluster view'
+        : '';
+    document.getElementById('snapshot-save').disabled = isVector && context.viewMode !== 'cluster';
+}
+
+// getContext() returns { deck, viewMode, nodes, zoom, options, legend, metrics, details }
+function setupSnapshotDialog(getContext) {
+    getSnapshotContext = getContext;
+    const dialog = document.getElementById('snapshot-dialog');
+
+    document.getElementById('snapshot-open').addEventListener('click', () => {
+        renderSnapshotDialog();
+        dialog.classList.remove('is-hidden');
+    });
+    document.querySelectorAll('#snapshot-format button').forEach(button => {
+        button.addEventListener('click', () => {
+            snapshotFormat = button.dataset.format;
+            renderSnapshotDialog();
+        });
+    });
+    document.getElementById('snapshot-cancel').addEventListener('click', () => dialog.classList.add('is-hidden'));
+    document.getElementById('snapshot-save').addEventListener('click', async () => {
+        const status = document.getElementById('snapshot-status');
+        status.textContent = 'Rendering…';
+        try {
+            await saveSnapshot(
+                snapshotFormat,
+                Number(document.getElementById('snapshot-scale').value),
+                document.getElementById('snapshot-title').value || 'Travel Carbon Emissions'
+            );
+            status.textContent = '';
+            dialog.classList.add('is-hidden');
+        } catch (error) {
+            console.error('Error:', error);
+            status.textContent = `Error: ${error.message}`;
+        }
+    });
+}
+
+window.Snapshot = {
+    setupSnapshotDialog,
+    saveSnapshot,
+    renderSVG
+};
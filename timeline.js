@@ -0,0 +1,218 @@
+/**
+ * Time Dimension for Carbon Emissions Network Map
+ * Monthly time-range slider with animated month-by-month playback
+ */
+
+const PLAY_INTERVAL_MS = 800;
+
+let timelineMonths = [];     // UTC timestamps of each month start covered by the data
+let timelineTotals = [];     // Summed emissions per month, aligned with timelineMonths
+let timelineRange = [0, 0];  // Selected [start, end] month indices, inclusive
+let undatedTripCount = 0;
+let timelinePlayTimer = null;
+let onTimelineChange = null;
+
+function getMonthStart(timestamp) {
+    const date = new Date(timestamp);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+function addMonths(timestamp, count) {
+    const date = new Date(timestamp);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1);
+}
+
+function formatMonth(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+// Every month between the earliest and latest dated trip
+function getTripMonths(trips) {
+    let min = Infinity, max = -Infinity;
+    trips.forEach(trip => {
+        if (trip.date === null) return;
+        min = Math.min(min, trip.date);
+        max = Math.max(max, trip.date);
+    });
+    if (min === Infinity) return [];
+
+    const result = [];
+    for (let month = getMonthStart(min); month <= max; month = addMonths(month, 1)) {
+        result.push(month);
+    }
+    return result;
+}
+
+function isFullRange() {
+    return timelineRange[0] === 0 && timelineRange[1] === timelineMonths.length - 1;
+}
+
+// { start, end } (end exclusive) of the selected window, or null when everything is selected
+function getTimeRange() {
+    if (timelineMonths.length === 0 || isFullRange()) return null;
+    return { start: timelineMonths[timelineRange[0]], end: addMonths(timelineMonths[timelineRange[1]], 1) };
+}
+
+// Selected window as ['YYYY-MM', 'YYYY-MM'] for sharing, or null when everything is selected
+function getTimeWindow() {
+    if (timelineMonths.length === 0 || isFullRange()) return null;
+    const key = index => new Date(timelineMonths[index]).toISOString().slice(0, 7);
+    return [key(timelineRange[0]), key(timelineRange[1])];
+}
+
+// Restore a window from getTimeWindow without notifying; unknown months fall back to the full span
+function setTimeWindow(monthKeys) {
+    const index = key => timelineMonths.findIndex(month => new Date(month).toISOString().startsWith(key));
+    const start = monthKeys ? index(monthKeys[0]) : -1;
+    const end = monthKeys ? index(monthKeys[1]) : -1;
+    stopPlayback();
+    timelineRange = start >= 0 && end >= start
+        ? [start, end]
+        : [0, Math.max(0, timelineMonths.length - 1)];
+    renderTimeline();
+}
+
+function isInRange(trip, timeRange) {
+    if (!timeRange) return true;
+    return trip.date !== null && trip.date >= timeRange.start && trip.date < timeRange.end;
+}
+
+// Reset the slider to the full span of the given trips
+function setTimelineData(trips) {
+    stopPlayback();
+    timelineMonths = getTripMonths(trips);
+    timelineTotals = timelineMonths.map(() => 0);
+    undatedTripCount = 0;
+
+    trips.forEach(trip => {
+        if (trip.date === null) {
+            undatedTripCount++;
+            return;
+        }
+        const index = timelineMonths.indexOf(getMonthStart(trip.date));
+        if (index >= 0) timelineTotals[index] += trip.emissions;
+    });
+
+    timelineRange = [0, Math.max(0, timelineMonths.length - 1)];
+
+    const group = document.getElementById('time-group');
+    if (group) group.classList.toggle('is-hidden', timelineMonths.length === 0);
+
+    const maxIndex = Math.max(0, timelineMonths.length - 1);
+    ['time-start', 'time-end'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.max = maxIndex;
+    });
+
+    renderTimeline();
+}
+
+function setTimeRange(start, end) {
+    timelineRange = [Math.max(0, start), Math.min(timelineMonths.length - 1, end)];
+    renderTimeline();
+    if (onTimelineChange) onTimelineChange(getTimeRange());
+}
+
+function renderTimeline() {
+    const startInput = document.getElementById('time-start');
+    const endInput = document.getElementById('time-end');
+    const label = document.getElementById('time-label');
+    const trend = document.getElementById('time-trend');
+    const chart = document.getElementById('time-chart');
+    if (!startInput || timelineMonths.length === 0) return;
+
+    startInput.value = timelineRange[0];
+    endInput.value = timelineRange[1];
+    label.textContent = timelineRange[0] === timelineRange[1]
+        ? formatMonth(timelineMonths[timelineRange[0]])
+        : `${formatMonth(timelineMonths[timelineRange[0]])} – ${formatMonth(timelineMonths[timelineRange[1]])}`;
+
+    // Compare against the equally long window right before the selection
+    const width = timelineRange[1] - timelineRange[0] + 1;
+    const sum = (from, to) => timelineTotals.slice(Math.max(0, from), to + 1).reduce((a, b) => a + b, 0);
+    const current = sum(timelineRange[0], timelineRange[1]);
+    const previous = timelineRange[0] - width >= 0 ? sum(timelineRange[0] - width, timelineRange[0] - 1) : null;
+
+    if (previous) {
+        const change = ((current - previous) / previous) * 100;
+        trend.className = `time-trend ${change > 0 ? 'trend-up' : 'trend-down'}`;
+        trend.textContent = `${change > 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(1)}% vs previous ${width} mo`;
+    } else {
+        trend.className = 'time-trend';
+        trend.textContent = isFullRange() && undatedTripCount > 0
+            ? `${undatedTripCount.toLocaleString()} undated trips included`
+            : (undatedTripCount > 0 ? `${undatedTripCount.toLocaleString()} undated trips hidden` : '');
+    }
+
+    // Monthly emissions bars, selected window highlighted
+    const max = Math.max(...timelineTotals, 1);
+    const barWidth = 100 / timelineMonths.length;
+    chart.innerHTML = timelineTotals.map((total, i) => {
+        const height = Math.max(1, (total / max) * 40);
+        const selected = i >= timelineRange[0] && i <= timelineRange[1];
+        return `<rect x="${i * barWidth}%" y="${40 - height}" width="${barWidth * 0.8}%" height="${height}"
+            class="${selected ? 'time-bar selected' : 'time-bar'}"><title>${formatMonth(timelineMonths[i])}</title></rect>`;
+    }).join('');
+}
+
+function stopPlayback() {
+    clearInterval(timelinePlayTimer);
+    timelinePlayTimer = null;
+    const button = document.getElementById('time-play');
+    if (button) button.textContent = '▶';
+}
+
+// Slide the selected window forward one month per tick; a full selection plays single months
+function togglePlayback() {
+    if (timelinePlayTimer) {
+        stopPlayback();
+        return;
+    }
+    if (timelineMonths.length < 2) return;
+
+    const width = isFullRange() ? 1 : timelineRange[1] - timelineRange[0] + 1;
+    if (timelineRange[1] === timelineMonths.length - 1 || isFullRange()) setTimeRange(0, width - 1);
+
+    document.getElementById('time-play').textContent = '❚❚';
+    timelinePlayTimer = setInterval(() => {
+        if (timelineRange[1] >= timelineMonths.length - 1) {
+            stopPlayback();
+            return;
+        }
+        setTimeRange(timelineRange[0] + 1, timelineRange[1] + 1);
+    }, PLAY_INTERVAL_MS);
+}
+
+function setupTimeline(callback) {
+    onTimelineChange = callback;
+
+    const startInput = document.getElementById('time-start');
+    const endInput = document.getElementById('time-end');
+
+    startInput.addEventListener('input', () => {
+        stopPlayback();
+        const start = Number(startInput.value);
+        setTimeRange(start, Math.max(start, timelineRange[1]));
+    });
+    endInput.addEventListener('input', () => {
+        stopPlayback();
+        const end = Number(endInput.value);
+        setTimeRange(Math.min(timelineRange[0], end), end);
+    });
+
+    document.getElementById('time-play').addEventListener('click', togglePlayback);
+    document.getElementById('time-reset').addEventListener('click', () => {
+        stopPlayback();
+        setTimeRange(0, timelineMonths.length - 1);
+    });
+}
+
+window.Timeline = {
+    setupTimeline,
+    setTimelineData,
+    getTimeRange,
+    getTimeWindow,
+    setTimeWindow,
+    isInRange,
+    formatMonth
+};
@@ -0,0 +1,98 @@
+/**
+ * Shareable URL State for Carbon Emissions Network Map
+ * Serializes view, layout, hierarchy levels, metric, colours, camera, time window, filters, search, scenario and selection into the URL hash
+ */
+
+// Levels are joined with '>'. column:<name> keys can hold any header, so a '>' (and '%') in a key is
+// percent-encoded and the rest stays readable
+function encodeLevels(keys) {
+    return keys.map(key => key.replace(/[%>]/g, encodeURIComponent)).join('>');
+}
+
+// The levels of a link, or the default hierarchy when they can't be read
+function decodeLevels(text) {
+    try {
+        const keys = text.split('>').map(decodeURIComponent);
+        if (Hierarchy.isValidHierarchy(keys)) return keys;
+    } catch (error) {
+        console.warn('Ignoring unreadable "levels" in the URL:', error);
+    }
+    return Hierarchy.DEFAULT_HIERARCHY;
+}
+
+// Short parameter names keep shared links readable
+function encodeState(state) {
+    const params = new URLSearchParams();
+    if (state.view && state.view !== 'cluster') params.set('view', state.view);
+    if (state.layout && state.layout !== 'rings') params.set('layout', state.layout);
+    if (state.levels && !Hierarchy.isDefaultHierarchy(state.levels)) params.set('levels', encodeLevels(state.levels));
+    if (state.metric && state.metric !== 'total') params.set('metric', state.metric);
+    if (state.color && state.color !== 'cluster') params.set('color', state.color);
+    if (state.palette && state.palette !== ColorScales.resolvePalette(state.color, null)) params.set('palette', state.palette);
+    if (state.camera) {
+        const { longitude, latitude, zoom } = state.camera;
+        params.set('cam', [longitude.toFixed(5), latitude.toFixed(5), zoom.toFixed(2)].join(','));
+    }
+    if (state.time) params.set('time', state.time.join('~'));
+    if (state.filters && Object.keys(state.filters).length > 0) params.set('filters', JSON.stringify(state.filters));
+    if (state.search) params.set('q', state.search);
+    if (state.scenario) params.set('scenario', JSON.stringify(state.scenario));
+    if (state.hidden?.length > 0) params.set('hide', state.hidden.join(','));
+    if (state.selection) params.set('sel', state.selection);
+    return params.toString();
+}
+
+function parseJSONParam(params, key) {
+    if (!params.has(key)) return null;
+    try {
+        return JSON.parse(params.get(key));
+    } catch (error) {
+        console.warn(`Ignoring unreadable "${key}" in the URL:`, error);
+        return null;
+    }
+}
+
+function decodeState(hash) {
+    const params = new URLSearchParams(hash);
+    const camera = params.get('cam')?.split(',').map(Number);
+
+    return {
+        view: params.get('view') === 'geo' ? 'geo' : 'cluster',
+        layout: Object.hasOwn(HierarchyLayouts.LAYOUTS, params.get('layout')) ? params.get('layout') : 'rings',
+        levels: params.has('levels') ? decodeLevels(params.get('levels')) : Hierarchy.DEFAULT_HIERARCHY,
+        metric: Object.hasOwn(Metrics.METRICS, params.get('metric')) ? params.get('metric') : 'total',
+        color: Object.hasOwn(ColorScales.COLOR_MODES, params.get('color')) ? params.get('color') : 'cluster',
+        palette: params.get('palette'), // Checked against the mode by ColorScales.resolvePalette
+        camera: camera?.length === 3 && camera.every(Number.isFinite)
+            ? { longitude: camera[0], latitude: camera[1], zoom: camera[2] }
+            : null,
+        time: params.get('time')?.split('~') || null,
+        filters: parseJSONParam(params, 'filters') || {},
+        search: params.get('q') || '',
+        scenario: parseJSONParam(params, 'scenario'),
+        hidden: params.get('hide')?.split(',') || [],
+        selection: params.get('sel') || null
+    };
+}
+
+// State in the current URL, or null when the hash is empty
+function readState() {
+    return window.location.hash.length > 1 ? decodeState(window.location.hash.slice(1)) : null;
+}
+
+// push adds a history entry (back/forward steps through it); otherwise the current entry is updated
+function writeState(state, push = false) {
+    const encoded = encodeState(state);
+    if (encoded === window.location.hash.slice(1)) return;
+
+    const url = encoded ? `#${encoded}` : window.location.pathname + window.location.search;
+    if (push) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+}
+
+window.UrlState = {
+    encodeState,
+    decodeState,
+    readState,
+    writeState
+};
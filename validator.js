@@ -0,0 +1,156 @@
+/**
+ * Data Validation for Carbon Emissions Network Map
+ * Types each column and sorts rows into valid, rejected and suspicious before processing
+ */
+
+// Expected type of each canonical column
+const COLUMN_TYPES = {
+    'Business Dept': 'string',
+    'Carbon Emission': 'number',
+    'Trip ID': 'id',
+    'Purpose': 'string',
+    'Shipping Type': 'string',
+    'Departure City': 'string',
+    'Arrival City': 'string',
+    'Date': 'date',
+    'Distance': 'number',
+    'Travel Class': 'string',
+    'Net Costs': 'number'
+};
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+// Parse numbers that survived dynamicTyping as text, e.g. "1,234.50" or "€ 99"
+function parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (isBlank(value)) return null;
+
+    const cleaned = String(value).replace(/[^0-9.,eE+-]/g, '').replace(/,(?=\d{3}(\D|$))/g, '').replace(',', '.');
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function typeValue(value, type) {
+    if (isBlank(value)) return null;
+    if (type === 'number') return parseNumber(value);
+    // Dates stay raw; processEmissionsData parses them, here we only check they can be
+    if (type === 'date') return Number.isNaN(DataProcessor.parseDate(value)) ? NaN : value;
+    return String(value).trim();
+}
+
+// Validate merged rows; returns typed valid rows plus rejected/suspicious entries with reasons.
+// onProgress(rowsDone, total) is called per batch of rows
+function validateRows(rows, onProgress) {
+    const valid = [];
+    const rejected = [];
+    const suspicious = [];
+    const seenTripIds = new Map(); // Trip ID -> "file row N" of first occurrence
+
+    rows.forEach((row, index) => {
+        DataProcessor.reportRowProgress(onProgress, index, rows.length);
+        const typed = { ...row };
+        Object.entries(COLUMN_TYPES).forEach(([column, type]) => {
+            typed[column] = typeValue(row[column], type);
+        });
+
+        const errors = [];
+        const warnings = [];
+        const location = `${row.__source || 'file'} row ${row.__row || '?'}`;
+
+        // Rejections: the row can't be placed on the map
+        if (typed['Business Dept'] === null) errors.push('Missing Business Dept');
+
+        const emissions = typed['Carbon Emission'];
+        if (emissions === null) {
+            errors.push(row.__estimateError
+                ? `Missing Carbon Emission and no estimate possible: ${row.__estimateError}`
+                : 'Missing Carbon Emission');
+        }
+        else if (Number.isNaN(emissions)) errors.push(`Non-numeric Carbon Emission "${row['Carbon Emission']}"`);
+        else if (emissions < 0) errors.push(`Negative Carbon Emission (${emissions})`);
+
+        const tripId = typed['Trip ID'];
+        if (tripId !== null) {
+            if (seenTripIds.has(tripId)) errors.push(`Duplicate Trip ID "${tripId}" (first seen in ${seenTripIds.get(tripId)})`);
+            else if (errors.length === 0) seenTripIds.set(tripId, location);
+        }
+
+        // Warnings: the row is kept but worth a second look
+        if (typed['Business Dept'] !== null && !DataProcessor.DEPARTMENT_COLORS[typed['Business Dept']]) {
+            warnings.push(`Unknown department "${typed['Business Dept']}"`);
+        }
+        if (typed['Purpose'] !== null && !DataProcessor.PURPOSE_COLORS[typed['Purpose']]) {
+            warnings.push(`Unknown purpose "${typed['Purpose']}"`);
+        }
+        if (typed['Departure City'] === null) warnings.push('Missing Departure City');
+        if (typed['Arrival City'] === null) warnings.push('Missing Arrival City');
+        if (tripId === null) warnings.push('Missing Trip ID (generated from row content)');
+        if (Number.isNaN(typed['Date'])) {
+            warnings.push(`Unparseable Date "${row['Date']}"`);
+            typed['Date'] = null;
+        }
+        if (Number.isNaN(typed['Distance'])) {
+            warnings.push(`Non-numeric Distance "${row['Distance']}"`);
+            typed['Distance'] = null;
+        }
+        if (Number.isNaN(typed['Net Costs'])) {
+            warnings.push(`Non-numeric Net Costs "${row['Net Costs']}"`);
+            typed['Net Costs'] = null;
+        }
+
+        if (errors.length > 0) {
+            rejected.push({ row, reasons: errors });
+            return;
+        }
+        if (warnings.length > 0) suspicious.push({ row, reasons: warnings });
+        valid.push(typed);
+    });
+
+    return { valid, rejected, suspicious, total: rows.length };
+}
+
+// Flatten a report into rows for display or CSV download
+function reportToRows(report) {
+    const toRow = (status) => ({ row, reasons }) => {
+        const original = {};
+        Object.entries(row).forEach(([key, value]) => {
+            if (!key.startsWith('__')) original[key] = value;
+        });
+        return {
+            Status: status,
+            Source: row.__source || '',
+            Row: row.__row || '',
+            Reasons: reasons.join('; '),
+            ...original
+        };
+    };
+
+    return [
+        ...report.rejected.map(toRow('Rejected')),
+        ...report.suspicious.map(toRow('Suspicious'))
+    ];
+}
+
+function downloadReport(report) {
+    const rows = reportToRows(report);
+    const fields = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+    const csv = Papa.unparse({ fields, data: rows });
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `validation-report-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    // Revoking straight away can cancel the download in Firefox and Safari
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+window.Validator = {
+    validateRows,
+    reportToRows,
+    downloadReport,
+    parseNumber,
+    COLUMN_TYPES
+};